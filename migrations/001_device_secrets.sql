@@ -0,0 +1,13 @@
+-- Per-device secrets for authenticating POST /data packets
+ALTER TABLE trackers
+  ADD COLUMN device_secret VARCHAR(64) NULL AFTER pet_breed;
+
+-- Packets rejected by device authentication, kept per device for auditing
+CREATE TABLE IF NOT EXISTS device_auth_failures (
+  failure_id INT AUTO_INCREMENT PRIMARY KEY,
+  device_id VARCHAR(64) NOT NULL,
+  reason VARCHAR(64) NOT NULL,
+  source_ip VARCHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_device_auth_failures_device (device_id, created_at)
+);
@@ -0,0 +1,7 @@
+-- GPS quality of each trail point (the segment's end point); NULL when the
+-- device did not report it
+ALTER TABLE trail_history
+  ADD COLUMN accuracy DECIMAL(7,2) NULL COMMENT 'Horizontal accuracy in meters' AFTER end_lng,
+  ADD COLUMN hdop DECIMAL(5,2) NULL AFTER accuracy,
+  ADD COLUMN satellites TINYINT UNSIGNED NULL AFTER hdop,
+  ADD COLUMN speed DECIMAL(6,2) NULL COMMENT 'Reported speed in m/s' AFTER satellites;
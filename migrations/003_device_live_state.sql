@@ -0,0 +1,15 @@
+-- Live device state, snapshotted so restarts keep online and geofence status
+CREATE TABLE IF NOT EXISTS device_live_state (
+  device_id VARCHAR(64) PRIMARY KEY,
+  live_state JSON NULL,
+  status VARCHAR(16) NULL,
+  geofence_state JSON NULL,
+  nearby_state JSON NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Nearby-pet encounters already notified (sorted device IDs, comma separated)
+CREATE TABLE IF NOT EXISTS nearby_pet_interactions (
+  interaction_key VARCHAR(512) PRIMARY KEY,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
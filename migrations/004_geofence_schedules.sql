@@ -0,0 +1,8 @@
+-- Optional weekly schedule per geofence (NULL = always active), e.g.
+-- {"windows":[{"days":["mon","tue"],"start":"18:00","end":"06:00"}]}
+ALTER TABLE geofences
+  ADD COLUMN schedule JSON NULL AFTER poly_rect;
+
+-- Owner's IANA time zone, used to evaluate geofence schedules
+ALTER TABLE users
+  ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Manila';
@@ -0,0 +1,8 @@
+-- Per-geofence debouncing of entry/exit transitions (NULL = off):
+-- buffer_m      meters outside the boundary that still count as inside
+-- dwell_fixes   consecutive fixes needed to confirm a change
+-- dwell_seconds time the new state must hold to confirm a change
+ALTER TABLE geofences
+  ADD COLUMN buffer_m DECIMAL(8,2) NULL AFTER schedule,
+  ADD COLUMN dwell_fixes INT UNSIGNED NULL AFTER buffer_m,
+  ADD COLUMN dwell_seconds INT UNSIGNED NULL AFTER dwell_fixes;
@@ -0,0 +1,4 @@
+-- Safe zones alert when the pet leaves; danger zones (a highway, a
+-- neighbour's yard) alert when the pet enters
+ALTER TABLE geofences
+  ADD COLUMN mode ENUM('safe', 'danger') NOT NULL DEFAULT 'safe' AFTER type;
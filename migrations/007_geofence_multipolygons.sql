@@ -0,0 +1,4 @@
+-- poly_rect can now hold polygons with holes and multipart shapes, which
+-- outgrow a short text column
+ALTER TABLE geofences
+  MODIFY COLUMN poly_rect MEDIUMTEXT NULL;
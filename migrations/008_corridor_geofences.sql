@@ -0,0 +1,4 @@
+-- Corridor geofences: a walking route stored in poly_rect as [lat, lng]
+-- points, with radius as the allowed distance either side of it
+ALTER TABLE geofences
+  MODIFY COLUMN type VARCHAR(20) NOT NULL;
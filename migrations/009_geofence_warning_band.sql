@@ -0,0 +1,4 @@
+-- Optional early-warning band: owners are warned when a pet inside the
+-- geofence comes within this many meters of its edge, heading outward
+ALTER TABLE geofences
+  ADD COLUMN warning_band_m DECIMAL(8,2) NULL AFTER dwell_seconds;
@@ -0,0 +1,59 @@
+-- Trail history as ordered points instead of start/end segment pairs; each
+-- point is one fix, and consecutive points of a tracker form its trail
+CREATE TABLE IF NOT EXISTS trail_points (
+  point_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  tracker_id VARCHAR(64) NOT NULL,
+  lat DECIMAL(10,7) NOT NULL,
+  lng DECIMAL(10,7) NOT NULL,
+  recorded_at DATETIME(3) NOT NULL COMMENT 'Device time of the fix',
+  battery TINYINT UNSIGNED NULL,
+  accuracy DECIMAL(7,2) NULL COMMENT 'Horizontal accuracy in meters',
+  hdop DECIMAL(5,2) NULL,
+  satellites TINYINT UNSIGNED NULL,
+  speed DECIMAL(6,2) NULL COMMENT 'Reported speed in m/s',
+  starts_track TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Not joined to the previous point',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_trail_points_tracker_time (tracker_id, recorded_at)
+);
+
+-- Convert existing segments: every segment's end point, plus its start point
+-- where it does not continue the previous segment (which then starts a new
+-- track). Start points only have the segment's time. Needs MySQL 8.
+-- Per tracker, only segments older than its earliest trail point are
+-- converted, so points the server already wrote are kept and running this
+-- again does not duplicate anything.
+INSERT INTO trail_points (tracker_id, lat, lng, recorded_at, accuracy, hdop, satellites, speed, starts_track)
+SELECT points.tracker_id, points.lat, points.lng, points.recorded_at, points.accuracy,
+       points.hdop, points.satellites, points.speed, points.starts_track
+FROM (
+  SELECT tracker_id, start_lat AS lat, start_lng AS lng, created_at AS recorded_at,
+         NULL AS accuracy, NULL AS hdop, NULL AS satellites, NULL AS speed,
+         1 AS starts_track, 0 AS part
+  FROM (
+    SELECT th.*,
+           LAG(end_lat) OVER w AS prev_end_lat,
+           LAG(end_lng) OVER w AS prev_end_lng
+    FROM trail_history th
+    WINDOW w AS (PARTITION BY tracker_id ORDER BY created_at)
+  ) segments
+  WHERE prev_end_lat IS NULL
+     OR prev_end_lat <> start_lat
+     OR prev_end_lng <> start_lng
+
+  UNION ALL
+
+  SELECT tracker_id, end_lat, end_lng, created_at,
+         accuracy, hdop, satellites, speed,
+         0, 1
+  FROM trail_history
+) points
+LEFT JOIN (
+  SELECT tracker_id, MIN(recorded_at) AS first_point
+  FROM trail_points
+  GROUP BY tracker_id
+) existing ON existing.tracker_id = points.tracker_id
+WHERE existing.first_point IS NULL
+   OR points.recorded_at < existing.first_point
+ORDER BY points.tracker_id, points.recorded_at, points.part;
+
+-- trail_history is no longer written; drop it once the conversion is checked
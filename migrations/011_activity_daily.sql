@@ -0,0 +1,16 @@
+-- Per-pet daily activity, rolled up nightly from trail_points and
+-- tracker_history; days are calendar days in the owner's time zone
+CREATE TABLE IF NOT EXISTS activity_daily (
+  tracker_id VARCHAR(64) NOT NULL,
+  activity_date DATE NOT NULL,
+  distance_m DECIMAL(10,1) NOT NULL DEFAULT 0,
+  active_minutes INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Time spent on trips',
+  resting_minutes INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Time spent in stays',
+  max_distance_from_home_m DECIMAL(10,1) NULL COMMENT 'NULL without a home safe zone',
+  geofence_exits INT UNSIGNED NOT NULL DEFAULT 0,
+  trip_count INT UNSIGNED NOT NULL DEFAULT 0,
+  point_count INT UNSIGNED NOT NULL DEFAULT 0,
+  timezone VARCHAR(64) NOT NULL,
+  computed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tracker_id, activity_date)
+);
@@ -0,0 +1,6 @@
+-- Geofence debounce, early-warning and schedule (armed) state per device, so
+-- a restart neither repeats warnings nor misses an arm/disarm transition
+ALTER TABLE device_live_state
+  ADD COLUMN geofence_pending JSON NULL AFTER geofence_state,
+  ADD COLUMN geofence_warned JSON NULL AFTER geofence_pending,
+  ADD COLUMN geofence_armed JSON NULL AFTER geofence_warned;
@@ -0,0 +1,114 @@
+/**
+ * Geofence evaluation benchmark
+ * Compares the per-packet geofence check before and after the geofence
+ * cache: testing every fence with turf versus prefiltering on bounding boxes.
+ * Shapes are spread over a city-sized area, like a shelter's fences; no
+ * database is needed (the cache also saves the per-packet MySQL join, which
+ * is not measured here).
+ *
+ *   node scripts/benchmarkGeofences.js [fences=200] [packets=2000]
+ */
+
+const isInsideGeofence = require("../utils/isInsideGeofence");
+const { buildEntries, evaluateGeofence } = require("../utils/geofenceCache");
+
+const FENCES = parseInt(process.argv[2]) || 200;
+const PACKETS = parseInt(process.argv[3]) || 2000;
+
+// Metro Manila-sized area
+const AREA = { minLat: 14.4, maxLat: 14.8, minLng: 120.9, maxLng: 121.2 };
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function randomPoint() {
+  return [
+    AREA.minLat + random() * (AREA.maxLat - AREA.minLat),
+    AREA.minLng + random() * (AREA.maxLng - AREA.minLng),
+  ];
+}
+
+function randomRing([lat, lng], size, sides) {
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = (2 * Math.PI * i) / sides;
+    const r = size * (0.6 + random() * 0.4);
+    return [lat + r * Math.sin(angle), lng + r * Math.cos(angle)];
+  });
+}
+
+function makeGeofences(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const center = randomPoint();
+    const base = { geofence_id: i + 1, geofence_name: `Fence ${i + 1}` };
+
+    switch (i % 3) {
+      case 0:
+        return {
+          ...base,
+          type: "circle",
+          center_lat: center[0],
+          center_lng: center[1],
+          radius: 50 + random() * 450,
+        };
+      case 1:
+        return {
+          ...base,
+          type: "polygon",
+          poly_rect: JSON.stringify(randomRing(center, 0.003, 12)),
+        };
+      default:
+        return {
+          ...base,
+          type: "corridor",
+          poly_rect: JSON.stringify(
+            Array.from({ length: 20 }, (_, j) => [
+              center[0] + j * 0.0005,
+              center[1] + (random() - 0.5) * 0.001,
+            ])
+          ),
+          radius: 30,
+        };
+    }
+  });
+}
+
+function run(label, check) {
+  const started = process.hrtime.bigint();
+  let inside = 0;
+
+  for (const [lat, lng] of packets) {
+    inside += check(lat, lng);
+  }
+
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const perPacketUs = (elapsedMs * 1000) / PACKETS;
+  console.log(
+    `${label.padEnd(24)} ${perPacketUs.toFixed(1).padStart(10)} µs/packet ${Math.round(
+      (PACKETS * 1000) / elapsedMs
+    )
+      .toString()
+      .padStart(10)} packets/s  (${inside} inside hits)`
+  );
+  return elapsedMs;
+}
+
+const geofences = makeGeofences(FENCES);
+const entries = buildEntries(geofences);
+const packets = Array.from({ length: PACKETS }, randomPoint);
+
+console.log(`📊 ${FENCES} geofences per device, ${PACKETS} packets\n`);
+
+const exactMs = run("turf on every fence", (lat, lng) =>
+  geofences.filter((geofence) => isInsideGeofence(lat, lng, [geofence]).isInside)
+    .length
+);
+
+const cachedMs = run("bounding-box prefilter", (lat, lng) =>
+  entries.filter((entry) => evaluateGeofence(lat, lng, entry).isInside).length
+);
+
+console.log(`\n⚡ Prefilter speedup: ${(exactMs / cachedMs).toFixed(1)}x`);
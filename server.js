@@ -6,11 +6,8 @@ const mysql = require("mysql2/promise");
 const bcrypt = require("bcrypt");
 const nodemailer = require("nodemailer");
 const jwt = require("jsonwebtoken");
-const axios = require("axios");
 require("dotenv").config();
 
-const isInsideGeofence = require("./utils/isInsideGeofence");
-const { sendSMS } = require("./utils/sms");
 const {
   sendOTPSMS,
   generateOTPCode,
@@ -18,17 +15,72 @@ const {
 } = require("./utils/otp_sms");
 const notificationHelper = require("./utils/notifications");
 const {
-  getTrackerOwnerPhone,
-  isNotificationEnabled,
+  formatSMSTime,
+  sendNotificationSMS,
 } = require("./utils/userNotificationUtils");
-const detectNearbyPets = require("./utils/detectNearbyPets");
 const {
-  getCachedUserId,
   cacheDeviceUser,
   clearCachedDevice
 } = require("./utils/deviceCache");
-const { executeWithRetry, queryWithRetry } = require("./utils/dbRetry");
 const trackerHistory = require("./utils/trackerHistory");
+const {
+  authenticateToken,
+  requireSameUser,
+  filterOwnedTrackers,
+  requireTrackerOwner,
+  authenticateSocket,
+} = require("./utils/auth");
+const deviceAuth = require("./utils/deviceAuth");
+const deviceState = require("./utils/deviceState");
+const { startMqttIngest, stopMqttIngest } = require("./utils/mqttIngest");
+const { attachDeviceSocketServer } = require("./utils/deviceSocket");
+const {
+  createDefaultTelemetryPipeline,
+  MAX_BACKFILL_FIXES,
+  processBackfill,
+  resetGeofenceState,
+} = require("./telemetry");
+const {
+  validateGeofenceInput,
+  mergeGeofenceUpdate,
+} = require("./utils/geofenceInput");
+const {
+  featureToGeofences,
+  geofencesToFeatureCollection,
+  getImportFeatures,
+} = require("./utils/geofenceGeoJson");
+const { parsePolyRect, parsePolyline } = require("./utils/geofenceShape");
+const { invalidateDeviceGeofences } = require("./utils/geofenceCache");
+const { TRAIL_EXPORT_FORMATS, exportTrail } = require("./utils/trailExport");
+const {
+  sanitizeTrailPoint,
+  fetchTrailPoints,
+  pointsToTracks,
+  tracksToSegments,
+} = require("./utils/trailPoints");
+const {
+  parseTrailDetailOptions,
+  clipTracksToBoundingBox,
+  simplifyTracks,
+} = require("./utils/trailSimplify");
+const { segmentTrips } = require("./utils/tripSegmentation");
+const {
+  MAX_ACTIVITY_DAYS,
+  getDailyActivity,
+  startActivityRollup,
+  stopActivityRollup,
+} = require("./utils/activitySummary");
+const {
+  isValidTimeZone,
+  startGeofenceScheduleWatcher,
+  stopGeofenceScheduleWatcher,
+} = require("./utils/geofenceSchedule");
+const { isRetryableError } = require("./utils/dbRetry");
+const { NAMESPACES, createStateStore } = require("./utils/stateStore");
+const {
+  attachSocketAdapter,
+  closeSocketAdapter,
+} = require("./utils/socketAdapter");
 
 const app = express();
 const server = http.createServer(app);
@@ -39,9 +91,20 @@ const io = new Server(server, {
   },
 });
 
+// SOCKET.IO ACROSS SERVER INSTANCES (STATE_STORE=redis)
+attachSocketAdapter(io);
+
 // MIDDLEWARE
 app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // KEEP RAW BODY FOR DEVICE SIGNATURE CHECKS
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // MYSQL CONNECTION POOL
 const pool = mysql.createPool({
@@ -55,6 +118,9 @@ const pool = mysql.createPool({
   queueLimit: 0,
 });
 
+// DEVICE AUTHENTICATION (not tied to the startup check: secrets are looked up per packet)
+deviceAuth.initialize(pool);
+
 // DATABASE CONNECTION STARTUP CHECK
 (async () => {
   try {
@@ -78,80 +144,85 @@ const transporter = nodemailer.createTransport({
 });
 
 const CHECK_INTERVAL = 30000;
-let latestDevices = {};
-let deviceStatus = {};
+
+// SHARED LIVE STATE (in-memory, or Redis with STATE_STORE=redis)
+const state = createStateStore();
 
 // TRAIL HISTORY BATCHING SYSTEM
-const BATCH_SIZE = 5;
-let trailBatches = {}; // Store batches by tracker_id
+const BATCH_SIZE = 5; // Batches are stored per tracker_id in the state store
 
-const saveTrailBatch = async (trackerId, batch) => {
+// Errors are logged; with rethrow they also reach the caller (backfill
+// uploads, where the device must keep its buffer if nothing was stored)
+const saveTrailBatch = async (trackerId, batch, { rethrow = false } = {}) => {
   let connection;
   try {
     connection = await pool.getConnection();
     
-    // Prepare batch insert
-    const insertValues = batch.map(entry => [
+    // Prepare batch insert, ordered by device time; out-of-range battery or
+    // quality values are dropped so they cannot fail the whole batch
+    const insertValues = batch
+      .map(point => ({ ...sanitizeTrailPoint(point), recorded_at: new Date(point.recorded_at) }))
+      .sort((a, b) => a.recorded_at - b.recorded_at)
+      .map(point => [
       trackerId,
-      entry.start_lat,
-      entry.start_lng,
-      entry.end_lat,
-      entry.end_lng,
-      entry.created_at
+      point.lat,
+      point.lng,
+      point.recorded_at,
+      point.battery,
+      point.accuracy,
+      point.hdop,
+      point.satellites,
+      point.speed,
+      point.starts_track ? 1 : 0
     ]);
 
     await connection.query(
-      `INSERT INTO trail_history (tracker_id, start_lat, start_lng, end_lat, end_lng, created_at) VALUES ?`,
+      `INSERT INTO trail_points (tracker_id, lat, lng, recorded_at, battery, accuracy, hdop, satellites, speed, starts_track) VALUES ?`,
       [insertValues]
     );
 
-    console.log(`✅ Saved ${batch.length} trail entries for tracker ${trackerId}`);
+    console.log(`✅ Saved ${batch.length} trail points for tracker ${trackerId}`);
   } catch (error) {
     console.error(`❌ Error saving trail batch for tracker ${trackerId}:`, error.message);
+    if (rethrow) throw error;
   } finally {
     if (connection) connection.release();
   }
 };
 
-const addToTrailBatch = async (trackerId, startLat, startLng, endLat, endLng) => {
-  // Initialize batch for tracker if it doesn't exist
-  if (!trailBatches[trackerId]) {
-    trailBatches[trackerId] = [];
-    console.log(`🆕 Initialized new batch for tracker ${trackerId}`);
-  }
-
-  // Add new trail entry to batch
-  trailBatches[trackerId].push({
-    start_lat: startLat,
-    start_lng: startLng,
-    end_lat: endLat,
-    end_lng: endLng,
-    created_at: new Date()
+// point: { lat, lng, recorded_at (device time), battery, accuracy, hdop,
+// satellites, speed, starts_track (not joined to the previous point) }
+const addTrailPoint = async (trackerId, point) => {
+  // Add new trail point to batch
+  const currentBatchSize = await state.push(NAMESPACES.TRAIL_BATCHES, trackerId, {
+    ...point,
+    recorded_at: point.recorded_at || new Date(),
+    queued_at: Date.now()
   });
 
-  const currentBatchSize = trailBatches[trackerId].length;
-  console.log(`📝 Added trail entry to ${trackerId} batch (${currentBatchSize}/${BATCH_SIZE})`);
+  if (currentBatchSize === 1) {
+    console.log(`🆕 Initialized new batch for tracker ${trackerId}`);
+  }
+  console.log(`📝 Added trail point to ${trackerId} batch (${currentBatchSize}/${BATCH_SIZE})`);
 
   // Check if batch is full
   if (currentBatchSize >= BATCH_SIZE) {
-    const batch = [...trailBatches[trackerId]]; // Copy the batch
-    trailBatches[trackerId] = []; // Clear the batch
-    
-    console.log(`💾 Batch full for ${trackerId}, saving ${batch.length} entries to database`);
-    // Save batch asynchronously
+    // Take and clear the batch in one step (another node may be flushing it)
+    const batch = await state.take(NAMESPACES.TRAIL_BATCHES, trackerId);
+    if (batch.length === 0) return;
+
+    console.log(`💾 Batch full for ${trackerId}, saving ${batch.length} points to database`);
     await saveTrailBatch(trackerId, batch);
   }
 };
 
-// Flush all remaining batches (for server shutdown or periodic cleanup)
-const flushAllTrailBatches = async () => {
-  const trackerIds = Object.keys(trailBatches);
+// Flush the pending batches of the given trackers
+const flushTrailBatches = async (trackerIds) => {
   const flushPromises = [];
 
   for (const trackerId of trackerIds) {
-    if (trailBatches[trackerId].length > 0) {
-      const batch = [...trailBatches[trackerId]];
-      trailBatches[trackerId] = [];
+    const batch = await state.take(NAMESPACES.TRAIL_BATCHES, trackerId);
+    if (batch.length > 0) {
       flushPromises.push(saveTrailBatch(trackerId, batch));
     }
   }
@@ -162,38 +233,48 @@ const flushAllTrailBatches = async () => {
   }
 };
 
+// Flush all remaining batches (for shutdown of a node with an in-memory store)
+const flushAllTrailBatches = async () => {
+  const trackerIds = Object.keys(await state.lists(NAMESPACES.TRAIL_BATCHES));
+  await flushTrailBatches(trackerIds);
+};
+
 // Periodic flush for batches that haven't reached full size (every 5 minutes)
 setInterval(async () => {
-  const now = new Date();
-  const trackerIds = Object.keys(trailBatches);
-  
-  for (const trackerId of trackerIds) {
-    const batch = trailBatches[trackerId];
-    if (batch.length > 0) {
-      // Check if oldest entry is more than 5 minutes old
+  const now = Date.now();
+
+  try {
+    const batches = await state.lists(NAMESPACES.TRAIL_BATCHES);
+
+    for (const [trackerId, batch] of Object.entries(batches)) {
+      // Check if oldest entry has been waiting more than 5 minutes
       const oldestEntry = batch[0];
-      const timeDiff = now - new Date(oldestEntry.created_at);
+      const timeDiff = now - oldestEntry.queued_at;
       const fiveMinutes = 5 * 60 * 1000;
-      
+
       if (timeDiff > fiveMinutes) {
-        const batchToSave = [...batch];
-        trailBatches[trackerId] = [];
+        const batchToSave = await state.take(NAMESPACES.TRAIL_BATCHES, trackerId);
+        if (batchToSave.length === 0) continue;
+
         await saveTrailBatch(trackerId, batchToSave);
-        console.log(`⏰ Auto-flushed ${batchToSave.length} trail entries for tracker ${trackerId} (5min timeout)`);
+        console.log(`⏰ Auto-flushed ${batchToSave.length} trail points for tracker ${trackerId} (5min timeout)`);
       }
     }
+  } catch (error) {
+    console.error("❌ Error auto-flushing trail batches:", error.message);
   }
 }, 5 * 60 * 1000); // Run every 5 minutes
 
-function getAllDevicesWithStatus() {
+async function getAllDevicesWithStatus() {
   const now = Date.now();
+  const latestDevices = await state.getAll(NAMESPACES.LATEST_DEVICES);
   return Object.entries(latestDevices).map(([deviceId, info]) => ({
     deviceId,
     lat: info.lat,
     lng: info.lng,
     battery: info.battery,
     lastSeen: info.lastSeen,
-    isOnline: now - info.lastSeen <= CHECK_INTERVAL,
+    isOnline: info.online !== false && now - info.lastSeen <= CHECK_INTERVAL,
   }));
 }
 
@@ -202,7 +283,7 @@ async function broadcastDevices() {
     const sockets = await io.fetchSockets();
 
     for (const socket of sockets) {
-      const userId = socket.handshake.query.userId;
+      const userId = socket.data.userId;
       if (userId) {
         try {
           const userDevices = await getUserDevices(userId);
@@ -234,7 +315,7 @@ async function getUserDevices(userId) {
 
     const userDeviceIds = trackers.map((t) => t.device_id);
     const assignedDeviceIds = allAssignedTrackers.map((t) => t.device_id);
-    const allDevices = getAllDevicesWithStatus();
+    const allDevices = await getAllDevicesWithStatus();
 
     return allDevices.filter(
       (device) =>
@@ -247,16 +328,25 @@ async function getUserDevices(userId) {
   }
 }
 
+// TELEMETRY PIPELINE (SHARED BY ALL INGESTION CHANNELS)
+const telemetryDeps = {
+  pool,
+  io,
+  state,
+  addTrailPoint,
+  saveTrailBatch,
+  broadcastDevices,
+};
+const telemetryPipeline = createDefaultTelemetryPipeline(telemetryDeps);
+
+// SOCKET AUTHENTICATION
+io.use(authenticateSocket);
+
 // SOCKET CONNECTION
 io.on("connection", async (socket) => {
   console.log("🔌 Client connected via Socket.IO");
 
-  const userId = socket.handshake.query.userId;
-  if (!userId) {
-    console.error("❌ Missing userId in Socket.IO connection");
-    socket.disconnect();
-    return;
-  }
+  const userId = socket.data.userId;
 
   socket.join(userId);
   console.log(`🔒 User ${userId} joined their room`);
@@ -276,1160 +366,169 @@ io.on("connection", async (socket) => {
 });
 
 // DEVICE SENDS DATA
-app.post("/data", async (req, res) => {
-  let connection;
+app.post("/data", deviceAuth.authenticateDevice, async (req, res) => {
   try {
-    const now = Date.now();
     const data = req.body;
 
     if (!data || typeof data !== "object" || !data.deviceId) {
       console.log("⚠️ Received invalid or empty JSON");
       return res.status(400).send("Invalid JSON payload");
     }
-    
-    if (!data.userId) {
-      const cachedUserId = getCachedUserId(data.deviceId);
-      
-      if (cachedUserId) {
-        data.userId = cachedUserId;
-      } else {
-        try {
-          const trackerInfo = await queryWithRetry(
-            pool,
-            `SELECT user_id FROM trackers WHERE device_id = ? LIMIT 1`,
-            [data.deviceId]
-          );
-          
-          if (trackerInfo.length > 0) {
-            data.userId = trackerInfo[0].user_id;
-            cacheDeviceUser(data.deviceId, data.userId);
-            console.log(`ℹ️ Found and cached userId ${data.userId} for device ${data.deviceId}`);
-          } else {
-            console.log(`⚠️ No userId found for device ${data.deviceId}`);
-          }
-        } catch (lookupError) {
-          console.error(`❌ Error looking up userId for device ${data.deviceId}:`, lookupError.message);
-        }
-      }
-    }
 
-    const prevState = latestDevices[data.deviceId] || {};
+    const result = await telemetryPipeline.process(data, { source: "http" });
 
-    latestDevices[data.deviceId] = {
-      lat: data.lat,
-      lng: data.lng,
-      battery: data.battery,
-      lastSeen: now,
-      online: true,
-      userId: data.userId,
-    };
+    if (result.rejected) {
+      return res.status(422).send(`Rejected: ${result.stopReason}`);
+    }
 
-    // TRAIL HISTORY BATCHING - Add movement to batch if we have previous position
-    if (prevState.lat && prevState.lng && data.lat && data.lng) {
-      // Only add to trail if the device has moved significantly (to avoid saving identical positions)
-      const latDiff = Math.abs(data.lat - prevState.lat);
-      const lngDiff = Math.abs(data.lng - prevState.lng);
-      const minMovement = 0.00001; // Minimum movement threshold
-      
-      console.log(`🚶 ${data.deviceId} movement check: latDiff=${latDiff.toFixed(6)}, lngDiff=${lngDiff.toFixed(6)}, threshold=${minMovement}`);
-      
-      if (latDiff > minMovement || lngDiff > minMovement) {
-        console.log(`✅ ${data.deviceId} moved significantly, adding to trail batch`);
-        try {
-          await addToTrailBatch(
-            data.deviceId, 
-            prevState.lat, 
-            prevState.lng, 
-            data.lat, 
-            data.lng
-          );
-        } catch (trailError) {
-          console.error(`❌ Error adding to trail batch for ${data.deviceId}:`, trailError.message);
-        }
-      } else {
-        console.log(`📍 ${data.deviceId} movement too small, skipping trail batch`);
-      }
+    res.status(200).send("✅ Data received");
+  } catch (err) {
+    const isConnectionError = isRetryableError(err);
+    
+    console.error("❌ Error handling /data:", {
+      message: err.message,
+      code: err.code || 'unknown',
+      isConnectionError,
+      stack: err.stack
+    });
+    
+    if (isConnectionError) {
+      console.log("🔄 Responding with temporary error for connection issue - device should retry");
+      res.status(503).send("Database connection error - please retry");
     } else {
-      console.log(`🔍 ${data.deviceId} - Missing previous or current position for trail batching`);
+      res.status(500).send("Server error");
     }
+  }
+});
 
-    if (
-      data.battery !== undefined &&
-      data.battery <= 20 &&
-      (prevState.battery === undefined || prevState.battery > 20)
-    ) {
-      try {
-        let batteryConnection = await pool.getConnection();
-        const [trackers] = await batteryConnection.query(
-          `SELECT user_id, pet_name FROM trackers WHERE device_id = ?`,
-          [data.deviceId]
-        );
-        batteryConnection.release();
-
-        for (const tracker of trackers) {
-          const userId = tracker.user_id;
-          const petName = tracker.pet_name || "Your pet";
-
-          await notificationHelper.createNotification(
-            io,
-            userId,
-            data.deviceId,
-            `⚠️ ${petName}'s tracker battery is low (${data.battery}%)`,
-            "alert"
-          );
-
-          // SMS NOTIFICATION FOR LOW BATTERY
-          try {
-            console.log(
-              `🔋 Checking low battery notification settings for user ${userId}`
-            );
-
-            let settingsConn = await pool.getConnection();
-            const [settings] = await settingsConn.query(
-              `SELECT * FROM sms_notification_settings WHERE user_id = ?`,
-              [userId]
-            );
-            settingsConn.release();
-
-            if (settings.length > 0) {
-              console.log(
-                `📋 Raw low battery settings from database for user ${userId}:`,
-                JSON.stringify(settings[0])
-              );
-            } else {
-              console.log(`⚠️ No SMS settings found for user ${userId}`);
-              continue;
-            }
-
-            const notificationEnabled = await isNotificationEnabled(
-              pool,
-              userId,
-              "low_battery"
-            );
-
-            if (!notificationEnabled) {
-              console.log(
-                `ℹ️ User ${userId} has disabled SMS notifications for low battery events`
-              );
-              continue;
-            } else {
-              console.log(
-                `✅ User ${userId} has enabled SMS notifications for low battery events`
-              );
-            }
-
-            const { phoneNumber } = await getTrackerOwnerPhone(
-              pool,
-              data.deviceId
-            );
-
-            if (!phoneNumber) {
-              console.warn(
-                `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-              );
-              continue;
-            }
-
-            console.log(
-              `📱 Sending SMS for low battery: ${petName}'s tracker at ${data.battery}% to ${phoneNumber}`
-            );
-
-            const smsResponse = await sendSMS(
-              phoneNumber,
-              `⚠️ ALERT: ${petName}'s tracker battery is low (${
-                data.battery
-              }%). Please charge soon. Time: ${new Date().toLocaleString('en-US', { 
-                timeZone: 'Asia/Manila', 
-                year: 'numeric', 
-                month: '2-digit', 
-                day: '2-digit', 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                second: '2-digit',
-                hour12: true 
-              })}`
-            );
-
-            console.log(`✅ SMS sent for low battery`, smsResponse);
-          } catch (smsError) {
-            console.error(
-              `❌ Failed to send SMS for low battery:`,
-              smsError.message
-            );
-          }
-        }
-      } catch (batteryError) {
-        console.error(
-          `❌ Error processing low battery notification:`,
-          batteryError.message
-        );
-      }
-    }
+// DEVICE UPLOADS FIXES BUFFERED WHILE OFFLINE
+app.post("/data/batch", deviceAuth.authenticateDevice, async (req, res) => {
+  try {
+    const { deviceId, fixes } = req.body || {};
 
-    if (deviceStatus[data.deviceId] !== "online") {
-      console.log(`🟢 ${data.deviceId} is now ONLINE`);
-      deviceStatus[data.deviceId] = "online";
+    if (!deviceId || !Array.isArray(fixes) || fixes.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "deviceId and a non-empty fixes[] are required" });
+    }
 
-      try {
-        connection = await pool.getConnection();
-        const [trackers] = await connection.query(
-          `SELECT user_id, pet_name FROM trackers WHERE device_id = ?`,
-          [data.deviceId]
-        );
-        connection.release();
-
-        // Save tracker history for ONLINE status
-        for (const tracker of trackers) {
-          await trackerHistory.saveTrackerHistory({
-            tracker_id: data.deviceId,
-            user_id: tracker.user_id,
-            history_type: 'online',
-            lat: data.lat,
-            lng: data.lng,
-            battery: data.battery
-          });
-        }
+    if (fixes.length > MAX_BACKFILL_FIXES) {
+      return res.status(413).json({
+        message: `At most ${MAX_BACKFILL_FIXES} fixes can be uploaded at once`,
+      });
+    }
 
-        for (const tracker of trackers) {
-          const petName = tracker.pet_name || "Your pet";
-          const message = `${petName}'s tracker (${data.deviceId}) is now ONLINE`;
-
-          await notificationHelper.createNotification(
-            io,
-            tracker.user_id,
-            data.deviceId,
-            message,
-            "normal"
-          );
-        }
+    const summary = await processBackfill(telemetryDeps, deviceId, fixes);
+    return res.status(200).json(summary);
+  } catch (err) {
+    console.error("❌ Error handling /data/batch:", {
+      message: err.message,
+      code: err.code || 'unknown',
+    });
 
-        // SMS NOTIFICATION FOR DEVICE ONLINE STATUS
-        try {
-          for (const tracker of trackers) {
-            const userId = tracker.user_id;
-
-            console.log(
-              `🔎 Checking online notification settings for user ${userId} and device ${data.deviceId}`
-            );
-
-            let connection = await pool.getConnection();
-            const [settings] = await connection.query(
-              `SELECT * FROM sms_notification_settings WHERE user_id = ?`,
-              [userId]
-            );
-            connection.release();
-
-            if (settings.length > 0) {
-              console.log(
-                `📋 Raw settings from database for user ${userId}:`,
-                JSON.stringify(settings[0])
-              );
-            } else {
-              console.log(`⚠️ No SMS settings found for user ${userId}`);
-              continue;
-            }
-
-            const notificationEnabled = await isNotificationEnabled(
-              pool,
-              userId,
-              "online"
-            );
-
-            if (!notificationEnabled) {
-              console.log(
-                `ℹ️ User ${userId} has disabled SMS notifications for online events`
-              );
-              continue;
-            } else {
-              console.log(
-                `✅ User ${userId} has enabled SMS notifications for online events`
-              );
-            }
-
-            const { phoneNumber } = await getTrackerOwnerPhone(
-              pool,
-              data.deviceId
-            );
-
-            if (!phoneNumber) {
-              console.warn(
-                `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-              );
-              continue;
-            }
-
-            const petName = tracker.pet_name || "Your pet";
-            console.log(
-              `📱 Sending SMS notification for ${data.deviceId} going online to ${phoneNumber}`
-            );
-
-            const smsResponse = await sendSMS(
-              phoneNumber,
-              `${petName}'s tracker (${
-                data.deviceId
-              }) is now ONLINE. Time: ${new Date().toLocaleString('en-US', { 
-                timeZone: 'Asia/Manila', 
-                year: 'numeric', 
-                month: '2-digit', 
-                day: '2-digit', 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                second: '2-digit',
-                hour12: true 
-              })}`
-            );
-
-            console.log(
-              `✅ SMS notification sent for device ${data.deviceId}`,
-              smsResponse
-            );
-          }
-        } catch (smsError) {
-          console.error(
-            `❌ Failed to send SMS notification:`,
-            smsError.message
-          );
-        }
-      } catch (notifError) {
-        console.error(`❌ Error creating online notification:`, notifError);
-      }
+    if (isRetryableError(err)) {
+      return res.status(503).json({ message: "Database connection error - please retry" });
     }
+    return res.status(500).json({ message: "Failed to store backfill" });
+  }
+});
 
-    if (!global.lastGeofenceState) global.lastGeofenceState = {};
-    const lastState = global.lastGeofenceState[data.deviceId] || [];
+// DEVICE GOES OFFLINE
+async function markDeviceOffline(deviceId) {
+  let connection;
+  try {
+    const info = await state.get(NAMESPACES.LATEST_DEVICES, deviceId);
+    if (!info) return;
 
-    const geofences = await queryWithRetry(
-      pool,
-      `
-      SELECT g.*
-      FROM geofences g
-      JOIN geofence_assignment ga ON g.geofence_id = ga.geofence_id
-      WHERE ga.device_id = ?
-      `,
-      [data.deviceId]
-    );
+    // Swapped atomically so only one node reports the transition
+    const previous = await state.swap(NAMESPACES.DEVICE_STATUS, deviceId, "offline");
+    if (previous === "offline") return;
 
-    if (geofences.length === 0) {
-      console.log(
-        `ℹ️ No geofences set for ${data.deviceId}. Skipping geofence check.`
-      );
-    } else {
-      if (!global.lastGeofenceState) global.lastGeofenceState = {};
-      const lastState = global.lastGeofenceState[data.deviceId] || [];
-
-      const insideGeofences = [];
-      const geofenceDistances = [];
-      for (const geofence of geofences) {
-        const result = isInsideGeofence(data.lat, data.lng, [geofence]);
-        if (result.isInside) {
-          insideGeofences.push(geofence.geofence_id);
-        }
-        geofenceDistances.push({
-          geofenceId: geofence.geofence_id,
-          geofenceName: geofence.geofence_name || geofence.geofence_id,
-          distance: result.distance,
-        });
-      }
+    console.log(`🔴 ${deviceId} is now OFFLINE`);
+    await state.update(NAMESPACES.LATEST_DEVICES, deviceId, { online: false });
 
-      // GET PET NAME FOR NOTIFICATIONS
-      const trackerInfo = await queryWithRetry(
-        pool,
-        `SELECT user_id, pet_name FROM trackers WHERE device_id = ?`,
-        [data.deviceId]
-      );
-
-      for (const geofence of geofences) {
-        const geofenceId = geofence.geofence_id;
-        const geofenceName = geofence.geofence_name || geofenceId;
-        const wasInside = lastState.includes(geofenceId);
-        const isNowInside = insideGeofences.includes(geofenceId);
-        const distObj = geofenceDistances.find(
-          (gd) => gd.geofenceId === geofenceId
-        );
+    connection = await pool.getConnection();
 
-        for (const tracker of trackerInfo) {
-          const petName = tracker.pet_name || "Your pet";
-
-          if (!wasInside && isNowInside) {
-            console.log(
-              `✅ Pet ${data.deviceId} is now inside geofence (${geofenceName})`
-            );
-
-            // Save tracker history for GEOFENCE ENTRY
-            await trackerHistory.saveTrackerHistory({
-              tracker_id: data.deviceId,
-              user_id: tracker.user_id,
-              history_type: 'geofence_in',
-              lat: data.lat,
-              lng: data.lng,
-              battery: data.battery
-            });
-
-            await notificationHelper.createNotification(
-              io,
-              tracker.user_id,
-              data.deviceId,
-              `${petName} has entered the "${geofenceName}" geofence zone`,
-              "normal"
-            );
-
-            // SMS NOTIFICATION FOR GEOFENCE ENTRY
-            try {
-              const userId = tracker.user_id;
-              console.log(
-                `🔎 Checking geofence entry notification settings for user ${userId}`
-              );
-
-              let settingsConn = await pool.getConnection();
-              const [settings] = await settingsConn.query(
-                `SELECT * FROM sms_notification_settings WHERE user_id = ?`,
-                [userId]
-              );
-              settingsConn.release();
-
-              if (settings.length > 0) {
-                console.log(
-                  `📋 Raw geofence entry settings from database for user ${userId}:`,
-                  JSON.stringify(settings[0])
-                );
-              } else {
-                console.log(`⚠️ No SMS settings found for user ${userId}`);
-                continue;
-              }
-
-              const notificationEnabled = await isNotificationEnabled(
-                pool,
-                userId,
-                "in_geofence"
-              );
-
-              if (!notificationEnabled) {
-                console.log(
-                  `ℹ️ User ${userId} has disabled SMS notifications for geofence entry events`
-                );
-                continue;
-              } else {
-                console.log(
-                  `✅ User ${userId} has enabled SMS notifications for geofence entry events`
-                );
-              }
-
-              const { phoneNumber } = await getTrackerOwnerPhone(
-                pool,
-                data.deviceId
-              );
-
-              if (!phoneNumber) {
-                console.warn(
-                  `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-                );
-                continue;
-              }
-
-              console.log(
-                `📱 Sending SMS for geofence entry: ${petName} entered ${geofenceName} to ${phoneNumber}`
-              );
-
-              const smsResponse = await sendSMS(
-                phoneNumber,
-                `${petName} has ENTERED the "${geofenceName}" geofence zone. Time: ${new Date().toLocaleString('en-US', { 
-                  timeZone: 'Asia/Manila', 
-                  year: 'numeric', 
-                  month: '2-digit', 
-                  day: '2-digit', 
-                  hour: '2-digit', 
-                  minute: '2-digit', 
-                  second: '2-digit',
-                  hour12: true 
-                })}`
-              );
-
-              console.log(`✅ SMS sent for geofence entry`, smsResponse);
-            } catch (smsError) {
-              console.error(
-                `❌ Failed to send SMS for geofence entry:`,
-                smsError.message
-              );
-            }
-          } else if (wasInside && isNowInside) {
-            console.log(
-              `✅ Pet ${data.deviceId} is inside geofence (${geofenceName})`
-            );
-          } else if (wasInside && !isNowInside) {
-            console.warn(
-              `⚠️ Pet ${
-                data.deviceId
-              } is now outside geofence (${geofenceName}) (~${distObj.distance.toFixed(
-                2
-              )}m away)`
-            );
-
-            // Save tracker history for GEOFENCE EXIT
-            await trackerHistory.saveTrackerHistory({
-              tracker_id: data.deviceId,
-              user_id: tracker.user_id,
-              history_type: 'geofence_out',
-              lat: data.lat,
-              lng: data.lng,
-              battery: data.battery
-            });
-
-            // "LEFT GEOFENCE" NOTIFICATION
-            await notificationHelper.createNotification(
-              io,
-              tracker.user_id,
-              data.deviceId,
-              `⚠️ ${petName} has left the "${geofenceName}" geofence zone!`,
-              "alert"
-            );
-
-            // SMS NOTIFICATION FOR GEOFENCE EXIT
-            try {
-              const userId = tracker.user_id;
-              console.log(
-                `🔎 Checking geofence exit notification settings for user ${userId}`
-              );
-
-              let settingsConn = await pool.getConnection();
-              const [settings] = await settingsConn.query(
-                `SELECT * FROM sms_notification_settings WHERE user_id = ?`,
-                [userId]
-              );
-              settingsConn.release();
-
-              if (settings.length > 0) {
-                console.log(
-                  `📋 Raw geofence exit settings from database for user ${userId}:`,
-                  JSON.stringify(settings[0])
-                );
-              } else {
-                console.log(`⚠️ No SMS settings found for user ${userId}`);
-                continue;
-              }
-
-              const notificationEnabled = await isNotificationEnabled(
-                pool,
-                userId,
-                "out_geofence"
-              );
-
-              if (!notificationEnabled) {
-                console.log(
-                  `ℹ️ User ${userId} has disabled SMS notifications for geofence exit events`
-                );
-                continue;
-              } else {
-                console.log(
-                  `✅ User ${userId} has enabled SMS notifications for geofence exit events`
-                );
-              }
-
-              const { phoneNumber } = await getTrackerOwnerPhone(
-                pool,
-                data.deviceId
-              );
-
-              if (!phoneNumber) {
-                console.warn(
-                  `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-                );
-                continue;
-              }
-
-              console.log(
-                `📱 Sending SMS for geofence exit: ${petName} left ${geofenceName} to ${phoneNumber}`
-              );
-
-              const smsResponse = await sendSMS(
-                phoneNumber,
-                `⚠️ ALERT: ${petName} has LEFT the "${geofenceName}" geofence zone! Time: ${new Date().toLocaleString('en-US', { 
-                  timeZone: 'Asia/Manila', 
-                  year: 'numeric', 
-                  month: '2-digit', 
-                  day: '2-digit', 
-                  hour: '2-digit', 
-                  minute: '2-digit', 
-                  second: '2-digit',
-                  hour12: true 
-                })}`
-              );
-
-              console.log(`✅ SMS sent for geofence exit`, smsResponse);
-            } catch (smsError) {
-              console.error(
-                `❌ Failed to send SMS for geofence exit:`,
-                smsError.message
-              );
-            }
-          }
-        }
-      }
+    // TRACKER LAST KNOWN DATA
+    await connection.query(
+      `UPDATE trackers 
+   SET last_battery = ?, last_lat = ?, last_lng = ?, last_seen = NOW()
+   WHERE device_id = ?`,
+      [info.battery ?? null, info.lat ?? null, info.lng ?? null, deviceId]
+    );
+    console.log(
+      `📦 Saved last known data for ${deviceId} (Battery: ${info.battery}%)`
+    );
 
-      if (insideGeofences.length === 0) {
-        const distMsg = geofenceDistances
-          .map((gd) => `${gd.geofenceName} ~${gd.distance.toFixed(2)}m`)
-          .join(", ");
-        console.warn(
-          `⚠️ Pet ${data.deviceId} is now outside all geofences: ${distMsg}`
-        );
-      }
+    // TRACKER OWNER
+    const [trackers] = await connection.query(
+      `SELECT user_id, pet_name FROM trackers WHERE device_id = ?`,
+      [deviceId]
+    );
 
-      global.lastGeofenceState[data.deviceId] = insideGeofences;
+    // Save tracker history for OFFLINE status
+    for (const tracker of trackers) {
+      await trackerHistory.saveTrackerHistory({
+        tracker_id: deviceId,
+        user_id: tracker.user_id,
+        history_type: 'offline',
+        lat: info.lat,
+        lng: info.lng,
+        battery: info.battery
+      });
     }
 
-    if (data.userId) {
-      if (!global.lastNearbyPetsState) {
-        global.lastNearbyPetsState = {};
-      }
-
-      if (!global.lastNearbyPetsState[data.deviceId]) {
-        global.lastNearbyPetsState[data.deviceId] = [];
-      }
-
-      const currentPet = {
-        lat: data.lat,
-        lng: data.lng,
-        userId: data.userId,
-        deviceId: data.deviceId,
-      };
-
-      const otherPets = Object.entries(latestDevices)
-        .filter(([deviceId]) => deviceId !== data.deviceId)
-        .map(([deviceId, device]) => ({
-          deviceId,
-          lat: device.lat,
-          lng: device.lng,
-          userId: device.userId,
-        }));
-
-      let detectionRadius = 10; 
-      try {
-        const userSettings = await queryWithRetry(
-          pool,
-          `SELECT meter_radius FROM sms_notification_settings WHERE user_id = ?`,
-          [data.userId]
-        );
-        
-        if (userSettings.length > 0 && userSettings[0].meter_radius) {
-          detectionRadius = parseInt(userSettings[0].meter_radius) || 10;
-          console.log(
-            `📏 Using configured detection radius: ${detectionRadius}m for user ${data.userId}`
-          );
-        } else {
-          console.log(
-            `📏 Using default detection radius: ${detectionRadius}m for user ${data.userId}`
-          );
-        }
-      } catch (radiusError) {
-        console.error(`❌ Error getting detection radius for user ${data.userId}:`, radiusError.message);
-        console.log(
-          `📏 Using default detection radius: ${detectionRadius}m for user ${data.userId}`
-        );
-      }
+    // CREATE NONTIF
+    for (const tracker of trackers) {
+      const petName = tracker.pet_name || "Your pet";
+      const message = `${petName}'s tracker (${deviceId}) has gone OFFLINE`;
 
-      const nearbyPetsResult = detectNearbyPets(
-        currentPet,
-        otherPets,
-        detectionRadius
+      await notificationHelper.createNotification(
+        io,
+        tracker.user_id,
+        deviceId,
+        message,
+        "offline"
       );
+    }
 
-      if (nearbyPetsResult.length > 0) {
-        try {
-          const nearbyDeviceIds = nearbyPetsResult.map((pet) => pet.deviceId);
-          const allDeviceIds = [data.deviceId, ...nearbyDeviceIds];
-
-          const ownerInfo = await queryWithRetry(
-            pool,
-            `SELECT t.device_id, t.user_id, t.pet_name, t.pet_type, t.pet_breed, u.first_name, u.last_name, u.email 
-             FROM trackers t 
-             JOIN users u ON t.user_id = u.user_id 
-             WHERE t.device_id IN (?)`,
-            [allDeviceIds]
-          );
-
-          const ownerGroups = {};
-          const deviceOwnerMap = {};
-
-          ownerInfo.forEach((tracker) => {
-            const userId = tracker.user_id;
-            const deviceId = tracker.device_id;
-            const petName = tracker.pet_name || "Unnamed Pet";
-            const petType = tracker.pet_type || "Unknown";
-            const petBreed = tracker.pet_breed || "Unknown";
-            const ownerName =
-              `${tracker.first_name || ""} ${tracker.last_name || ""}`.trim() ||
-              tracker.email ||
-              `User ${userId}`;
-
-            const deviceCoords =
-              deviceId === data.deviceId
-                ? { lat: data.lat, lng: data.lng }
-                : nearbyPetsResult.find((pet) => pet.deviceId === deviceId);
-
-            deviceOwnerMap[deviceId] = {
-              userId,
-              petName,
-              petType,
-              petBreed,
-              ownerName,
-            };
-
-            if (!ownerGroups[userId]) {
-              ownerGroups[userId] = [];
-            }
-            ownerGroups[userId].push({
-              deviceId,
-              petName,
-              petType,
-              petBreed,
-              lat: deviceCoords?.lat,
-              lng: deviceCoords?.lng,
-              owner: { userId, petName, petType, petBreed, ownerName },
-            });
-          });
-
-          const involvedUserIds = Object.keys(ownerGroups);
-
-          if (involvedUserIds.length > 1) {
-            console.log(
-              `🐾 Nearby pets detected from different owners (within ${detectionRadius}m):`,
-              ownerGroups
-            );
-
-            const shouldGroupPets = Object.values(ownerGroups).some(
-              (pets) => pets.length > 1
-            );
-
-            let nearbyPetsData;
-
-            if (shouldGroupPets) {
-              nearbyPetsData = {
-                type: "grouped",
-                involvedUsers: involvedUserIds,
-                ownerGroups: ownerGroups,
-                triggerDevice: {
-                  deviceId: data.deviceId,
-                  owner: deviceOwnerMap[data.deviceId],
-                  lat: data.lat,
-                  lng: data.lng,
-                },
-                nearbyDevices: nearbyPetsResult.map((pet) => ({
-                  deviceId: pet.deviceId,
-                  lat: pet.lat,
-                  lng: pet.lng,
-                  owner: deviceOwnerMap[pet.deviceId],
-                })),
-              };
-            } else {
-              const allPets = [];
-
-              allPets.push({
-                deviceId: data.deviceId,
-                petName:
-                  deviceOwnerMap[data.deviceId]?.petName || "Unnamed Pet",
-                petType: deviceOwnerMap[data.deviceId]?.petType || "Unknown",
-                petBreed: deviceOwnerMap[data.deviceId]?.petBreed || "Unknown",
-                userId: deviceOwnerMap[data.deviceId]?.userId,
-                ownerName:
-                  deviceOwnerMap[data.deviceId]?.ownerName ||
-                  `User ${deviceOwnerMap[data.deviceId]?.userId}`,
-                lat: data.lat,
-                lng: data.lng,
-                isTrigger: true,
-              });
-
-              nearbyPetsResult.forEach((pet) => {
-                allPets.push({
-                  deviceId: pet.deviceId,
-                  petName:
-                    deviceOwnerMap[pet.deviceId]?.petName || "Unnamed Pet",
-                  petType: deviceOwnerMap[pet.deviceId]?.petType || "Unknown",
-                  petBreed: deviceOwnerMap[pet.deviceId]?.petBreed || "Unknown",
-                  userId: deviceOwnerMap[pet.deviceId]?.userId,
-                  ownerName:
-                    deviceOwnerMap[pet.deviceId]?.ownerName ||
-                    `User ${deviceOwnerMap[pet.deviceId]?.userId}`,
-                  lat: pet.lat,
-                  lng: pet.lng,
-                  isTrigger: false,
-                });
-              });
-
-              nearbyPetsData = {
-                type: "individual",
-                involvedUsers: involvedUserIds,
-                pets: allPets,
-              };
-            }
-
-      if (!global.nearbyPetsInteractions) {
-        global.nearbyPetsInteractions = {};
-      }
-      
-      const allInvolvedDeviceIds = [...nearbyDeviceIds, data.deviceId].sort();
-      const interactionKey = allInvolvedDeviceIds.join(',');
-      
-      const hasNotifiedBefore = global.nearbyPetsInteractions[interactionKey] === true;
-      
-      involvedUserIds.forEach((userId) => {
-        io.to(userId).emit("nearby-pets", nearbyPetsData);
-      });
-      
-      if (!hasNotifiedBefore) {
-        global.nearbyPetsInteractions[interactionKey] = true;
-        
-        console.log(`✨ New nearby pets interaction detected (${interactionKey}), sending notifications`);
-        
-        let userSettings = {};
-        try {
-          const userSettingsResult = await queryWithRetry(
-            pool,
-            `SELECT u.user_id, u.phone, s.nearby_pet as nearby_pet_enabled 
-             FROM users u
-             LEFT JOIN sms_notification_settings s ON u.user_id = s.user_id
-             WHERE u.user_id IN (?)`,
-            [involvedUserIds]
-          );
-          
-          userSettingsResult.forEach(user => {
-            userSettings[user.user_id] = {
-              phoneNumber: user.phone,
-              nearbyPetsEnabled: user.nearby_pet_enabled === 1
-            };
-          });
-          
-          console.log(`📊 Retrieved settings for ${Object.keys(userSettings).length} users`);
-        } catch (settingsError) {
-          console.error(`❌ Error getting user notification settings:`, settingsError.message);
-        }
-        
-        for (const userId of involvedUserIds) {
-
-          let notificationMessage = "";
-          const currentUserPets = ownerGroups[userId] || [];
-          const otherOwners = involvedUserIds.filter(id => id !== userId);
-          
-          const userPetNames = currentUserPets.map(pet => pet.petName).join(", ");
-          
-          const nearbyPetsCount = Object.entries(ownerGroups)
-            .filter(([ownerId]) => ownerId !== userId)
-            .reduce((total, [_, pets]) => total + pets.length, 0);
-          
-          if (nearbyPetsCount === 1) {
-            const otherPet = Object.values(ownerGroups)
-              .flat()
-              .find(pet => pet.owner.userId !== userId);
-              
-            notificationMessage = `${userPetNames} is near ${otherPet.petName} (${otherPet.petType || 'pet'})`;
-          } else {
-            notificationMessage = `${userPetNames} is near ${nearbyPetsCount} other pets`;
-          }
-          
-          // Save tracker history for NEARBY PETS detection
-          await trackerHistory.saveTrackerHistory({
-            tracker_id: data.deviceId,
-            user_id: userId,
-            history_type: 'nearby_pets',
-            lat: data.lat,
-            lng: data.lng,
-            battery: data.battery
-          });
-
-          await notificationHelper.createNotification(
-            io,
-            userId,
-            data.deviceId,
-            notificationMessage,
-            "normal"
-          );
-          
-          console.log(
-            `📱 Notifying user ${userId} about nearby pets (${nearbyPetsData.type})`
-          );
-          
-          try {
-            const userSetting = userSettings[userId] || {};
-            console.log(`🔎 Checking nearby pets SMS notification settings for user ${userId}`);
-            
-            const notificationEnabled = userSetting.nearbyPetsEnabled || 
-              await isNotificationEnabled(pool, userId, "nearby_pet");
-            
-            if (!notificationEnabled) {
-              console.log(
-                `ℹ️ User ${userId} has disabled SMS notifications for nearby pets events`
-              );
-              continue;
-            }
-            
-            const phoneNumber = userSetting.phoneNumber || 
-              (await getTrackerOwnerPhone(pool, ownerGroups[userId][0].deviceId)).phoneNumber;
-            
-            if (!phoneNumber) {
-              console.warn(
-                `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-              );
-              continue;
-            }
-            
-            const userPetNames = currentUserPets.map(pet => pet.petName).join(", ");
-            const otherOwnerPets = Object.entries(ownerGroups)
-              .filter(([ownerId]) => ownerId !== userId)
-              .map(([_, pets]) => pets)
-              .flat();
-            
-            let smsMessage = "";
-            if (otherOwnerPets.length === 1) {
-              smsMessage = `${userPetNames} is near ${otherOwnerPets[0].petName} (${otherOwnerPets[0].petType || 'pet'}) within ${detectionRadius}m. Time: ${new Date().toLocaleString('en-US', { 
-                timeZone: 'Asia/Manila', 
-                year: 'numeric', 
-                month: '2-digit', 
-                day: '2-digit', 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                second: '2-digit',
-                hour12: true 
-              })}`;
-            } else {
-              smsMessage = `${userPetNames} is near ${otherOwnerPets.length} other pets within ${detectionRadius}m. Time: ${new Date().toLocaleString('en-US', { 
-                timeZone: 'Asia/Manila', 
-                year: 'numeric', 
-                month: '2-digit', 
-                day: '2-digit', 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                second: '2-digit',
-                hour12: true 
-              })}`;
-            }
-            
-            console.log(
-              `📱 Sending SMS for nearby pets detection to ${phoneNumber}`
-            );
-            
-            const smsResponse = await sendSMS(
-              phoneNumber,
-              smsMessage
-            );
-            
-            console.log(`✅ SMS sent for nearby pets`, smsResponse);
-          } catch (smsError) {
-            console.error(
-              `❌ Failed to send SMS for nearby pets to user ${userId}:`,
-              smsError.message
-            );
-          }
-        }
-            } else {
-              console.log(`ℹ️ Interaction between pets already notified before (${interactionKey}), skipping notifications and SMS`);
-            }
-          }
-        } catch (nearbyError) {
-          console.error(
-            `❌ Error processing nearby pets detection:`,
-            nearbyError.message
-          );
-        }
-      } else {
-        const previousNearby = global.lastNearbyPetsState[data.deviceId] || [];
-        if (previousNearby.length > 0) {
-          console.log(`📍 Pets are no longer nearby for device ${data.deviceId}`);
-          global.lastNearbyPetsState[data.deviceId] = [];
-          
-          // (OPTIONAL: ADD FEATURE IF NEARBY PETS IS NO LONGER NEARBY)
-        }
-      }
-    } else {
-      console.log(
-        `ℹ️ Skipping nearby pets detection for unassigned device ${data.deviceId}`
+    // SMS NOTIFICATION FOR DEVICE OFFLINE STATUS
+    for (const tracker of trackers) {
+      const petName = tracker.pet_name || "Your pet";
+
+      await sendNotificationSMS(
+        pool,
+        tracker.user_id,
+        deviceId,
+        "offline",
+        `${petName}'s tracker (${deviceId}) has gone OFFLINE. Time: ${formatSMSTime()}`
       );
     }
-
-    console.log("📥 Received from device:", data);
-    broadcastDevices();
-    res.status(200).send("✅ Data received");
   } catch (err) {
-    const isConnectionError = 
-      err.code === 'ECONNRESET' || 
-      err.code === 'PROTOCOL_CONNECTION_LOST' ||
-      err.code === 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR' ||
-      err.code === 'ETIMEDOUT';
-    
-    console.error("❌ Error handling /data:", {
-      message: err.message,
-      code: err.code || 'unknown',
-      isConnectionError,
-      stack: err.stack
-    });
-    
-    if (isConnectionError) {
-      console.log("🔄 Responding with temporary error for connection issue - device should retry");
-      res.status(503).send("Database connection error - please retry");
-    } else {
-      res.status(500).send("Server error");
-    }
+    console.error(
+      `❌ Failed to process offline device ${deviceId}:`,
+      err.message
+    );
   } finally {
-    if (connection) {
-      try {
-        connection.release();
-      } catch (releaseError) {
-        console.warn("⚠️ Error releasing connection:", releaseError.message);
-      }
-    }
+    if (connection) connection.release();
   }
-});
+}
 
-// DEVICE GOES OFFLINE
-setInterval(() => {
+setInterval(async () => {
   const now = Date.now();
 
-  for (const [deviceId, info] of Object.entries(latestDevices)) {
-    const isOffline = now - info.lastSeen > CHECK_INTERVAL;
-    if (isOffline && deviceStatus[deviceId] !== "offline") {
-      console.log(`🔴 ${deviceId} is now OFFLINE`);
-      deviceStatus[deviceId] = "offline";
+  try {
+    const latestDevices = await state.getAll(NAMESPACES.LATEST_DEVICES);
+    const deviceStatus = await state.getAll(NAMESPACES.DEVICE_STATUS);
 
-      (async () => {
-        let connection;
-        try {
-          connection = await pool.getConnection();
-
-          // TRACKER LAST KNOWN DATA
-          await connection.query(
-            `UPDATE trackers 
-         SET last_battery = ?, last_lat = ?, last_lng = ?, last_seen = NOW()
-         WHERE device_id = ?`,
-            [info.battery ?? null, info.lat ?? null, info.lng ?? null, deviceId]
-          );
-          console.log(
-            `📦 Saved last known data for ${deviceId} (Battery: ${info.battery}%)`
-          );
-
-          // TRACKER OWNER
-          const [trackers] = await connection.query(
-            `SELECT user_id, pet_name FROM trackers WHERE device_id = ?`,
-            [deviceId]
-          );
-
-          // Save tracker history for OFFLINE status
-          for (const tracker of trackers) {
-            await trackerHistory.saveTrackerHistory({
-              tracker_id: deviceId,
-              user_id: tracker.user_id,
-              history_type: 'offline',
-              lat: info.lat,
-              lng: info.lng,
-              battery: info.battery
-            });
-          }
-
-          // CREATE NONTIF
-          for (const tracker of trackers) {
-            const petName = tracker.pet_name || "Your pet";
-            const message = `${petName}'s tracker (${deviceId}) has gone OFFLINE`;
-
-            await notificationHelper.createNotification(
-              io,
-              tracker.user_id,
-              deviceId,
-              message,
-              "offline"
-            );
-          }
-
-          // SMS NOTIFICATION FOR DEVICE OFFLINE STATUS
-          try {
-            for (const tracker of trackers) {
-              const userId = tracker.user_id;
-
-              console.log(
-                `🔎 Checking offline notification settings for user ${userId} and device ${deviceId}`
-              );
-
-              // RAW NOTIFICATION SETTINGS
-              let settingsConn = await pool.getConnection();
-              const [settings] = await settingsConn.query(
-                `SELECT * FROM sms_notification_settings WHERE user_id = ?`,
-                [userId]
-              );
-              settingsConn.release();
-
-              if (settings.length > 0) {
-                console.log(
-                  `📋 Raw settings from database for user ${userId}:`,
-                  JSON.stringify(settings[0])
-                );
-              } else {
-                console.log(`⚠️ No SMS settings found for user ${userId}`);
-                continue;
-              }
-
-              const notificationEnabled = await isNotificationEnabled(
-                pool,
-                userId,
-                "offline"
-              );
-
-              if (!notificationEnabled) {
-                console.log(
-                  `ℹ️ User ${userId} has disabled SMS notifications for offline events`
-                );
-                continue;
-              } else {
-                console.log(
-                  `✅ User ${userId} has enabled SMS notifications for offline events`
-                );
-              }
-
-              const { phoneNumber } = await getTrackerOwnerPhone(
-                pool,
-                deviceId
-              );
-
-              if (!phoneNumber) {
-                console.warn(
-                  `⚠️ No valid phone number for user ${userId}, skipping SMS notification`
-                );
-                continue;
-              }
-
-              const petName = tracker.pet_name || "Your pet";
-              console.log(
-                `📱 Sending SMS notification for ${deviceId} going offline to ${phoneNumber}`
-              );
-
-            const smsResponse = await sendSMS(
-              phoneNumber,
-              `${petName}'s tracker (${deviceId}) has gone OFFLINE. Time: ${new Date().toLocaleString('en-US', { 
-                timeZone: 'Asia/Manila', 
-                year: 'numeric', 
-                month: '2-digit', 
-                day: '2-digit', 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                second: '2-digit',
-                hour12: true 
-              })}`
-            );              console.log(
-                `✅ SMS notification sent for offline device ${deviceId}`,
-                smsResponse
-              );
-            }
-          } catch (smsError) {
-            console.error(
-              `❌ Failed to send SMS notification for offline device:`,
-              smsError.message
-            );
-          }
-        } catch (err) {
-          console.error(
-            `❌ Failed to process offline device ${deviceId}:`,
-            err.message
-          );
-        } finally {
-          if (connection) connection.release();
-        }
-      })();
+    for (const [deviceId, info] of Object.entries(latestDevices)) {
+      const isOffline = now - info.lastSeen > CHECK_INTERVAL;
+      if (isOffline && deviceStatus[deviceId] !== "offline") {
+        markDeviceOffline(deviceId);
+      }
     }
+  } catch (error) {
+    console.error("❌ Error checking device status:", error.message);
   }
 
   broadcastDevices();
@@ -1477,7 +576,7 @@ function startSimulation(deviceId, batteryOverride = null, movementType = 'rando
       };
 
       try {
-        await axios.post(`${process.env.SERVER_URL}/data`, payload);
+        await telemetryPipeline.process(payload, { source: "simulation" });
       } catch (err) {
         console.error(
           `❌ Failed to send simulated data for ${deviceId}:`,
@@ -1520,7 +619,7 @@ function startSimulation(deviceId, batteryOverride = null, movementType = 'rando
       };
 
       try {
-        await axios.post(process.env.SERVER_URL + `/data`, payload);
+        await telemetryPipeline.process(payload, { source: "simulation" });
       } catch (err) {
         console.error(
           `❌ Failed to send simulated data for ${deviceId}:`,
@@ -1543,7 +642,7 @@ function stopSimulation(deviceId) {
 }
 
 // SIMULATE MULTIPLE DEVICES
-app.post("/simulate-movement", (req, res) => {
+app.post("/simulate-movement", authenticateToken, async (req, res) => {
   const { deviceIds, start = true, battery = null, movementType = 'random' } = req.body;
 
   if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
@@ -1559,6 +658,19 @@ app.post("/simulate-movement", (req, res) => {
       .json({ message: "movementType must be either 'random' or 'centerpoint'" });
   }
 
+  // Simulated packets skip device auth, so only the owner may drive a tracker
+  try {
+    const ownedIds = await filterOwnedTrackers(pool, req.user.userId, deviceIds);
+    if (ownedIds.length !== deviceIds.length) {
+      return res
+        .status(403)
+        .json({ message: "You can only simulate your own trackers" });
+    }
+  } catch (err) {
+    console.error("❌ Error checking simulated trackers:", err.message);
+    return res.status(500).json({ message: "Failed to start simulation" });
+  }
+
   if (start) {
     deviceIds.forEach((id) => startSimulation(id, battery, movementType));
     return res.status(200).json({
@@ -1573,7 +685,7 @@ app.post("/simulate-movement", (req, res) => {
 });
 
 // SAVE TRACKER
-app.post("/api/trackers", async (req, res) => {
+app.post("/api/trackers", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { device_id, user_id, pet_name, pet_image, pet_type, pet_breed } =
@@ -1586,6 +698,8 @@ app.post("/api/trackers", async (req, res) => {
     // Cache the device-user relationship to avoid DB lookups
     cacheDeviceUser(device_id, user_id);
 
+    const deviceSecret = deviceAuth.generateDeviceSecret();
+
     let imageBuffer = null;
     if (pet_image && typeof pet_image === "string") {
       const base64Data = pet_image.includes("base64,")
@@ -1599,13 +713,19 @@ app.post("/api/trackers", async (req, res) => {
     await connection.query(
       `
       INSERT INTO trackers (
-        device_id, user_id, pet_name, pet_image, pet_type, pet_breed, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+        device_id, user_id, pet_name, pet_image, pet_type, pet_breed, device_secret, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
     `,
-      [device_id, user_id, pet_name, imageBuffer, pet_type, pet_breed]
+      [device_id, user_id, pet_name, imageBuffer, pet_type, pet_breed, deviceSecret]
     );
 
-    return res.status(201).json({ message: "Tracker saved successfully" });
+    deviceAuth.clearCachedSecret(device_id);
+
+    // The secret is only ever returned here and on rotation
+    return res.status(201).json({
+      message: "Tracker saved successfully",
+      device_secret: deviceSecret,
+    });
   } catch (err) {
     console.error("❌ Error saving tracker:", err.message);
     return res.status(500).json({ message: "Failed to save tracker" });
@@ -1615,7 +735,7 @@ app.post("/api/trackers", async (req, res) => {
 });
 
 // GET ALL TRACKERS FOR A USER
-app.get("/api/trackers/:userId", async (req, res) => {
+app.get("/api/trackers/:userId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId } = req.params;
@@ -1643,7 +763,7 @@ app.get("/api/trackers/:userId", async (req, res) => {
 });
 
 // UPDATE TRACKER
-app.put("/api/update-tracker", async (req, res) => {
+app.put("/api/update-tracker", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { deviceId, userId, petName, petType, petBreed, petImage } = req.body;
@@ -1710,12 +830,46 @@ app.put("/api/update-tracker", async (req, res) => {
   }
 });
 
+// ROTATE TRACKER DEVICE SECRET
+app.post(
+  "/api/trackers/:deviceId/secret",
+  authenticateToken,
+  requireTrackerOwner(pool, "deviceId"),
+  async (req, res) => {
+    let connection;
+    try {
+      const { deviceId } = req.params;
+      const deviceSecret = deviceAuth.generateDeviceSecret();
+
+      connection = await pool.getConnection();
+
+      await connection.query(
+        "UPDATE trackers SET device_secret = ? WHERE device_id = ? AND user_id = ?",
+        [deviceSecret, deviceId, req.user.userId]
+      );
+
+      deviceAuth.clearCachedSecret(deviceId);
+
+      console.log(`🔑 Rotated device secret for tracker ${deviceId}`);
+      return res.status(200).json({
+        message: "Device secret rotated successfully",
+        device_secret: deviceSecret,
+      });
+    } catch (err) {
+      console.error("❌ Error rotating device secret:", err.message);
+      return res.status(500).json({ message: "Failed to rotate device secret" });
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+);
+
 // DELETE TRACKER
-app.delete("/api/trackers/:deviceId", async (req, res) => {
+app.delete("/api/trackers/:deviceId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { deviceId } = req.params;
-    const userId = req.body?.userId || req.query?.userId;
+    const userId = req.user.userId;
 
     console.log("DELETE tracker request:", {
       deviceId,
@@ -1725,6 +879,7 @@ app.delete("/api/trackers/:deviceId", async (req, res) => {
     });
     
     clearCachedDevice(deviceId);
+    deviceAuth.clearCachedSecret(deviceId);
 
     if (!deviceId || !userId) {
       return res
@@ -1749,6 +904,7 @@ app.delete("/api/trackers/:deviceId", async (req, res) => {
       "DELETE FROM geofence_assignment WHERE device_id = ? AND user_id = ?",
       [deviceId, userId]
     );
+    await refreshGeofenceCache([deviceId]);
 
     const [deleteResult] = await connection.query(
       "DELETE FROM trackers WHERE device_id = ? AND user_id = ?",
@@ -1756,6 +912,12 @@ app.delete("/api/trackers/:deviceId", async (req, res) => {
     );
 
     if (deleteResult.affectedRows > 0) {
+      try {
+        await deviceState.forgetDevice(state, deviceId);
+      } catch (stateError) {
+        console.error(`❌ Error clearing live state for ${deviceId}:`, stateError.message);
+      }
+
       console.log(`✅ Deleted tracker ${deviceId} for user ${userId}`);
       return res.status(200).json({
         message: "Tracker deleted successfully",
@@ -1768,106 +930,369 @@ app.delete("/api/trackers/:deviceId", async (req, res) => {
         success: false,
       });
     }
-  } catch (err) {
-    console.error("❌ Error deleting tracker:", err);
-    console.error("Error stack:", err.stack);
-    return res.status(500).json({
-      message: "Failed to delete tracker",
-      error: err.message,
+  } catch (err) {
+    console.error("❌ Error deleting tracker:", err);
+    console.error("Error stack:", err.stack);
+    return res.status(500).json({
+      message: "Failed to delete tracker",
+      error: err.message,
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DROP CACHED GEOFENCES OF DEVICES WHOSE GEOFENCES CHANGED (AFTER COMMIT)
+async function refreshGeofenceCache(deviceIds) {
+  try {
+    await invalidateDeviceGeofences(state, deviceIds);
+  } catch (error) {
+    console.error("❌ Error invalidating geofence cache:", error.message);
+  }
+}
+
+// INSERT A GEOFENCE AND ITS DEVICE ASSIGNMENTS (CALLER OWNS THE TRANSACTION)
+async function insertGeofence(connection, body) {
+  const {
+    user_id,
+    device_ids,
+    geofence_name,
+    type,
+    mode = "safe",
+    center_lat,
+    center_lng,
+    radius,
+    poly_rect,
+    schedule,
+    buffer_m,
+    dwell_fixes,
+    dwell_seconds,
+    warning_band_m,
+  } = body;
+
+  const [geofenceResult] = await connection.query(
+    `INSERT INTO geofences (geofence_name, type, mode, center_lat, center_lng, radius, poly_rect, schedule, buffer_m, dwell_fixes, dwell_seconds, warning_band_m, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      geofence_name || null,
+      type,
+      mode,
+      center_lat || null,
+      center_lng || null,
+      radius || null,
+      poly_rect || null,
+      schedule ? JSON.stringify(schedule) : null,
+      buffer_m ?? null,
+      dwell_fixes ?? null,
+      dwell_seconds ?? null,
+      warning_band_m ?? null,
+    ]
+  );
+
+  const geofence_id = geofenceResult.insertId;
+
+  const assignmentInserts = device_ids.map((device_id) => [
+    geofence_id,
+    device_id,
+    user_id,
+    new Date(),
+  ]);
+
+  await connection.query(
+    `INSERT INTO geofence_assignment (geofence_id, device_id, user_id, created_at)
+     VALUES ?`,
+    [assignmentInserts]
+  );
+
+  return geofence_id;
+}
+
+// Device IDs from a request that are not among the user's trackers
+async function findUnownedTrackers(userId, deviceIds) {
+  const owned = await filterOwnedTrackers(pool, userId, deviceIds);
+  return [...new Set(deviceIds)].filter((deviceId) => !owned.includes(deviceId));
+}
+
+// SAVE GEOFENCE
+app.post("/api/geofences", authenticateToken, requireSameUser, async (req, res) => {
+  let connection;
+  try {
+    console.log("📍 Geofence save request:", req.body);
+
+    const validationError = validateGeofenceInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const unowned = await findUnownedTrackers(req.user.userId, req.body.device_ids);
+    if (unowned.length > 0) {
+      return res.status(403).json({
+        message: `Not your tracker(s): ${unowned.join(", ")}`,
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const geofence_id = await insertGeofence(connection, req.body);
+
+    await connection.commit();
+    await refreshGeofenceCache(req.body.device_ids);
+
+    console.log(
+      `✅ Geofence ${geofence_id} saved and assigned to devices: ${req.body.device_ids.join(
+        ", "
+      )}`
+    );
+    return res.status(201).json({ message: "Geofence saved successfully" });
+  } catch (err) {
+    if (connection) await connection.rollback();
+    console.error("❌ Geofence save error:", err.message);
+    return res.status(500).json({ message: "Failed to save geofence" });
+  } finally {
+    try {
+      if (connection) connection.release();
+    } catch (e) {
+      console.warn("⚠️ Failed to release MySQL connection:", e.message);
+    }
+  }
+});
+
+// IMPORT GEOFENCES FROM GEOJSON
+app.post("/api/geofences/import", authenticateToken, requireSameUser, async (req, res) => {
+  let connection;
+  try {
+    const { user_id, device_ids, geojson } = req.body;
+
+    const { features, error } = getImportFeatures(geojson);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Every feature must be valid before anything is written
+    const geofences = [];
+    const errors = [];
+
+    features.forEach((feature, index) => {
+      const converted = featureToGeofences(feature);
+      if (converted.error) {
+        errors.push({ feature: index, message: converted.error });
+        return;
+      }
+
+      const featureDeviceIds = feature.properties?.device_ids;
+      for (const geofence of converted.geofences) {
+        const body = {
+          ...geofence,
+          user_id,
+          device_ids: Array.isArray(featureDeviceIds) ? featureDeviceIds : device_ids,
+        };
+
+        const validationError = validateGeofenceInput(body);
+        if (validationError) {
+          errors.push({ feature: index, message: validationError });
+          return;
+        }
+        geofences.push(body);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "Invalid GeoJSON geofences", errors });
+    }
+
+    // Per-feature device_ids come from the file, so check them like the body's
+    const unowned = await findUnownedTrackers(
+      req.user.userId,
+      geofences.flatMap((geofence) => geofence.device_ids)
+    );
+    if (unowned.length > 0) {
+      return res.status(403).json({
+        message: `Not your tracker(s): ${unowned.join(", ")}`,
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const geofenceIds = [];
+    for (const geofence of geofences) {
+      geofenceIds.push(await insertGeofence(connection, geofence));
+    }
+
+    await connection.commit();
+    await refreshGeofenceCache(geofences.flatMap((geofence) => geofence.device_ids));
+
+    console.log(
+      `✅ Imported ${geofenceIds.length} geofence(s) from GeoJSON for user ${user_id}`
+    );
+    return res.status(201).json({
+      message: `Imported ${geofenceIds.length} geofence(s)`,
+      geofenceIds,
     });
+  } catch (err) {
+    if (connection) await connection.rollback();
+    console.error("❌ Geofence import error:", err.message);
+    return res.status(500).json({ message: "Failed to import geofences" });
   } finally {
-    if (connection) connection.release();
+    try {
+      if (connection) connection.release();
+    } catch (e) {
+      console.warn("⚠️ Failed to release MySQL connection:", e.message);
+    }
   }
 });
 
-// SAVE GEOFENCE
-app.post("/api/geofences", async (req, res) => {
+// UPDATE GEOFENCE
+app.put("/api/geofences/:geofenceId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
+    const { geofenceId } = req.params;
+    // requireSameUser already rejects a mismatched body user_id; the token's
+    // user is what every query below is scoped to
+    const userId = req.user.userId;
+
+    console.log(`📍 Geofence ${geofenceId} update request:`, req.body);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Only the owner's assignments count; other users' links are untouched
+    const [currentAssignments] = await connection.query(
+      `SELECT device_id FROM geofence_assignment
+       WHERE geofence_id = ? AND user_id = ?
+       FOR UPDATE`,
+      [geofenceId, userId]
+    );
+
+    if (currentAssignments.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: "Geofence not found" });
+    }
+
+    const [[stored]] = await connection.query(
+      `SELECT * FROM geofences WHERE geofence_id = ? FOR UPDATE`,
+      [geofenceId]
+    );
+    const currentDeviceIds = currentAssignments.map((a) => a.device_id);
+
+    // Fields left out of the body keep their stored values
+    const update = mergeGeofenceUpdate(
+      { ...stored, device_ids: currentDeviceIds },
+      { ...req.body, user_id: userId }
+    );
     const {
-      user_id,
       device_ids,
       geofence_name,
       type,
+      mode,
       center_lat,
       center_lng,
       radius,
       poly_rect,
-    } = req.body;
-
-    console.log("📍 Geofence save request:", req.body);
-
-    if (
-      !user_id ||
-      !Array.isArray(device_ids) ||
-      device_ids.length === 0 ||
-      !type
-    ) {
-      return res
-        .status(400)
-        .json({ message: "user_id, device_ids[], and type are required" });
-    }
-
-    if (
-      type === "circle" &&
-      (center_lat === undefined ||
-        center_lng === undefined ||
-        radius === undefined)
-    ) {
-      return res
-        .status(400)
-        .json({ message: "Missing center or radius for circle geofence" });
+      schedule,
+      buffer_m,
+      dwell_fixes,
+      dwell_seconds,
+      warning_band_m,
+    } = update;
+
+    const validationError = validateGeofenceInput(update);
+    if (validationError) {
+      await connection.rollback();
+      return res.status(400).json({ message: validationError });
     }
 
-    if ((type === "polygon" || type === "rectangle") && !poly_rect) {
-      return res.status(400).json({
-        message: "Missing coordinates for polygon/rectangle geofence",
+    // A geofence may only be attached to the caller's own trackers
+    const unowned = await findUnownedTrackers(userId, device_ids);
+    if (unowned.length > 0) {
+      await connection.rollback();
+      return res.status(403).json({
+        message: `Not your tracker(s): ${unowned.join(", ")}`,
       });
     }
 
-    connection = await pool.getConnection();
-    await connection.beginTransaction();
-
-    const [geofenceResult] = await connection.query(
-      `INSERT INTO geofences (geofence_name, type, center_lat, center_lng, radius, poly_rect, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    await connection.query(
+      `UPDATE geofences
+       SET geofence_name = ?, type = ?, mode = ?, center_lat = ?, center_lng = ?, radius = ?, poly_rect = ?, schedule = ?,
+           buffer_m = ?, dwell_fixes = ?, dwell_seconds = ?, warning_band_m = ?
+       WHERE geofence_id = ?`,
       [
         geofence_name || null,
         type,
+        mode || "safe",
         center_lat || null,
         center_lng || null,
         radius || null,
         poly_rect || null,
+        schedule ? JSON.stringify(schedule) : null,
+        buffer_m ?? null,
+        dwell_fixes ?? null,
+        dwell_seconds ?? null,
+        warning_band_m ?? null,
+        geofenceId,
       ]
     );
 
-    const geofence_id = geofenceResult.insertId;
+    // ASSIGNMENT DIFF
+    const nextDeviceIds = [...new Set(device_ids)];
+    const addedDeviceIds = nextDeviceIds.filter(
+      (id) => !currentDeviceIds.includes(id)
+    );
+    const removedDeviceIds = currentDeviceIds.filter(
+      (id) => !nextDeviceIds.includes(id)
+    );
 
-    const assignmentInserts = device_ids.map((device_id) => [
-      geofence_id,
-      device_id,
-      user_id,
-      new Date(),
-    ]);
+    if (removedDeviceIds.length > 0) {
+      await connection.query(
+        `DELETE FROM geofence_assignment
+         WHERE geofence_id = ? AND device_id IN (?) AND user_id = ?`,
+        [geofenceId, removedDeviceIds, userId]
+      );
+    }
 
-    await connection.query(
-      `INSERT INTO geofence_assignment (geofence_id, device_id, user_id, created_at)
-       VALUES ?`,
-      [assignmentInserts]
+    if (addedDeviceIds.length > 0) {
+      await connection.query(
+        `INSERT INTO geofence_assignment (geofence_id, device_id, user_id, created_at)
+         VALUES ?`,
+        [addedDeviceIds.map((device_id) => [geofenceId, device_id, userId, new Date()])]
+      );
+    }
+
+    const [[geofence]] = await connection.query(
+      `SELECT * FROM geofences WHERE geofence_id = ?`,
+      [geofenceId]
     );
 
     await connection.commit();
+    await refreshGeofenceCache([...currentDeviceIds, ...nextDeviceIds]);
+
+    // Re-baseline so the edit itself does not raise entry/exit alerts
+    try {
+      await resetGeofenceState(
+        state,
+        geofence,
+        [...new Set([...currentDeviceIds, ...nextDeviceIds])],
+        nextDeviceIds
+      );
+    } catch (stateError) {
+      console.error(`❌ Error resetting geofence state for ${geofenceId}:`, stateError.message);
+    }
 
     console.log(
-      `✅ Geofence ${geofence_id} saved and assigned to devices: ${device_ids.join(
-        ", "
-      )}`
+      `✅ Geofence ${geofenceId} updated (added: ${addedDeviceIds.join(", ") || "none"}, removed: ${removedDeviceIds.join(", ") || "none"})`
     );
-    return res.status(201).json({ message: "Geofence saved successfully" });
+    return res.status(200).json({
+      message: "Geofence updated successfully",
+      addedDeviceIds,
+      removedDeviceIds,
+    });
   } catch (err) {
     if (connection) await connection.rollback();
-    console.error("❌ Geofence save error:", err.message);
-    return res.status(500).json({ message: "Failed to save geofence" });
+    console.error("❌ Geofence update error:", err.message);
+    return res.status(500).json({ message: "Failed to update geofence" });
   } finally {
     try {
       if (connection) connection.release();
@@ -1878,7 +1303,7 @@ app.post("/api/geofences", async (req, res) => {
 });
 
 // DELETE GEOFENCE
-app.delete("/api/geofences/delete/:geofenceId", async (req, res) => {
+app.delete("/api/geofences/delete/:geofenceId", authenticateToken, async (req, res) => {
   let connection;
   try {
     const { geofenceId } = req.params;
@@ -1904,9 +1329,9 @@ app.delete("/api/geofences/delete/:geofenceId", async (req, res) => {
     const [deleteResult] = await connection.query(
       `
       DELETE FROM geofence_assignment 
-      WHERE geofence_id = ? AND device_id IN (?)
+      WHERE geofence_id = ? AND device_id IN (?) AND user_id = ?
     `,
-      [geofenceId, deviceIds]
+      [geofenceId, deviceIds, req.user.userId]
     );
 
     if (deleteResult.affectedRows === 0) {
@@ -1928,6 +1353,7 @@ app.delete("/api/geofences/delete/:geofenceId", async (req, res) => {
     }
 
     await connection.commit();
+    await refreshGeofenceCache(deviceIds);
     return res.status(200).json({
       message: `Deleted ${deleteResult.affectedRows} device assignment(s)`,
     });
@@ -1941,7 +1367,7 @@ app.delete("/api/geofences/delete/:geofenceId", async (req, res) => {
 });
 
 // GET GEOFENCE FOR A USER
-app.get("/api/geofences/:userId", async (req, res) => {
+app.get("/api/geofences/:userId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const userId = req.params.userId;
@@ -1953,10 +1379,16 @@ app.get("/api/geofences/:userId", async (req, res) => {
         g.geofence_id,
         g.geofence_name,
         g.type,
+        g.mode,
         g.center_lat,
         g.center_lng,
         g.radius,
         g.poly_rect,
+        g.schedule,
+        g.buffer_m,
+        g.dwell_fixes,
+        g.dwell_seconds,
+        g.warning_band_m,
         ga.device_id,
         t.pet_name
       FROM geofences g
@@ -1984,22 +1416,13 @@ app.get("/api/geofences/:userId", async (req, res) => {
           !isNaN(row.center_lng) &&
           !isNaN(row.radius);
       } else if (type === "polygon" || type === "rectangle") {
-        try {
-          const parsed = JSON.parse(row.poly_rect || "[]");
-          isValid =
-            Array.isArray(parsed) &&
-            parsed.length >= 3 &&
-            parsed.every(
-              (pt) =>
-                Array.isArray(pt) &&
-                typeof pt[0] === "number" &&
-                typeof pt[1] === "number" &&
-                !isNaN(pt[0]) &&
-                !isNaN(pt[1])
-            );
-        } catch {
-          isValid = false;
-        }
+        // One ring, a ring with holes, or several polygons
+        isValid = parsePolyRect(row.poly_rect) !== null;
+      } else if (type === "corridor") {
+        isValid =
+          typeof row.radius === "number" &&
+          row.radius > 0 &&
+          parsePolyline(row.poly_rect) !== null;
       }
 
       if (!isValid) {
@@ -2012,10 +1435,16 @@ app.get("/api/geofences/:userId", async (req, res) => {
           geofence_id: geofenceId,
           geofence_name: row.geofence_name,
           type: row.type,
+          mode: row.mode,
           center_lat: row.center_lat,
           center_lng: row.center_lng,
           radius: row.radius,
           poly_rect: row.poly_rect,
+          schedule: row.schedule,
+          buffer_m: row.buffer_m,
+          dwell_fixes: row.dwell_fixes,
+          dwell_seconds: row.dwell_seconds,
+          warning_band_m: row.warning_band_m,
           deviceIds: [],
           deviceNames: [],
         };
@@ -2042,6 +1471,58 @@ app.get("/api/geofences/:userId", async (req, res) => {
   }
 });
 
+// EXPORT A USER'S GEOFENCES AS GEOJSON
+// ?circles=polygon APPROXIMATES CIRCLES AS POLYGONS INSTEAD OF POINT + RADIUS
+app.get("/api/geofences/:userId/export.geojson", authenticateToken, requireSameUser, async (req, res) => {
+  let connection;
+  try {
+    const userId = req.params.userId;
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      `
+      SELECT g.*, ga.device_id
+      FROM geofences g
+      JOIN geofence_assignment ga ON g.geofence_id = ga.geofence_id
+      WHERE ga.user_id = ?
+      ORDER BY g.geofence_id
+      `,
+      [userId]
+    );
+
+    const geofenceMap = new Map();
+    for (const row of rows) {
+      if (!geofenceMap.has(row.geofence_id)) {
+        const { device_id, ...geofence } = row;
+        geofenceMap.set(row.geofence_id, { ...geofence, deviceIds: [] });
+      }
+      if (row.device_id?.trim()) {
+        geofenceMap.get(row.geofence_id).deviceIds.push(row.device_id.trim());
+      }
+    }
+
+    const collection = geofencesToFeatureCollection([...geofenceMap.values()], {
+      circlesAsPolygons: req.query.circles === "polygon",
+    });
+
+    res.setHeader("Content-Type", "application/geo+json");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="geofences-${userId}.geojson"`
+    );
+    return res.status(200).send(JSON.stringify(collection));
+  } catch (err) {
+    console.error("❌ Error exporting geofences:", err.message);
+    return res.status(500).json({ message: "Failed to export geofences" });
+  } finally {
+    try {
+      if (connection) connection.release();
+    } catch (e) {
+      console.warn("⚠️ Failed to release MySQL connection:", e.message);
+    }
+  }
+});
+
 // REGISTER
 app.post("/api/register", async (req, res) => {
   let connection;
@@ -2229,7 +1710,7 @@ app.post("/api/verify-code", async (req, res) => {
 });
 
 // SEND SMS VERIFICATION CODE
-app.post("/api/send-sms-verification-code", async (req, res) => {
+app.post("/api/send-sms-verification-code", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     console.log("📞 SMS verification request received:", {
@@ -2323,7 +1804,7 @@ app.post("/api/send-sms-verification-code", async (req, res) => {
 });
 
 // VERIFY SMS CODE
-app.post("/api/verify-sms-code", async (req, res) => {
+app.post("/api/verify-sms-code", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId, phone, code } = req.body;
@@ -2418,7 +1899,7 @@ app.post("/api/verify-sms-code", async (req, res) => {
 });
 
 // UPDATE PASSWORD
-app.post("/api/update-password", async (req, res) => {
+app.post("/api/update-password", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId, currentPassword, newPassword } = req.body;
@@ -2526,7 +2007,7 @@ app.post("/api/login", async (req, res) => {
 });
 
 // GET USER PROFILE
-app.post("/api/user-profile", async (req, res) => {
+app.post("/api/user-profile", authenticateToken, async (req, res) => {
   let connection;
   try {
     const { email, username } = req.body;
@@ -2538,7 +2019,7 @@ app.post("/api/user-profile", async (req, res) => {
     connection = await pool.getConnection();
 
     const [rows] = await connection.query(
-      "SELECT user_id, first_name, last_name, phone, email, username, email_verification, phone_verification, profile_photo FROM users WHERE email = ? OR username = ?",
+      "SELECT user_id, first_name, last_name, phone, email, username, email_verification, phone_verification, profile_photo, timezone FROM users WHERE email = ? OR username = ?",
       [email || "", username || ""]
     );
 
@@ -2547,6 +2028,10 @@ app.post("/api/user-profile", async (req, res) => {
     }
 
     const user = rows[0];
+    if (String(user.user_id) !== String(req.user.userId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     if (user.profile_photo) {
       user.profile_photo = user.profile_photo.toString("base64");
     }
@@ -2565,7 +2050,7 @@ app.post("/api/user-profile", async (req, res) => {
 });
 
 // UPDATE USER PROFILE
-app.put("/api/user-profile", async (req, res) => {
+app.put("/api/user-profile", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const {
@@ -2576,12 +2061,17 @@ app.put("/api/user-profile", async (req, res) => {
       email,
       username,
       profile_photo,
+      timezone,
     } = req.body;
 
     if (!user_id) {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: "Invalid time zone" });
+    }
+
     connection = await pool.getConnection();
 
     // Check if user exists
@@ -2635,6 +2125,10 @@ app.put("/api/user-profile", async (req, res) => {
       updateFields.push("username = ?");
       updateValues.push(username);
     }
+    if (timezone !== undefined) {
+      updateFields.push("timezone = ?");
+      updateValues.push(timezone);
+    }
     if (profile_photo !== undefined) {
       updateFields.push("profile_photo = ?");
       if (profile_photo && typeof profile_photo === "string") {
@@ -2664,9 +2158,18 @@ app.put("/api/user-profile", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Cached geofences carry the owner's time zone for schedules
+    if (timezone !== undefined) {
+      const [assignments] = await connection.query(
+        "SELECT DISTINCT device_id FROM geofence_assignment WHERE user_id = ?",
+        [user_id]
+      );
+      await refreshGeofenceCache(assignments.map((row) => row.device_id));
+    }
+
     // Fetch updated user data
     const [updatedUser] = await connection.query(
-      "SELECT user_id, first_name, last_name, phone, email, username, email_verification, phone_verification, profile_photo FROM users WHERE user_id = ?",
+      "SELECT user_id, first_name, last_name, phone, email, username, email_verification, phone_verification, profile_photo, timezone FROM users WHERE user_id = ?",
       [user_id]
     );
 
@@ -2692,25 +2195,20 @@ app.put("/api/user-profile", async (req, res) => {
 });
 
 // GET ALL NOTIFICATIONS
-app.get("/api/notifications", async (req, res) => {
+app.get("/api/notifications", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
-    const userId = req.query.userId;
+    const userId = req.user.userId;
 
     connection = await pool.getConnection();
 
-    let query = `SELECT notification_id as id, user_id, device_id, message, created_at, is_read 
-                FROM notifications`;
-
-    const params = [];
-    if (userId) {
-      query += ` WHERE user_id = ?`;
-      params.push(userId);
-    }
-
-    query += ` ORDER BY created_at DESC LIMIT 50`;
-
-    const [notifications] = await connection.query(query, params);
+    const [notifications] = await connection.query(
+      `SELECT notification_id as id, user_id, device_id, message, created_at, is_read 
+       FROM notifications
+       WHERE user_id = ?
+       ORDER BY created_at DESC LIMIT 50`,
+      [userId]
+    );
 
     return res.status(200).json(notifications);
   } catch (err) {
@@ -2722,18 +2220,22 @@ app.get("/api/notifications", async (req, res) => {
 });
 
 // MARK NOTIFICATION AS READ
-app.put("/api/notifications/:notificationId/read", async (req, res) => {
+app.put("/api/notifications/:notificationId/read", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { notificationId } = req.params;
 
     connection = await pool.getConnection();
 
-    await connection.query(
-      `UPDATE notifications SET is_read = 1 WHERE notification_id = ?`,
-      [notificationId]
+    const [result] = await connection.query(
+      `UPDATE notifications SET is_read = 1 WHERE notification_id = ? AND user_id = ?`,
+      [notificationId, req.user.userId]
     );
 
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
     return res.status(200).json({ message: "Notification marked as read" });
   } catch (err) {
     console.error("❌ Error marking notification as read:", err.message);
@@ -2746,22 +2248,19 @@ app.put("/api/notifications/:notificationId/read", async (req, res) => {
 });
 
 // MARK ALL NOTIFICATIONS AS READ
-app.put("/api/notifications/mark-all-read", async (req, res) => {
+app.put("/api/notifications/mark-all-read", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
-    const userId = req.query.userId;
+    if (!req.query.userId) {
+      return res.status(400).json({ message: "User ID is required" });
+    }
 
     connection = await pool.getConnection();
 
-    let query = `UPDATE notifications SET is_read = 1`;
-    const params = [];
-
-    if (userId) {
-      query += ` WHERE user_id = ?`;
-      params.push(userId);
-    }
-
-    await connection.query(query, params);
+    await connection.query(
+      `UPDATE notifications SET is_read = 1 WHERE user_id = ?`,
+      [req.user.userId]
+    );
 
     return res
       .status(200)
@@ -2777,22 +2276,18 @@ app.put("/api/notifications/mark-all-read", async (req, res) => {
 });
 
 // CLEAR ALL NOTIFICATIONS
-app.delete("/api/notifications/clear-all", async (req, res) => {
+app.delete("/api/notifications/clear-all", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
-    const userId = req.query.userId;
+    if (!req.query.userId) {
+      return res.status(400).json({ message: "User ID is required" });
+    }
 
     connection = await pool.getConnection();
 
-    let query = `DELETE FROM notifications`;
-    const params = [];
-
-    if (userId) {
-      query += ` WHERE user_id = ?`;
-      params.push(userId);
-    }
-
-    await connection.query(query, params);
+    await connection.query(`DELETE FROM notifications WHERE user_id = ?`, [
+      req.user.userId,
+    ]);
 
     return res.status(200).json({ message: "All notifications cleared" });
   } catch (err) {
@@ -2804,7 +2299,7 @@ app.delete("/api/notifications/clear-all", async (req, res) => {
 });
 
 // CREATE SMS NOTIFICATION SETTINGS FOR A USER
-app.post("/api/sms-notification-settings/:userId", async (req, res) => {
+app.post("/api/sms-notification-settings/:userId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId } = req.params;
@@ -2862,7 +2357,7 @@ app.post("/api/sms-notification-settings/:userId", async (req, res) => {
 });
 
 // GET SMS NOTIFICATION SETTINGS FOR A USER
-app.get("/api/sms-notification-settings/:userId", async (req, res) => {
+app.get("/api/sms-notification-settings/:userId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId } = req.params;
@@ -2888,7 +2383,7 @@ app.get("/api/sms-notification-settings/:userId", async (req, res) => {
 });
 
 // UPDATE SMS NOTIFICATION SETTINGS FOR A USER
-app.put("/api/sms-notification-settings/:userId", async (req, res) => {
+app.put("/api/sms-notification-settings/:userId", authenticateToken, requireSameUser, async (req, res) => {
   let connection;
   try {
     const { userId } = req.params;
@@ -2936,7 +2431,8 @@ app.put("/api/sms-notification-settings/:userId", async (req, res) => {
 });
 
 // GET TRAIL HISTORY FOR A TRACKER
-app.get("/api/trail-history/:trackerId", async (req, res) => {
+// OPTIONAL LEVEL OF DETAIL: ?tolerance=<meters>, ?maxPoints=<n>, ?bbox=minLng,minLat,maxLng,maxLat
+app.get("/api/trail-history/:trackerId", authenticateToken, requireTrackerOwner(pool), async (req, res) => {
   let connection;
   try {
     const { trackerId } = req.params;
@@ -2950,6 +2446,11 @@ app.get("/api/trail-history/:trackerId", async (req, res) => {
       return res.status(400).json({ message: "From and To datetime are required" });
     }
 
+    const { options: detail, error: detailError } = parseTrailDetailOptions(req.query);
+    if (detailError) {
+      return res.status(400).json({ message: detailError });
+    }
+
     connection = await pool.getConnection();
 
     console.log(`🔍 Searching for trails - Tracker: ${trackerId}, From: ${from}, To: ${to}`);
@@ -2961,58 +2462,61 @@ app.get("/api/trail-history/:trackerId", async (req, res) => {
     console.log(`🔄 Converted times - From: ${fromMySQL}, To: ${toMySQL}`);
     
     // First, let's check if the table exists and has any data
-    const [tableCheck] = await connection.query(`SHOW TABLES LIKE 'trail_history'`);
+    const [tableCheck] = await connection.query(`SHOW TABLES LIKE 'trail_points'`);
     if (tableCheck.length === 0) {
-      console.log("❌ trail_history table does not exist!");
+      console.log("❌ trail_points table does not exist!");
       return res.status(500).json({ message: "Trail history table not found" });
     }
 
-    // Check total records in trail_history table
-    const [totalCount] = await connection.query(`SELECT COUNT(*) as total FROM trail_history`);
-    console.log(`📊 Total trail records in database: ${totalCount[0].total}`);
+    // Check total records in trail_points table
+    const [totalCount] = await connection.query(`SELECT COUNT(*) as total FROM trail_points`);
+    console.log(`📊 Total trail points in database: ${totalCount[0].total}`);
 
     // Check records for this specific tracker
     const [trackerCount] = await connection.query(
-      `SELECT COUNT(*) as count FROM trail_history WHERE tracker_id = ?`,
+      `SELECT COUNT(*) as count FROM trail_points WHERE tracker_id = ?`,
       [trackerId]
     );
-    console.log(`📊 Trail records for tracker ${trackerId}: ${trackerCount[0].count}`);
+    console.log(`📊 Trail points for tracker ${trackerId}: ${trackerCount[0].count}`);
 
     // Check records in the specific time range
     const [rangeCount] = await connection.query(
-      `SELECT COUNT(*) as count FROM trail_history WHERE tracker_id = ? AND created_at BETWEEN ? AND ?`,
+      `SELECT COUNT(*) as count FROM trail_points WHERE tracker_id = ? AND recorded_at BETWEEN ? AND ?`,
       [trackerId, fromMySQL, toMySQL]
     );
-    console.log(`📊 Trail records in time range: ${rangeCount[0].count}`);
+    console.log(`📊 Trail points in time range: ${rangeCount[0].count}`);
     
     // Let's also see the earliest and latest records for this tracker
     const [timeRange] = await connection.query(
-      `SELECT MIN(created_at) as earliest, MAX(created_at) as latest FROM trail_history WHERE tracker_id = ?`,
+      `SELECT MIN(recorded_at) as earliest, MAX(recorded_at) as latest FROM trail_points WHERE tracker_id = ?`,
       [trackerId]
     );
     console.log(`📅 Tracker ${trackerId} time range: ${timeRange[0].earliest} to ${timeRange[0].latest}`);
 
-    // Get trail history within the specified time range
-    const [trails] = await connection.query(
-      `SELECT start_lat, start_lng, end_lat, end_lng, created_at 
-       FROM trail_history 
-       WHERE tracker_id = ? AND created_at BETWEEN ? AND ? 
-       ORDER BY created_at ASC`,
-      [trackerId, fromMySQL, toMySQL]
-    );
+    // Get trail points within the specified time range and pair them up into
+    // the [start, end] segments clients expect
+    const points = await fetchTrailPoints(connection, trackerId, fromMySQL, toMySQL);
+    let tracks = pointsToTracks(points);
 
-    // Process trails to create connected paths
-    let trailPaths = [];
-    if (trails.length > 0) {
-      for (let i = 0; i < trails.length; i++) {
-        const trail = trails[i];
-        trailPaths.push([
-          [parseFloat(trail.start_lat), parseFloat(trail.start_lng)],
-          [parseFloat(trail.end_lat), parseFloat(trail.end_lng)]
-        ]);
-      }
+    if (detail.bbox) {
+      tracks = clipTracksToBoundingBox(tracks, detail.bbox);
+    }
+
+    let simplification = null;
+    if (detail.tolerance || detail.maxPoints) {
+      const originalPoints = tracks.reduce((total, track) => total + track.length, 0);
+      const simplified = simplifyTracks(tracks, detail);
+      tracks = simplified.tracks;
+      simplification = {
+        tolerance: simplified.tolerance,
+        originalPoints,
+        points: tracks.reduce((total, track) => total + track.length, 0),
+      };
+      console.log(`🗜️ Simplified trail for ${trackerId}: ${originalPoints} -> ${simplification.points} points (tolerance ${simplified.tolerance}m)`);
     }
 
+    const trailPaths = tracksToSegments(tracks);
+
     // Get current tracker position to connect trail to current location
     const [currentTracker] = await connection.query(
       `SELECT last_lat, last_lng FROM trackers WHERE device_id = ?`,
@@ -3027,13 +2531,15 @@ app.get("/api/trail-history/:trackerId", async (req, res) => {
       ];
     }
 
-    console.log(`✅ Retrieved ${trails.length} trail segments for tracker ${trackerId}`);
+    console.log(`✅ Retrieved ${trailPaths.length} trail segments for tracker ${trackerId}`);
     
     return res.status(200).json({
       trails: trailPaths,
       currentPosition: currentPosition,
-      totalSegments: trails.length,
+      totalSegments: trailPaths.length,
       timeRange: { from, to },
+      bbox: detail.bbox || null,
+      simplification,
       debugInfo: {
         totalRecordsInDB: totalCount[0].total,
         recordsForThisTracker: trackerCount[0].count,
@@ -3052,14 +2558,182 @@ app.get("/api/trail-history/:trackerId", async (req, res) => {
   }
 });
 
-// DEBUG ENDPOINT: Get batch status and manually flush batches
-app.get("/api/trail-batch-status", (req, res) => {
+// EXPORT TRAIL HISTORY AS GPX, KML OR GEOJSON
+app.get("/api/trail-history/:trackerId/export", authenticateToken, requireTrackerOwner(pool), async (req, res) => {
+  let connection;
+  try {
+    const { trackerId } = req.params;
+    const { from, to, format = "gpx" } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ message: "From and To datetime are required" });
+    }
+
+    const exportFormat = TRAIL_EXPORT_FORMATS[String(format).toLowerCase()];
+    if (!exportFormat) {
+      return res.status(400).json({
+        message: `format must be one of ${Object.keys(TRAIL_EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    // Same datetime-local format as GET /api/trail-history/:trackerId
+    const fromMySQL = from.replace('T', ' ') + ':00';
+    const toMySQL = to.replace('T', ' ') + ':00';
+
+    connection = await pool.getConnection();
+
+    const points = await fetchTrailPoints(connection, trackerId, fromMySQL, toMySQL);
+
+    const [[tracker]] = await connection.query(
+      `SELECT pet_name FROM trackers WHERE device_id = ?`,
+      [trackerId]
+    );
+
+    const name = `${tracker?.pet_name || trackerId} ${from} to ${to}`;
+    const { body, trackCount } = exportTrail(exportFormat.extension, points, {
+      name,
+      deviceId: trackerId,
+    });
+
+    console.log(
+      `📤 Exported ${points.length} trail points (${trackCount} tracks) for ${trackerId} as ${exportFormat.extension}`
+    );
+
+    const fileName = `trail-${trackerId}-${from}-${to}`.replace(/[^\w.-]+/g, "_");
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.${exportFormat.extension}"`
+    );
+    return res.status(200).send(body);
+  } catch (err) {
+    console.error("❌ Error exporting trail history:", err.message);
+    return res.status(500).json({ message: "Failed to export trail history" });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET TRIPS AND STAYS FOR A TRACKER
+app.get(
+  "/api/trackers/:deviceId/trips",
+  authenticateToken,
+  requireTrackerOwner(pool, "deviceId"),
+  async (req, res) => {
+    let connection;
+    try {
+      const { deviceId } = req.params;
+      const { from, to, stayRadius, stayMinutes } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).json({ message: "From and To datetime are required" });
+      }
+
+      const options = {};
+      if (stayRadius !== undefined) {
+        options.stayRadius = Number(stayRadius);
+        if (isNaN(options.stayRadius) || options.stayRadius <= 0) {
+          return res.status(400).json({ message: "stayRadius must be a positive number of meters" });
+        }
+      }
+      if (stayMinutes !== undefined) {
+        const minutes = Number(stayMinutes);
+        if (isNaN(minutes) || minutes <= 0) {
+          return res.status(400).json({ message: "stayMinutes must be a positive number" });
+        }
+        options.stayMinDurationMs = minutes * 60 * 1000;
+      }
+
+      // Same datetime-local format as GET /api/trail-history/:trackerId
+      const fromMySQL = from.replace('T', ' ') + ':00';
+      const toMySQL = to.replace('T', ' ') + ':00';
+
+      connection = await pool.getConnection();
+
+      const points = await fetchTrailPoints(connection, deviceId, fromMySQL, toMySQL);
+      const { trips, stays } = segmentTrips(pointsToTracks(points), options);
+
+      console.log(`🧭 Segmented ${points.length} trail points for ${deviceId} into ${trips.length} trips and ${stays.length} stays`);
+
+      return res.status(200).json({
+        deviceId,
+        timeRange: { from, to },
+        trips,
+        stays,
+        totals: {
+          trips: trips.length,
+          stays: stays.length,
+          distanceMeters: Number(
+            trips.reduce((total, trip) => total + trip.distanceMeters, 0).toFixed(1)
+          ),
+          movingSeconds: trips.reduce((total, trip) => total + trip.durationSeconds, 0),
+          staySeconds: stays.reduce((total, stay) => total + stay.durationSeconds, 0),
+        },
+      });
+    } catch (err) {
+      console.error("❌ Error segmenting trips:", err.message);
+      return res.status(500).json({ message: "Failed to fetch trips" });
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+);
+
+// GET DAILY ACTIVITY SUMMARIES FOR A TRACKER
+app.get(
+  "/api/trackers/:deviceId/activity",
+  authenticateToken,
+  requireTrackerOwner(pool, "deviceId"),
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+      if (!Number.isInteger(days) || days < 1 || days > MAX_ACTIVITY_DAYS) {
+        return res.status(400).json({
+          message: `days must be an integer from 1 to ${MAX_ACTIVITY_DAYS}`,
+        });
+      }
+
+      const activity = await getDailyActivity(pool, deviceId, days);
+
+      return res.status(200).json({
+        deviceId,
+        ...activity,
+        totals: {
+          distanceMeters: Number(
+            activity.days.reduce((total, day) => total + day.distanceMeters, 0).toFixed(1)
+          ),
+          activeMinutes: activity.days.reduce((total, day) => total + day.activeMinutes, 0),
+          restingMinutes: activity.days.reduce((total, day) => total + day.restingMinutes, 0),
+          geofenceExits: activity.days.reduce((total, day) => total + day.geofenceExits, 0),
+        },
+      });
+    } catch (err) {
+      console.error("❌ Error fetching daily activity:", err.message);
+      return res.status(500).json({ message: "Failed to fetch daily activity" });
+    }
+  }
+);
+
+// DEBUG ENDPOINT: Get batch status of the caller's trackers
+app.get("/api/trail-batch-status", authenticateToken, async (req, res) => {
+  let trailBatches;
+  try {
+    const allBatches = await state.lists(NAMESPACES.TRAIL_BATCHES);
+    const ownedIds = await filterOwnedTrackers(pool, req.user.userId, Object.keys(allBatches));
+    trailBatches = Object.fromEntries(ownedIds.map((trackerId) => [trackerId, allBatches[trackerId]]));
+  } catch (error) {
+    console.error("❌ Error reading batch status:", error.message);
+    return res.status(500).json({ message: "Failed to read batch status" });
+  }
+
   const batchStatus = {};
   for (const [trackerId, batch] of Object.entries(trailBatches)) {
     batchStatus[trackerId] = {
       pendingEntries: batch.length,
-      oldestEntry: batch.length > 0 ? batch[0].created_at : null,
-      newestEntry: batch.length > 0 ? batch[batch.length - 1].created_at : null
+      oldestEntry: batch.length > 0 ? batch[0].recorded_at : null,
+      newestEntry: batch.length > 0 ? batch[batch.length - 1].recorded_at : null
     };
   }
   
@@ -3070,11 +2744,12 @@ app.get("/api/trail-batch-status", (req, res) => {
   });
 });
 
-// DEBUG ENDPOINT: Manually flush all batches (for testing)
-app.post("/api/flush-trail-batches", async (req, res) => {
+// DEBUG ENDPOINT: Manually flush the caller's batches (for testing)
+app.post("/api/flush-trail-batches", authenticateToken, async (req, res) => {
   try {
-    await flushAllTrailBatches();
-    res.json({ message: "All trail batches flushed successfully" });
+    const trackerIds = Object.keys(await state.lists(NAMESPACES.TRAIL_BATCHES));
+    await flushTrailBatches(await filterOwnedTrackers(pool, req.user.userId, trackerIds));
+    res.json({ message: "Trail batches flushed successfully" });
   } catch (error) {
     console.error("❌ Error flushing batches:", error.message);
     res.status(500).json({ message: "Failed to flush batches", error: error.message });
@@ -3082,7 +2757,7 @@ app.post("/api/flush-trail-batches", async (req, res) => {
 });
 
 // DEBUG ENDPOINT: Create test trail data
-app.post("/api/create-test-trails/:trackerId", async (req, res) => {
+app.post("/api/create-test-trails/:trackerId", authenticateToken, requireTrackerOwner(pool), async (req, res) => {
   const { trackerId } = req.params;
   const { count = 10 } = req.body;
   
@@ -3092,26 +2767,30 @@ app.post("/api/create-test-trails/:trackerId", async (req, res) => {
       lng: 123.488679
     };
     
-    console.log(`🧪 Creating ${count} test trail entries for ${trackerId}`);
+    console.log(`🧪 Creating ${count} test trail points for ${trackerId}`);
     
-    // Generate test trail movements
+    // Generate a test walk starting near the base position
+    let lat = basePosition.lat + (Math.random() - 0.5) * 0.01;
+    let lng = basePosition.lng + (Math.random() - 0.5) * 0.01;
     for (let i = 0; i < count; i++) {
-      const startLat = basePosition.lat + (Math.random() - 0.5) * 0.01;
-      const startLng = basePosition.lng + (Math.random() - 0.5) * 0.01;
-      const endLat = startLat + (Math.random() - 0.5) * 0.002;
-      const endLng = startLng + (Math.random() - 0.5) * 0.002;
-      
-      await addToTrailBatch(trackerId, startLat, startLng, endLat, endLng);
+      await addTrailPoint(trackerId, {
+        lat,
+        lng,
+        recorded_at: new Date(),
+        starts_track: i === 0
+      });
+      lat += (Math.random() - 0.5) * 0.002;
+      lng += (Math.random() - 0.5) * 0.002;
       
       // Small delay to make timestamps different
       await new Promise(resolve => setTimeout(resolve, 10));
     }
     
-    // Flush any remaining batch
-    await flushAllTrailBatches();
+    // Flush this tracker's remaining batch (requireTrackerOwner checked it)
+    await flushTrailBatches([trackerId]);
     
     res.json({ 
-      message: `Created ${count} test trail entries for ${trackerId}`,
+      message: `Created ${count} test trail points for ${trackerId}`,
       trackerId: trackerId,
       count: count
     });
@@ -3122,7 +2801,7 @@ app.post("/api/create-test-trails/:trackerId", async (req, res) => {
 });
 
 // GET TRACKER STATUS HISTORY
-app.get("/api/tracker-history/:trackerId", async (req, res) => {
+app.get("/api/tracker-history/:trackerId", authenticateToken, requireTrackerOwner(pool), async (req, res) => {
   try {
     const { trackerId } = req.params;
     const { from, to, historyType, limit } = req.query;
@@ -3169,7 +2848,7 @@ app.get("/api/tracker-history/:trackerId", async (req, res) => {
 });
 
 // GET RECENT TRACKER HISTORY FOR USER
-app.get("/api/tracker-history/user/:userId/recent", async (req, res) => {
+app.get("/api/tracker-history/user/:userId/recent", authenticateToken, requireSameUser, async (req, res) => {
   try {
     const { userId } = req.params;
     const { hours, limit } = req.query;
@@ -3216,14 +2895,46 @@ app.get("/", (req, res) => {
 const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
   
-  // Flush all remaining trail batches
+  // Stop taking MQTT telemetry before flushing
+  try {
+    await stopMqttIngest();
+  } catch (error) {
+    console.error('❌ Error closing MQTT connection during shutdown:', error.message);
+  }
+  
+  // Flush all remaining trail batches. Batches in a shared (Redis) store
+  // outlive this node and are left to the other nodes' periodic flush;
+  // in-memory batches would be lost, so they are saved now
   try {
-    await flushAllTrailBatches();
-    console.log('✅ All trail batches flushed successfully');
+    if (process.env.STATE_STORE === "redis") {
+      console.log('ℹ️ Leaving queued trail batches in the shared state store');
+    } else {
+      await flushAllTrailBatches();
+      console.log('✅ All trail batches flushed successfully');
+    }
   } catch (error) {
     console.error('❌ Error flushing trail batches during shutdown:', error.message);
   }
   
+  // Save live device state for the next boot
+  try {
+    stopGeofenceScheduleWatcher();
+    stopActivityRollup();
+    deviceState.stopDeviceStatePersistence();
+    await deviceState.saveDeviceState(state);
+    console.log('✅ Device state saved successfully');
+  } catch (error) {
+    console.error('❌ Error saving device state during shutdown:', error.message);
+  }
+  
+  // Close shared state connections
+  try {
+    await state.close();
+    await closeSocketAdapter();
+  } catch (error) {
+    console.error('❌ Error closing state store during shutdown:', error.message);
+  }
+  
   // Close server
   server.close(() => {
     console.log('🔌 Server closed');
@@ -3244,7 +2955,38 @@ process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // nodemon restart
 
 // SERVER START
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🚀 HTTP + Socket.IO server running on port ${PORT}`);
-  console.log(`📊 Trail history batching enabled (batch size: ${BATCH_SIZE})`);
-});
+
+const startServer = async () => {
+  // RESTORE LIVE DEVICE STATE BEFORE TAKING TELEMETRY
+  deviceState.initialize(pool);
+  try {
+    await deviceState.loadDeviceState(state);
+  } catch (error) {
+    console.error("❌ Error restoring device state, starting empty:", error.message);
+  }
+  deviceState.startDeviceStatePersistence(state);
+  startGeofenceScheduleWatcher({ pool, io, state });
+  startActivityRollup({ pool });
+
+  server.listen(PORT, () => {
+    console.log(`🚀 HTTP + Socket.IO server running on port ${PORT}`);
+    console.log(`📊 Trail history batching enabled (batch size: ${BATCH_SIZE})`);
+  });
+
+  // MQTT INGESTION
+  startMqttIngest({
+    onTelemetry: (data) => telemetryPipeline.process(data, { source: "mqtt" }),
+  });
+
+  // DEVICE WEBSOCKET INGESTION
+  attachDeviceSocketServer(server, {
+    onTelemetry: (data) =>
+      telemetryPipeline.process(data, { source: "websocket" }),
+    onDisconnect: async (deviceId) => {
+      await markDeviceOffline(deviceId);
+      broadcastDevices();
+    },
+  });
+};
+
+startServer();
@@ -0,0 +1,326 @@
+const isInsideGeofence = require("../utils/isInsideGeofence");
+const notificationHelper = require("../utils/notifications");
+const trackerHistory = require("../utils/trackerHistory");
+const { queryWithRetry } = require("../utils/dbRetry");
+const { parseDeviceTimestamp } = require("../utils/deviceAuth");
+const { formatSMSTime } = require("../utils/userNotificationUtils");
+const {
+  getDeviceGeofences,
+  getTransitionType,
+  applyGeofenceDebounce,
+} = require("./detectors/geofence");
+const { OWNER_ALERTS } = require("./notifiers/ownerAlerts");
+const { isGeofenceActive } = require("../utils/geofenceSchedule");
+const { getCachedDeviceGeofences } = require("../utils/geofenceCache");
+const { NAMESPACES } = require("../utils/stateStore");
+const { MAX_FUTURE_SKEW_MS, MAX_FIX_AGE_MS } = require("./stages/normalize");
+const { MAX_CONSECUTIVE_JUMPS } = require("./stages/gpsQuality");
+const {
+  hasPosition,
+  getQualityFields,
+  checkReceiverQuality,
+  checkSpeed,
+} = require("../utils/gpsQuality");
+
+/**
+ * Backfill of fixes a tracker buffered while it had no connectivity
+ * Fixes are stored in trail_points in device-time order, geofence crossings
+ * between them are written to tracker_history, and each owner gets one
+ * summary notification instead of an alert per crossing.
+ */
+
+// Largest number of fixes accepted in one upload
+const MAX_BACKFILL_FIXES = 5000;
+
+/**
+ * Validate, timestamp and order raw fixes
+ * Fixes without a usable position (missing, null, empty or out-of-range
+ * coordinates) are rejected; fixes with poor GPS quality or impossible
+ * movement are dropped the same way the live pipeline drops them.
+ * @param {Array<Object>} fixes - Raw fixes ({ lat, lng, battery, ts, accuracy, hdop, satellites, speed })
+ * @param {number} now - Server time in ms
+ * @param {string} [petType] - trackers.pet_type, for the speed limit
+ * @returns {{valid: Array<Object>, rejected: number}} Sorted fixes with fixTime
+ */
+function prepareFixes(fixes, now, petType) {
+  const valid = [];
+  let rejected = 0;
+
+  for (const fix of fixes) {
+    const fixTime = parseDeviceTimestamp(fix?.ts);
+    const lat = Number(fix?.lat);
+    const lng = Number(fix?.lng);
+
+    if (
+      fixTime === null ||
+      !hasPosition(fix) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lng) > 180 ||
+      fixTime - now > MAX_FUTURE_SKEW_MS ||
+      now - fixTime > MAX_FIX_AGE_MS
+    ) {
+      rejected++;
+      continue;
+    }
+
+    const quality = getQualityFields(fix);
+    if (checkReceiverQuality(quality)) {
+      rejected++;
+      continue;
+    }
+
+    valid.push({ lat, lng, battery: fix.battery, fixTime, ...quality });
+  }
+
+  valid.sort((a, b) => a.fixTime - b.fixTime);
+
+  // Drop duplicate timestamps (devices re-sending the same fix)
+  const deduped = valid.filter(
+    (fix, i) => i === 0 || fix.fixTime !== valid[i - 1].fixTime
+  );
+  rejected += valid.length - deduped.length;
+
+  // Speed checks run in device-time order against the last accepted fix
+  const plausible = [];
+  let jumps = 0;
+
+  for (const fix of deduped) {
+    const reason = checkSpeed(fix, plausible[plausible.length - 1] || null, petType);
+
+    if (reason === "impossible_jump" && ++jumps < MAX_CONSECUTIVE_JUMPS) {
+      continue;
+    }
+    if (reason === "impossible_speed") {
+      continue;
+    }
+
+    jumps = 0;
+    plausible.push(fix);
+  }
+  rejected += deduped.length - plausible.length;
+
+  return { valid: plausible, rejected };
+}
+
+/**
+ * Walk the fixes and collect every geofence entry and exit
+ * The baseline is the device's stored geofence state (from its last live
+ * fix), so a crossing between that fix and the first buffered one is not
+ * lost; without one, the state at the first fix is the baseline. Changes go
+ * through each geofence's hysteresis and dwell like live fixes do, and
+ * crossings while a geofence is outside its schedule are not collected.
+ * @param {Array<Object>} fixes - Sorted fixes
+ * @param {Array<Object>} geofences - Geofence rows
+ * @param {Array<number>|null} [baseline] - IDs of the geofences the device was inside
+ * @returns {{crossings: Array<Object>, inside: Array<number>}} Crossings ({ type, geofence, geofenceName, fix }) and the geofences inside at the last fix
+ */
+function findGeofenceCrossings(fixes, geofences, baseline = null) {
+  const crossings = [];
+  const pending = {};
+  let inside = Array.isArray(baseline)
+    ? new Set(
+        geofences
+          .map((g) => g.geofence_id)
+          .filter((id) => baseline.includes(id))
+      )
+    : null;
+
+  for (const fix of fixes) {
+    if (!inside) {
+      inside = new Set(
+        geofences
+          .filter((g) => isInsideGeofence(fix.lat, fix.lng, [g]).isInside)
+          .map((g) => g.geofence_id)
+      );
+      continue;
+    }
+
+    for (const geofence of geofences) {
+      const id = geofence.geofence_id;
+      const geofenceName = geofence.geofence_name || id;
+      const decision = applyGeofenceDebounce(
+        geofence,
+        inside.has(id),
+        isInsideGeofence(fix.lat, fix.lng, [geofence]),
+        pending[id],
+        fix.fixTime
+      );
+
+      pending[id] = decision.pending;
+      if (!decision.changed) continue;
+
+      if (decision.inside) {
+        inside.add(id);
+      } else {
+        inside.delete(id);
+      }
+
+      if (!isGeofenceActive(geofence, fix.fixTime)) continue;
+
+      crossings.push({
+        type: getTransitionType(geofence, decision.inside),
+        geofence,
+        geofenceName,
+        fix,
+      });
+    }
+  }
+
+  return { crossings, inside: inside ? [...inside] : [] };
+}
+
+function describeCrossings(crossings) {
+  const counts = {};
+  for (const crossing of crossings) {
+    const verb = crossing.type.endsWith("_out") ? "left" : "entered";
+    const zone = crossing.type.startsWith("danger_zone") ? " danger zone" : "";
+    const key = `${verb} "${crossing.geofenceName}"${zone}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  return Object.entries(counts)
+    .map(([key, count]) => `${key} ${count}x`)
+    .join(", ");
+}
+
+/**
+ * Write the geofence crossings between buffered fixes to tracker_history
+ * and move the device's geofence state to the last fix
+ * @returns {Promise<Array<Object>>} The crossings
+ */
+async function recordGeofenceCrossings(deps, deviceId, fixes, owners) {
+  const entries = await getCachedDeviceGeofences(deps.state, deviceId, (id) =>
+    getDeviceGeofences(deps.pool, id)
+  );
+  const geofences = entries.map((entry) => entry.geofence);
+  const baseline = await deps.state.get(NAMESPACES.GEOFENCE_STATE, deviceId);
+  const { crossings, inside } = findGeofenceCrossings(fixes, geofences, baseline);
+
+  if (crossings.length > 0 && owners.length > 0) {
+    await trackerHistory.saveTrackerHistoryBatch(
+      owners.flatMap((tracker) =>
+        crossings.map((crossing) => ({
+          tracker_id: deviceId,
+          user_id: tracker.user_id,
+          history_type: OWNER_ALERTS[crossing.type].historyType,
+          lat: crossing.fix.lat,
+          lng: crossing.fix.lng,
+          battery: crossing.fix.battery ?? null,
+          datetime: new Date(crossing.fix.fixTime),
+        }))
+      )
+    );
+  }
+
+  // The last buffered fix is the baseline for the next live fix, so the
+  // crossings above are not alerted on again; a live fix newer than the
+  // buffer has already moved the baseline on
+  const live = await deps.state.get(NAMESPACES.LATEST_DEVICES, deviceId);
+  if (!(live?.fixTime > fixes[fixes.length - 1].fixTime)) {
+    await deps.state.set(NAMESPACES.GEOFENCE_STATE, deviceId, inside);
+  }
+
+  return crossings;
+}
+
+// One summary notification per owner instead of an alert per crossing
+async function notifyOwners(deps, deviceId, owners, summary, crossings) {
+  const hasAlert = crossings.some((c) => OWNER_ALERTS[c.type].sound === "alert");
+  const crossingText =
+    crossings.length > 0 ? ` Geofence activity: ${describeCrossings(crossings)}.` : "";
+
+  for (const tracker of owners) {
+    const petName = tracker.pet_name || "Your pet";
+
+    await notificationHelper.createNotification(
+      deps.io,
+      tracker.user_id,
+      deviceId,
+      `📦 ${petName}'s tracker synced ${summary.accepted} offline location(s) from ${formatSMSTime(summary.from)} to ${formatSMSTime(summary.to)}.${crossingText}`,
+      hasAlert ? "alert" : "normal"
+    );
+  }
+}
+
+/**
+ * Store a backfill upload
+ * @param {Object} deps - Telemetry dependencies (pool, io, state, saveTrailBatch)
+ * @param {string} deviceId - Device ID
+ * @param {Array<Object>} fixes - Raw fixes ({ lat, lng, battery, ts })
+ * @returns {Promise<Object>} Summary of what was stored
+ */
+async function processBackfill(deps, deviceId, fixes) {
+  const owners = await queryWithRetry(
+    deps.pool,
+    `SELECT user_id, pet_name, pet_type FROM trackers WHERE device_id = ?`,
+    [deviceId]
+  );
+
+  const { valid, rejected } = prepareFixes(fixes, Date.now(), owners[0]?.pet_type);
+
+  const summary = {
+    deviceId,
+    received: fixes.length,
+    accepted: valid.length,
+    rejected,
+    trailPoints: 0,
+    trailSegments: 0,
+    geofenceCrossings: 0,
+  };
+
+  if (valid.length === 0) return summary;
+
+  summary.from = new Date(valid[0].fixTime);
+  summary.to = new Date(valid[valid.length - 1].fixTime);
+
+  // TRAIL HISTORY
+  // The buffered fixes form their own track, not joined to the live trail
+  const points = valid.map((fix, i) => ({
+    lat: fix.lat,
+    lng: fix.lng,
+    recorded_at: new Date(fix.fixTime),
+    battery: fix.battery ?? null,
+    accuracy: fix.accuracy,
+    hdop: fix.hdop,
+    satellites: fix.satellites,
+    speed: fix.speed,
+    starts_track: i === 0,
+  }));
+
+  // A failed insert must fail the upload so the device keeps its buffer
+  await deps.saveTrailBatch(deviceId, points, { rethrow: true });
+  summary.trailPoints = points.length;
+  summary.trailSegments = points.length - 1;
+
+  // The fixes are stored now, so later failures are only logged: failing
+  // the upload would make the device send every point again
+  let crossings = [];
+  try {
+    crossings = await recordGeofenceCrossings(deps, deviceId, valid, owners);
+    summary.geofenceCrossings = crossings.length;
+  } catch (error) {
+    console.error(
+      `❌ Error recording backfilled geofence crossings for ${deviceId}:`,
+      error.message
+    );
+  }
+
+  try {
+    await notifyOwners(deps, deviceId, owners, summary, crossings);
+  } catch (error) {
+    console.error(`❌ Error notifying owners of backfill for ${deviceId}:`, error.message);
+  }
+
+  console.log(
+    `📦 Backfilled ${valid.length} fixes for ${deviceId} (${rejected} rejected, ${crossings.length} geofence crossings)`
+  );
+
+  return summary;
+}
+
+module.exports = {
+  MAX_BACKFILL_FIXES,
+  prepareFixes,
+  findGeofenceCrossings,
+  processBackfill,
+};
@@ -0,0 +1,292 @@
+const isInsideGeofence = require("../../utils/isInsideGeofence");
+const { isGeofenceActive } = require("../../utils/geofenceSchedule");
+const {
+  evaluateGeofence,
+  getCachedDeviceGeofences,
+} = require("../../utils/geofenceCache");
+const { checkEdgeApproach } = require("../../utils/geofenceWarning");
+const { queryWithRetry } = require("../../utils/dbRetry");
+const { NAMESPACES } = require("../../utils/stateStore");
+
+/**
+ * Get the geofences assigned to a device
+ * @param {Object} pool - MySQL connection pool
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array>} Geofence rows, with the owner's time zone as owner_timezone
+ */
+async function getDeviceGeofences(pool, deviceId) {
+  return queryWithRetry(
+    pool,
+    `
+    SELECT g.*, u.timezone AS owner_timezone
+    FROM geofences g
+    JOIN geofence_assignment ga ON g.geofence_id = ga.geofence_id
+    LEFT JOIN users u ON u.user_id = ga.user_id
+    WHERE ga.device_id = ?
+    `,
+    [deviceId]
+  );
+}
+
+/**
+ * Event type for a confirmed transition, by geofence mode
+ * Safe zones (the default) alert on exit; danger zones alert on entry.
+ * @param {Object} geofence - Row with mode ("safe" | "danger")
+ * @param {boolean} inside - Whether the pet is now inside
+ * @returns {string} geofence_in, geofence_out, danger_zone_in or danger_zone_out
+ */
+function getTransitionType(geofence, inside) {
+  if (geofence.mode === "danger") {
+    return inside ? "danger_zone_in" : "danger_zone_out";
+  }
+  return inside ? "geofence_in" : "geofence_out";
+}
+
+/**
+ * Apply a geofence's hysteresis buffer and minimum dwell to one fix
+ * While confirmed inside, a fix within buffer_m outside the boundary still
+ * counts as inside. A change is only confirmed after dwell_fixes
+ * consecutive fixes spanning at least dwell_seconds (defaults: 1 fix, 0s).
+ * @param {Object} geofence - Row with buffer_m, dwell_fixes, dwell_seconds
+ * @param {boolean} wasInside - Confirmed state before this fix
+ * @param {{isInside: boolean, distance: number}} result - isInsideGeofence() for this fix
+ * @param {Object} [pending] - Unconfirmed change so far ({ inside, since, count })
+ * @param {number} fixTime - Fix time in ms
+ * @returns {{inside: boolean, changed: boolean, pending: Object|null}} Confirmed state after this fix
+ */
+function applyGeofenceDebounce(geofence, wasInside, result, pending, fixTime) {
+  const buffer = Number(geofence.buffer_m) || 0;
+  const observedInside = wasInside
+    ? result.isInside || result.distance <= buffer
+    : result.isInside;
+
+  if (observedInside === wasInside) {
+    return { inside: wasInside, changed: false, pending: null };
+  }
+
+  const next =
+    pending && pending.inside === observedInside
+      ? { ...pending, count: pending.count + 1 }
+      : { inside: observedInside, since: fixTime, count: 1 };
+
+  const dwellFixes = Math.max(parseInt(geofence.dwell_fixes) || 1, 1);
+  const dwellMs = (Number(geofence.dwell_seconds) || 0) * 1000;
+
+  if (next.count >= dwellFixes && fixTime - next.since >= dwellMs) {
+    return { inside: observedInside, changed: true, pending: null };
+  }
+
+  return { inside: wasInside, changed: false, pending: next };
+}
+
+/**
+ * Early warning for a pet that is inside a safe zone and heading for its edge
+ * Emits { type: "geofence_warning", geofence, geofenceName, distance } once
+ * per approach; the warning re-arms after the pet leaves the warning band.
+ * @returns {boolean} Whether the pet is (still) warned about this geofence
+ */
+function checkGeofenceWarning(ctx, geofence, geofenceName, alreadyWarned) {
+  const { data } = ctx;
+  const approach = checkEdgeApproach(geofence, ctx.prev, data);
+
+  if (!approach.inBand) return false;
+  if (alreadyWarned) return true;
+  if (!approach.approaching) return false;
+
+  console.warn(
+    `🔶 Pet ${data.deviceId} is approaching the edge of geofence (${geofenceName}) (~${approach.distance.toFixed(2)}m left)`
+  );
+  ctx.emit({
+    type: "geofence_warning",
+    geofence,
+    geofenceName,
+    distance: approach.distance,
+  });
+  return true;
+}
+
+/**
+ * DETECT: geofence entries and exits since the previous packet
+ * Geofences come from the per-device cache (utils/geofenceCache).
+ * Emits { type: "geofence_in", geofence, geofenceName } and
+ * { type: "geofence_out", geofence, geofenceName, distance } once a change
+ * passes the geofence's hysteresis and dwell (danger_zone_in /
+ * danger_zone_out for danger-zone geofences), and geofence_warning when a
+ * pet nears the edge of a safe zone with a warning band. Geofences outside
+ * their schedule still track membership but emit nothing.
+ */
+async function detectGeofenceTransitions(ctx) {
+  const { data, deps } = ctx;
+  const lastState =
+    (await deps.state.get(NAMESPACES.GEOFENCE_STATE, data.deviceId)) || [];
+  const pendingState =
+    (await deps.state.get(NAMESPACES.GEOFENCE_PENDING, data.deviceId)) || {};
+  const warnedState =
+    (await deps.state.get(NAMESPACES.GEOFENCE_WARNED, data.deviceId)) || [];
+
+  const entries = await getCachedDeviceGeofences(
+    deps.state,
+    data.deviceId,
+    (deviceId) => getDeviceGeofences(deps.pool, deviceId)
+  );
+
+  if (entries.length === 0) {
+    console.log(
+      `ℹ️ No geofences set for ${data.deviceId}. Skipping geofence check.`
+    );
+    return;
+  }
+
+  const insideGeofences = [];
+  const geofenceDistances = [];
+  const nextPending = {};
+  const nextWarned = [];
+
+  for (const entry of entries) {
+    const { geofence } = entry;
+    const geofenceId = geofence.geofence_id;
+    const geofenceName = geofence.geofence_name || geofenceId;
+    // Exact within the hysteresis buffer; beyond it the box distance will do
+    let result = evaluateGeofence(
+      data.lat,
+      data.lng,
+      entry,
+      Number(geofence.buffer_m) || 0
+    );
+    geofenceDistances.push({ geofenceName, distance: result.distance });
+
+    const wasInside = lastState.includes(geofenceId);
+    const decision = applyGeofenceDebounce(
+      geofence,
+      wasInside,
+      result,
+      pendingState[geofenceId],
+      ctx.fixTime
+    );
+
+    if (decision.inside) {
+      insideGeofences.push(geofenceId);
+    }
+    if (decision.pending) {
+      nextPending[geofenceId] = decision.pending;
+      if (warnedState.includes(geofenceId)) nextWarned.push(geofenceId);
+      console.log(
+        `⏳ Pet ${data.deviceId} ${decision.pending.inside ? "entering" : "leaving"} geofence (${geofenceName}), unconfirmed (${decision.pending.count} fix(es))`
+      );
+      continue;
+    }
+
+    if (decision.changed && !isGeofenceActive(geofence, ctx.fixTime)) {
+      console.log(
+        `💤 Pet ${data.deviceId} ${decision.inside ? "entered" : "left"} geofence (${geofenceName}) while it is disarmed`
+      );
+    } else if (decision.changed && decision.inside) {
+      console.log(
+        `✅ Pet ${data.deviceId} is now inside geofence (${geofenceName})`
+      );
+      ctx.emit({
+        type: getTransitionType(geofence, true),
+        geofence,
+        geofenceName,
+      });
+    } else if (decision.inside) {
+      console.log(
+        `✅ Pet ${data.deviceId} is inside geofence (${geofenceName})`
+      );
+
+      if (
+        geofence.mode !== "danger" &&
+        result.isInside &&
+        isGeofenceActive(geofence, ctx.fixTime) &&
+        checkGeofenceWarning(
+          ctx,
+          geofence,
+          geofenceName,
+          warnedState.includes(geofenceId)
+        )
+      ) {
+        nextWarned.push(geofenceId);
+      }
+    } else if (decision.changed) {
+      if (result.approximate) {
+        result = isInsideGeofence(data.lat, data.lng, [geofence]);
+      }
+      console.warn(
+        `⚠️ Pet ${data.deviceId} is now outside geofence (${geofenceName}) (~${result.distance.toFixed(2)}m away)`
+      );
+      ctx.emit({
+        type: getTransitionType(geofence, false),
+        geofence,
+        geofenceName,
+        distance: result.distance,
+      });
+    }
+  }
+
+  if (insideGeofences.length === 0) {
+    const distMsg = geofenceDistances
+      .map((gd) => `${gd.geofenceName} ~${gd.distance.toFixed(2)}m`)
+      .join(", ");
+    console.warn(
+      `⚠️ Pet ${data.deviceId} is now outside all geofences: ${distMsg}`
+    );
+  }
+
+  await deps.state.set(NAMESPACES.GEOFENCE_STATE, data.deviceId, insideGeofences);
+  await deps.state.set(NAMESPACES.GEOFENCE_PENDING, data.deviceId, nextPending);
+  await deps.state.set(NAMESPACES.GEOFENCE_WARNED, data.deviceId, nextWarned);
+}
+
+/**
+ * Re-baseline lastGeofenceState after a geofence was edited
+ * Devices still assigned to the geofence get their membership re-evaluated
+ * at their last known position (without alerting); devices that lost the
+ * assignment, or have no known position, simply forget it.
+ * @param {Object} state - State store
+ * @param {Object} geofence - Updated geofence row
+ * @param {Array<string>} affectedDeviceIds - Devices assigned before or after the edit
+ * @param {Array<string>} assignedDeviceIds - Devices assigned after the edit
+ */
+async function resetGeofenceState(state, geofence, affectedDeviceIds, assignedDeviceIds) {
+  const geofenceId = geofence.geofence_id;
+
+  for (const deviceId of affectedDeviceIds) {
+    const lastState =
+      (await state.get(NAMESPACES.GEOFENCE_STATE, deviceId)) || [];
+    const nextState = lastState.filter((id) => id !== geofenceId);
+
+    const position = await state.get(NAMESPACES.LATEST_DEVICES, deviceId);
+    if (
+      assignedDeviceIds.includes(deviceId) &&
+      position?.lat !== undefined &&
+      isInsideGeofence(position.lat, position.lng, [geofence]).isInside
+    ) {
+      nextState.push(geofenceId);
+    }
+
+    await state.set(NAMESPACES.GEOFENCE_STATE, deviceId, nextState);
+
+    const pending = await state.get(NAMESPACES.GEOFENCE_PENDING, deviceId);
+    if (pending && pending[geofenceId]) {
+      delete pending[geofenceId];
+      await state.set(NAMESPACES.GEOFENCE_PENDING, deviceId, pending);
+    }
+
+    const warned = await state.get(NAMESPACES.GEOFENCE_WARNED, deviceId);
+    if (Array.isArray(warned) && warned.includes(geofenceId)) {
+      await state.set(
+        NAMESPACES.GEOFENCE_WARNED,
+        deviceId,
+        warned.filter((id) => id !== geofenceId)
+      );
+    }
+  }
+}
+
+module.exports = {
+  getDeviceGeofences,
+  getTransitionType,
+  applyGeofenceDebounce,
+  detectGeofenceTransitions,
+  resetGeofenceState,
+};
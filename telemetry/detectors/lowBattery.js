@@ -0,0 +1,20 @@
+// Battery percentage at or below which the owner is alerted
+const LOW_BATTERY_THRESHOLD = 20;
+
+/**
+ * DETECT: battery dropped to the low threshold since the previous packet
+ * Emits { type: "low_battery", battery }.
+ */
+async function detectLowBattery(ctx) {
+  const { data, prev } = ctx;
+
+  if (
+    data.battery !== undefined &&
+    data.battery <= LOW_BATTERY_THRESHOLD &&
+    (prev.battery === undefined || prev.battery > LOW_BATTERY_THRESHOLD)
+  ) {
+    ctx.emit({ type: "low_battery", battery: data.battery });
+  }
+}
+
+module.exports = { LOW_BATTERY_THRESHOLD, detectLowBattery };
@@ -0,0 +1,227 @@
+const detectNearbyPets = require("../../utils/detectNearbyPets");
+const { queryWithRetry } = require("../../utils/dbRetry");
+const { NAMESPACES } = require("../../utils/stateStore");
+
+// Used when the owner has no meter_radius configured
+const DEFAULT_DETECTION_RADIUS = 10;
+
+async function getDetectionRadius(pool, userId) {
+  let detectionRadius = DEFAULT_DETECTION_RADIUS;
+  try {
+    const userSettings = await queryWithRetry(
+      pool,
+      `SELECT meter_radius FROM sms_notification_settings WHERE user_id = ?`,
+      [userId]
+    );
+
+    if (userSettings.length > 0 && userSettings[0].meter_radius) {
+      detectionRadius =
+        parseInt(userSettings[0].meter_radius) || DEFAULT_DETECTION_RADIUS;
+      console.log(
+        `📏 Using configured detection radius: ${detectionRadius}m for user ${userId}`
+      );
+    } else {
+      console.log(
+        `📏 Using default detection radius: ${detectionRadius}m for user ${userId}`
+      );
+    }
+  } catch (radiusError) {
+    console.error(`❌ Error getting detection radius for user ${userId}:`, radiusError.message);
+    console.log(
+      `📏 Using default detection radius: ${detectionRadius}m for user ${userId}`
+    );
+  }
+  return detectionRadius;
+}
+
+function describePet(owner) {
+  return {
+    petName: owner?.petName || "Unnamed Pet",
+    petType: owner?.petType || "Unknown",
+    petBreed: owner?.petBreed || "Unknown",
+    userId: owner?.userId,
+    ownerName: owner?.ownerName || `User ${owner?.userId}`,
+  };
+}
+
+/**
+ * DETECT: pets from other owners within the owner's detection radius
+ * Emits { type: "nearby_pets", ownerGroups, involvedUserIds, nearbyPetsData,
+ * detectionRadius, isNewInteraction }.
+ */
+async function detectNearbyPetsStage(ctx) {
+  const { data, deps } = ctx;
+
+  if (!data.userId) {
+    console.log(
+      `ℹ️ Skipping nearby pets detection for unassigned device ${data.deviceId}`
+    );
+    return;
+  }
+
+  const currentPet = {
+    lat: data.lat,
+    lng: data.lng,
+    userId: data.userId,
+    deviceId: data.deviceId,
+  };
+
+  const latestDevices = await deps.state.getAll(NAMESPACES.LATEST_DEVICES);
+  const otherPets = Object.entries(latestDevices)
+    .filter(([deviceId]) => deviceId !== data.deviceId)
+    .map(([deviceId, device]) => ({
+      deviceId,
+      lat: device.lat,
+      lng: device.lng,
+      userId: device.userId,
+    }));
+
+  const detectionRadius = await getDetectionRadius(deps.pool, data.userId);
+  const nearbyPetsResult = detectNearbyPets(
+    currentPet,
+    otherPets,
+    detectionRadius
+  );
+
+  if (nearbyPetsResult.length === 0) {
+    const previousNearby =
+      (await deps.state.get(NAMESPACES.NEARBY_PETS_STATE, data.deviceId)) || [];
+    if (previousNearby.length > 0) {
+      console.log(`📍 Pets are no longer nearby for device ${data.deviceId}`);
+      await deps.state.set(NAMESPACES.NEARBY_PETS_STATE, data.deviceId, []);
+    }
+    return;
+  }
+
+  const nearbyDeviceIds = nearbyPetsResult.map((pet) => pet.deviceId);
+  await deps.state.set(NAMESPACES.NEARBY_PETS_STATE, data.deviceId, nearbyDeviceIds);
+
+  const ownerInfo = await queryWithRetry(
+    deps.pool,
+    `SELECT t.device_id, t.user_id, t.pet_name, t.pet_type, t.pet_breed, u.first_name, u.last_name, u.email
+     FROM trackers t
+     JOIN users u ON t.user_id = u.user_id
+     WHERE t.device_id IN (?)`,
+    [[data.deviceId, ...nearbyDeviceIds]]
+  );
+
+  const ownerGroups = {};
+  const deviceOwnerMap = {};
+
+  ownerInfo.forEach((tracker) => {
+    const userId = tracker.user_id;
+    const deviceId = tracker.device_id;
+    const petName = tracker.pet_name || "Unnamed Pet";
+    const petType = tracker.pet_type || "Unknown";
+    const petBreed = tracker.pet_breed || "Unknown";
+    const ownerName =
+      `${tracker.first_name || ""} ${tracker.last_name || ""}`.trim() ||
+      tracker.email ||
+      `User ${userId}`;
+
+    const deviceCoords =
+      deviceId === data.deviceId
+        ? { lat: data.lat, lng: data.lng }
+        : nearbyPetsResult.find((pet) => pet.deviceId === deviceId);
+
+    deviceOwnerMap[deviceId] = { userId, petName, petType, petBreed, ownerName };
+
+    if (!ownerGroups[userId]) {
+      ownerGroups[userId] = [];
+    }
+    ownerGroups[userId].push({
+      deviceId,
+      petName,
+      petType,
+      petBreed,
+      lat: deviceCoords?.lat,
+      lng: deviceCoords?.lng,
+      owner: { userId, petName, petType, petBreed, ownerName },
+    });
+  });
+
+  const involvedUserIds = Object.keys(ownerGroups);
+
+  // Only pets from different owners count as an encounter
+  if (involvedUserIds.length <= 1) return;
+
+  console.log(
+    `🐾 Nearby pets detected from different owners (within ${detectionRadius}m):`,
+    ownerGroups
+  );
+
+  const shouldGroupPets = Object.values(ownerGroups).some(
+    (pets) => pets.length > 1
+  );
+
+  let nearbyPetsData;
+
+  if (shouldGroupPets) {
+    nearbyPetsData = {
+      type: "grouped",
+      involvedUsers: involvedUserIds,
+      ownerGroups: ownerGroups,
+      triggerDevice: {
+        deviceId: data.deviceId,
+        owner: deviceOwnerMap[data.deviceId],
+        lat: data.lat,
+        lng: data.lng,
+      },
+      nearbyDevices: nearbyPetsResult.map((pet) => ({
+        deviceId: pet.deviceId,
+        lat: pet.lat,
+        lng: pet.lng,
+        owner: deviceOwnerMap[pet.deviceId],
+      })),
+    };
+  } else {
+    const allPets = [
+      {
+        deviceId: data.deviceId,
+        ...describePet(deviceOwnerMap[data.deviceId]),
+        lat: data.lat,
+        lng: data.lng,
+        isTrigger: true,
+      },
+      ...nearbyPetsResult.map((pet) => ({
+        deviceId: pet.deviceId,
+        ...describePet(deviceOwnerMap[pet.deviceId]),
+        lat: pet.lat,
+        lng: pet.lng,
+        isTrigger: false,
+      })),
+    ];
+
+    nearbyPetsData = {
+      type: "individual",
+      involvedUsers: involvedUserIds,
+      pets: allPets,
+    };
+  }
+
+  const interactionKey = [...nearbyDeviceIds, data.deviceId].sort().join(",");
+  // Swapped atomically so only one node notifies a new interaction
+  const isNewInteraction =
+    (await deps.state.swap(
+      NAMESPACES.NEARBY_PETS_INTERACTIONS,
+      interactionKey,
+      true
+    )) !== true;
+
+  if (isNewInteraction) {
+    console.log(`✨ New nearby pets interaction detected (${interactionKey}), sending notifications`);
+  } else {
+    console.log(`ℹ️ Interaction between pets already notified before (${interactionKey}), skipping notifications and SMS`);
+  }
+
+  ctx.emit({
+    type: "nearby_pets",
+    ownerGroups,
+    involvedUserIds,
+    nearbyPetsData,
+    detectionRadius,
+    isNewInteraction,
+  });
+}
+
+module.exports = { detectNearbyPetsStage };
@@ -0,0 +1,23 @@
+const { NAMESPACES } = require("../../utils/stateStore");
+
+/**
+ * DETECT: device came online (first packet or first after going offline)
+ * Emits { type: "online" }.
+ */
+async function detectOnline(ctx) {
+  const { data, deps } = ctx;
+
+  // Swapped atomically so only one node reports the transition
+  const previous = await deps.state.swap(
+    NAMESPACES.DEVICE_STATUS,
+    data.deviceId,
+    "online"
+  );
+  if (previous === "online") return;
+
+  console.log(`🟢 ${data.deviceId} is now ONLINE`);
+
+  ctx.emit({ type: "online" });
+}
+
+module.exports = { detectOnline };
@@ -0,0 +1,58 @@
+const { PHASES, createTelemetryPipeline } = require("./pipeline");
+const { normalizePacket, resolveFixTime } = require("./stages/normalize");
+const { filterGpsQuality } = require("./stages/gpsQuality");
+const {
+  updateLiveState,
+  recordTrail,
+  stopHistorical,
+} = require("./stages/persist");
+const { detectLowBattery } = require("./detectors/lowBattery");
+const { detectOnline } = require("./detectors/online");
+const {
+  detectGeofenceTransitions,
+  resetGeofenceState,
+} = require("./detectors/geofence");
+const { detectNearbyPetsStage } = require("./detectors/nearbyPets");
+const { registerOwnerAlert, notifyOwners } = require("./notifiers/ownerAlerts");
+const { notifyNearbyPets } = require("./notifiers/nearbyPets");
+const { broadcastDeviceUpdate } = require("./notifiers/broadcast");
+const { MAX_BACKFILL_FIXES, processBackfill } = require("./backfill");
+
+/**
+ * Create the telemetry pipeline with the built-in stages registered
+ * @param {Object} deps - Shared dependencies for every stage
+ * @param {Object} deps.pool - MySQL connection pool
+ * @param {Object} deps.io - Socket.IO server
+ * @param {Object} deps.state - Shared state store (see utils/stateStore) holding
+ *   live positions, online status, geofence and nearby-pet state
+ * @param {Function} deps.addTrailPoint - Queue a trail point
+ * @param {Function} deps.saveTrailBatch - Insert trail points immediately
+ * @param {Function} deps.broadcastDevices - Push device lists to dashboards
+ * @returns {Object} Telemetry pipeline
+ */
+function createDefaultTelemetryPipeline(deps) {
+  return createTelemetryPipeline(deps)
+    .use("normalize", "normalize-packet", normalizePacket)
+    .use("normalize", "fix-time", resolveFixTime)
+    .use("normalize", "gps-quality", filterGpsQuality)
+    .use("persist", "live-state", updateLiveState)
+    .use("persist", "trail", recordTrail)
+    .use("persist", "historical-cutoff", stopHistorical)
+    .use("detect", "low-battery", detectLowBattery)
+    .use("detect", "online", detectOnline)
+    .use("detect", "geofence", detectGeofenceTransitions)
+    .use("detect", "nearby-pets", detectNearbyPetsStage)
+    .use("notify", "owner-alerts", notifyOwners)
+    .use("notify", "nearby-pets-alerts", notifyNearbyPets)
+    .use("notify", "broadcast", broadcastDeviceUpdate);
+}
+
+module.exports = {
+  PHASES,
+  createTelemetryPipeline,
+  createDefaultTelemetryPipeline,
+  registerOwnerAlert,
+  resetGeofenceState,
+  MAX_BACKFILL_FIXES,
+  processBackfill,
+};
@@ -0,0 +1,9 @@
+/**
+ * NOTIFY: push the updated device list to connected dashboards
+ */
+async function broadcastDeviceUpdate(ctx) {
+  console.log(`📥 Received from device (${ctx.source}):`, ctx.data);
+  ctx.deps.broadcastDevices();
+}
+
+module.exports = { broadcastDeviceUpdate };
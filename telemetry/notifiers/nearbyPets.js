@@ -0,0 +1,79 @@
+const notificationHelper = require("../../utils/notifications");
+const trackerHistory = require("../../utils/trackerHistory");
+const {
+  formatSMSTime,
+  sendNotificationSMS,
+} = require("../../utils/userNotificationUtils");
+
+function getOtherOwnerPets(ownerGroups, userId) {
+  return Object.entries(ownerGroups)
+    .filter(([ownerId]) => ownerId !== userId)
+    .flatMap(([, pets]) => pets);
+}
+
+/**
+ * NOTIFY: push nearby-pets updates to every involved owner and, for a new
+ * interaction, record history, create notifications and send SMS
+ */
+async function notifyNearbyPets(ctx) {
+  const { data, deps } = ctx;
+
+  for (const event of ctx.events) {
+    if (event.type !== "nearby_pets") continue;
+
+    const { ownerGroups, involvedUserIds, nearbyPetsData, detectionRadius } =
+      event;
+
+    involvedUserIds.forEach((userId) => {
+      deps.io.to(userId).emit("nearby-pets", nearbyPetsData);
+    });
+
+    if (!event.isNewInteraction) continue;
+
+    for (const userId of involvedUserIds) {
+      const currentUserPets = ownerGroups[userId] || [];
+      const userPetNames = currentUserPets.map((pet) => pet.petName).join(", ");
+      const otherOwnerPets = getOtherOwnerPets(ownerGroups, userId);
+
+      const notificationMessage =
+        otherOwnerPets.length === 1
+          ? `${userPetNames} is near ${otherOwnerPets[0].petName} (${otherOwnerPets[0].petType || "pet"})`
+          : `${userPetNames} is near ${otherOwnerPets.length} other pets`;
+
+      // Save tracker history for NEARBY PETS detection
+      await trackerHistory.saveTrackerHistory({
+        tracker_id: data.deviceId,
+        user_id: userId,
+        history_type: "nearby_pets",
+        lat: data.lat,
+        lng: data.lng,
+        battery: data.battery,
+        datetime: new Date(ctx.fixTime),
+      });
+
+      await notificationHelper.createNotification(
+        deps.io,
+        userId,
+        data.deviceId,
+        notificationMessage,
+        "normal"
+      );
+
+      console.log(
+        `📱 Notifying user ${userId} about nearby pets (${nearbyPetsData.type})`
+      );
+
+      if (currentUserPets.length === 0) continue;
+
+      await sendNotificationSMS(
+        deps.pool,
+        userId,
+        currentUserPets[0].deviceId,
+        "nearby_pet",
+        `${notificationMessage} within ${detectionRadius}m. Time: ${formatSMSTime()}`
+      );
+    }
+  }
+}
+
+module.exports = { notifyNearbyPets };
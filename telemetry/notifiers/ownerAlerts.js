@@ -0,0 +1,144 @@
+const notificationHelper = require("../../utils/notifications");
+const trackerHistory = require("../../utils/trackerHistory");
+const {
+  formatSMSTime,
+  sendNotificationSMS,
+} = require("../../utils/userNotificationUtils");
+
+/**
+ * Alerts sent to every owner of the tracker, keyed by detector event type
+ * - historyType: tracker_history type to record (null to skip)
+ * - sound: notification sound type
+ * - smsSetting: sms_notification_settings column that enables the SMS
+ * - message / sms: build the texts from { petName, data, event }
+ */
+const OWNER_ALERTS = {
+  low_battery: {
+    historyType: null,
+    sound: "alert",
+    smsSetting: "low_battery",
+    message: ({ petName, event }) =>
+      `⚠️ ${petName}'s tracker battery is low (${event.battery}%)`,
+    sms: ({ petName, event }) =>
+      `⚠️ ALERT: ${petName}'s tracker battery is low (${event.battery}%). Please charge soon. Time: ${formatSMSTime()}`,
+  },
+  online: {
+    historyType: "online",
+    sound: "normal",
+    smsSetting: "online",
+    message: ({ petName, data }) =>
+      `${petName}'s tracker (${data.deviceId}) is now ONLINE`,
+    sms: ({ petName, data }) =>
+      `${petName}'s tracker (${data.deviceId}) is now ONLINE. Time: ${formatSMSTime()}`,
+  },
+  geofence_in: {
+    historyType: "geofence_in",
+    sound: "normal",
+    smsSetting: "in_geofence",
+    message: ({ petName, event }) =>
+      `${petName} has entered the "${event.geofenceName}" geofence zone`,
+    sms: ({ petName, event }) =>
+      `${petName} has ENTERED the "${event.geofenceName}" geofence zone. Time: ${formatSMSTime()}`,
+  },
+  geofence_out: {
+    historyType: "geofence_out",
+    sound: "alert",
+    smsSetting: "out_geofence",
+    message: ({ petName, event }) =>
+      `⚠️ ${petName} has left the "${event.geofenceName}" geofence zone!`,
+    sms: ({ petName, event }) =>
+      `⚠️ ALERT: ${petName} has LEFT the "${event.geofenceName}" geofence zone! Time: ${formatSMSTime()}`,
+  },
+  // Sent before geofence_out, so it shares the exit SMS switch
+  geofence_warning: {
+    historyType: null,
+    sound: "alert",
+    smsSetting: "out_geofence",
+    message: ({ petName, event }) =>
+      `🔶 ${petName} is heading for the edge of the "${event.geofenceName}" geofence zone (~${Math.round(event.distance)}m left)`,
+    sms: ({ petName, event }) =>
+      `WARNING: ${petName} is heading for the edge of the "${event.geofenceName}" geofence zone (~${Math.round(event.distance)}m left). Time: ${formatSMSTime()}`,
+  },
+  // Danger zones share the SMS switches by severity: entering one is as
+  // urgent as leaving a safe zone
+  danger_zone_in: {
+    historyType: "geofence_in",
+    sound: "alert",
+    smsSetting: "out_geofence",
+    message: ({ petName, event }) =>
+      `⚠️ ${petName} has entered the "${event.geofenceName}" danger zone!`,
+    sms: ({ petName, event }) =>
+      `⚠️ ALERT: ${petName} has ENTERED the "${event.geofenceName}" danger zone! Time: ${formatSMSTime()}`,
+  },
+  danger_zone_out: {
+    historyType: "geofence_out",
+    sound: "normal",
+    smsSetting: "in_geofence",
+    message: ({ petName, event }) =>
+      `${petName} has left the "${event.geofenceName}" danger zone`,
+    sms: ({ petName, event }) =>
+      `${petName} has LEFT the "${event.geofenceName}" danger zone. Time: ${formatSMSTime()}`,
+  },
+};
+
+/**
+ * Register (or replace) the owner alert for an event type
+ * @param {string} type - Event type emitted by a detector
+ * @param {Object} alert - { historyType, sound, smsSetting, message, sms }
+ */
+function registerOwnerAlert(type, alert) {
+  OWNER_ALERTS[type] = alert;
+}
+
+/**
+ * NOTIFY: record history, create notifications and send SMS to the
+ * tracker's owners for every event with a registered owner alert
+ */
+async function notifyOwners(ctx) {
+  const { data, deps } = ctx;
+  const events = ctx.events.filter((event) => OWNER_ALERTS[event.type]);
+  if (events.length === 0) return;
+
+  const owners = await ctx.getOwners();
+
+  for (const event of events) {
+    const alert = OWNER_ALERTS[event.type];
+
+    for (const tracker of owners) {
+      const petName = tracker.pet_name || "Your pet";
+      const vars = { petName, data, event };
+
+      if (alert.historyType) {
+        await trackerHistory.saveTrackerHistory({
+          tracker_id: data.deviceId,
+          user_id: tracker.user_id,
+          history_type: alert.historyType,
+          lat: data.lat,
+          lng: data.lng,
+          battery: data.battery,
+          datetime: new Date(ctx.fixTime),
+        });
+      }
+
+      await notificationHelper.createNotification(
+        deps.io,
+        tracker.user_id,
+        data.deviceId,
+        alert.message(vars),
+        alert.sound
+      );
+
+      if (alert.smsSetting) {
+        await sendNotificationSMS(
+          deps.pool,
+          tracker.user_id,
+          data.deviceId,
+          alert.smsSetting,
+          alert.sms(vars)
+        );
+      }
+    }
+  }
+}
+
+module.exports = { OWNER_ALERTS, registerOwnerAlert, notifyOwners };
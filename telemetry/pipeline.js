@@ -0,0 +1,192 @@
+/**
+ * Telemetry processing pipeline
+ * Every telemetry packet (HTTP /data, MQTT, device WebSocket, simulation or
+ * replay) runs through the same ordered phases:
+ *
+ *   normalize -> persist -> detect -> notify
+ *
+ * Stages are registered per phase with pipeline.use(). Normalize and persist
+ * errors abort the packet and reach the caller (so /data can answer 503 and
+ * the device retries); detect and notify errors are logged and the
+ * remaining stages still run.
+ */
+
+const { queryWithRetry } = require("../utils/dbRetry");
+
+const PHASES = ["normalize", "persist", "detect", "notify"];
+
+// Phases whose failures are isolated to the failing stage
+const ISOLATED_PHASES = ["detect", "notify"];
+
+/**
+ * Create a telemetry pipeline
+ * @param {Object} deps - Shared dependencies handed to every stage (pool, io, live state...)
+ * @returns {Object} Pipeline with use(), remove(), list() and process()
+ */
+function createTelemetryPipeline(deps) {
+  const stages = {};
+  PHASES.forEach((phase) => (stages[phase] = []));
+
+  /**
+   * Register a stage
+   * @param {string} phase - One of normalize, persist, detect, notify
+   * @param {string} name - Unique stage name
+   * @param {Function} handler - async (ctx) => void
+   * @param {Object} [options]
+   * @param {string} [options.before] - Insert before this stage of the same phase
+   * @returns {Object} The pipeline, for chaining
+   */
+  function use(phase, name, handler, options = {}) {
+    if (!stages[phase]) {
+      throw new Error(`Unknown pipeline phase "${phase}"`);
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Stage "${name}" needs a handler function`);
+    }
+    if (list().some((stage) => stage.name === name)) {
+      throw new Error(`Stage "${name}" is already registered`);
+    }
+
+    const stage = { name, handler };
+    const index = options.before
+      ? stages[phase].findIndex((s) => s.name === options.before)
+      : -1;
+
+    if (index >= 0) {
+      stages[phase].splice(index, 0, stage);
+    } else {
+      stages[phase].push(stage);
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Unregister a stage by name
+   * @param {string} name - Stage name
+   * @returns {boolean} Whether a stage was removed
+   */
+  function remove(name) {
+    for (const phase of PHASES) {
+      const index = stages[phase].findIndex((s) => s.name === name);
+      if (index >= 0) {
+        stages[phase].splice(index, 1);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * List registered stages in execution order
+   * @returns {Array<{phase: string, name: string}>}
+   */
+  function list() {
+    return PHASES.flatMap((phase) =>
+      stages[phase].map((stage) => ({ phase, name: stage.name }))
+    );
+  }
+
+  /**
+   * Run one packet through every stage
+   * @param {Object} data - Raw telemetry ({ deviceId, lat, lng, battery, ... })
+   * @param {Object} [options]
+   * @param {string} [options.source="unknown"] - Ingestion channel (http, mqtt, websocket, simulation, replay)
+   * @returns {Promise<Object>} The final stage context
+   */
+  async function process(data, options = {}) {
+    const ctx = createContext(data, options);
+
+    for (const phase of PHASES) {
+      for (const stage of stages[phase]) {
+        if (ctx.stopped) return ctx;
+
+        if (!ISOLATED_PHASES.includes(phase)) {
+          await stage.handler(ctx);
+          continue;
+        }
+
+        try {
+          await stage.handler(ctx);
+        } catch (err) {
+          console.error(
+            `❌ Telemetry stage "${stage.name}" failed for ${data?.deviceId}:`,
+            err.message
+          );
+        }
+      }
+    }
+
+    return ctx;
+  }
+
+  function createContext(data, options) {
+    let ownersPromise = null;
+
+    const ctx = {
+      data,
+      deps,
+      source: options.source || "unknown",
+      now: Date.now(),
+      // Live state of the device before this packet (set by normalize)
+      prev: {},
+      // Events raised by detectors for notifiers to act on
+      events: [],
+      stopped: false,
+      stopReason: null,
+      // Set when the packet was refused rather than merely finished early
+      rejected: false,
+
+      /**
+       * Raise an event for the notify phase
+       * @param {Object} event - { type, ... }
+       */
+      emit(event) {
+        ctx.events.push(event);
+      },
+
+      /**
+       * Stop processing this packet after the current stage
+       * @param {string} reason - Why the packet was dropped
+       */
+      stop(reason) {
+        ctx.stopped = true;
+        ctx.stopReason = reason;
+      },
+
+      /**
+       * Refuse this packet (invalid data); callers can report the reason
+       * @param {string} reason - Why the packet was refused
+       */
+      reject(reason) {
+        ctx.rejected = true;
+        ctx.stop(reason);
+      },
+
+      /**
+       * Owners of this tracker ({ user_id, pet_name, pet_type }), queried once per packet
+       * @returns {Promise<Array>}
+       */
+      getOwners() {
+        if (!ownersPromise) {
+          ownersPromise = queryWithRetry(
+            deps.pool,
+            `SELECT user_id, pet_name, pet_type FROM trackers WHERE device_id = ?`,
+            [data.deviceId]
+          );
+        }
+        return ownersPromise;
+      },
+    };
+
+    return ctx;
+  }
+
+  const pipeline = { use, remove, list, process };
+  return pipeline;
+}
+
+module.exports = {
+  PHASES,
+  createTelemetryPipeline,
+};
@@ -0,0 +1,70 @@
+const {
+  hasPosition,
+  getQualityFields,
+  checkReceiverQuality,
+  checkSpeed,
+} = require("../../utils/gpsQuality");
+const { NAMESPACES } = require("../../utils/stateStore");
+
+// After this many jumps in a row the new position is accepted, so one bad
+// accepted fix cannot lock the device out for good
+const MAX_CONSECUTIVE_JUMPS = 3;
+
+/**
+ * NORMALIZE: drop fixes with poor GPS quality or impossible movement
+ * Sets ctx.quality ({ accuracy, hdop, satellites, speed }). Dropped fixes
+ * never reach the trail, geofence or nearby-pet stages, but still count as
+ * a sign of life from the device. Packets without a position (battery-only,
+ * heartbeats) are let through unchecked.
+ */
+async function filterGpsQuality(ctx) {
+  const { data, prev, deps } = ctx;
+  ctx.quality = getQualityFields(data);
+
+  if (!hasPosition(data)) return;
+
+  const fix = {
+    lat: Number(data.lat),
+    lng: Number(data.lng),
+    fixTime: ctx.fixTime,
+    ...ctx.quality,
+  };
+
+  let reason = checkReceiverQuality(fix);
+
+  // Out-of-order fixes are not compared against the newer live position
+  const prevFix = ctx.outOfOrder ? null : prev;
+
+  if (!reason && (fix.speed !== null || prevFix?.fixTime !== undefined)) {
+    const owners = await ctx.getOwners();
+    reason = checkSpeed(fix, prevFix, owners[0]?.pet_type);
+
+    if (reason === "impossible_jump") {
+      prev.rejectedJumps = (prev.rejectedJumps || 0) + 1;
+
+      if (prev.rejectedJumps >= MAX_CONSECUTIVE_JUMPS) {
+        console.log(
+          `📍 ${data.deviceId} reported ${prev.rejectedJumps} jumps in a row, accepting new position`
+        );
+        reason = null;
+      }
+    }
+  }
+
+  if (!reason) return;
+
+  console.warn(
+    `🛰️ Dropping ${data.deviceId} fix (${reason}): accuracy=${fix.accuracy}, hdop=${fix.hdop}, satellites=${fix.satellites}, speed=${fix.speed}`
+  );
+
+  if (prev.lat !== undefined) {
+    await deps.state.update(NAMESPACES.LATEST_DEVICES, data.deviceId, {
+      lastSeen: ctx.now,
+      rejectedJumps: prev.rejectedJumps || 0,
+    });
+  }
+
+  ctx.stop(reason);
+}
+
+module.exports = { MAX_CONSECUTIVE_JUMPS, filterGpsQuality };
@@ -0,0 +1,156 @@
+const { getCachedUserId, cacheDeviceUser } = require("../../utils/deviceCache");
+const { queryWithRetry } = require("../../utils/dbRetry");
+const { parseDeviceTimestamp } = require("../../utils/deviceAuth");
+const { NAMESPACES } = require("../../utils/stateStore");
+
+// Fixes older than this on arrival (after allowing for the device's clock
+// offset) are historical: stored, not alerted on
+const LIVE_WINDOW_MS =
+  parseInt(process.env.TELEMETRY_LIVE_WINDOW_MS) || 2 * 60 * 1000;
+
+// How much the lag may vary between packets of a device whose clock is
+// simply behind
+const SKEW_TOLERANCE_MS = 30 * 1000;
+
+// How far ahead of the server clock a device timestamp may be
+const MAX_FUTURE_SKEW_MS =
+  parseInt(process.env.TELEMETRY_MAX_FUTURE_SKEW_MS) || 2 * 60 * 1000;
+
+// Fixes older than this are rejected outright
+const MAX_FIX_AGE_MS =
+  parseInt(process.env.TELEMETRY_MAX_FIX_AGE_MS) || 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * NORMALIZE: validate the packet and attach the owning user
+ * Sets ctx.prev to the device's live state before this packet, and
+ * ctx.fixTime / ctx.isHistorical / ctx.outOfOrder from the device `ts`.
+ */
+async function normalizePacket(ctx) {
+  const { data, deps } = ctx;
+
+  if (!data || typeof data !== "object" || !data.deviceId) {
+    console.log("⚠️ Received invalid or empty JSON");
+    ctx.stop("invalid_payload");
+    return;
+  }
+
+  if (!data.userId) {
+    const cachedUserId = getCachedUserId(data.deviceId);
+
+    if (cachedUserId) {
+      data.userId = cachedUserId;
+    } else {
+      try {
+        const trackerInfo = await queryWithRetry(
+          deps.pool,
+          `SELECT user_id FROM trackers WHERE device_id = ? LIMIT 1`,
+          [data.deviceId]
+        );
+
+        if (trackerInfo.length > 0) {
+          data.userId = trackerInfo[0].user_id;
+          cacheDeviceUser(data.deviceId, data.userId);
+          console.log(`ℹ️ Found and cached userId ${data.userId} for device ${data.deviceId}`);
+        } else {
+          console.log(`⚠️ No userId found for device ${data.deviceId}`);
+        }
+      } catch (lookupError) {
+        console.error(`❌ Error looking up userId for device ${data.deviceId}:`, lookupError.message);
+      }
+    }
+  }
+
+  ctx.prev =
+    (await deps.state.get(NAMESPACES.LATEST_DEVICES, data.deviceId)) || {};
+}
+
+/**
+ * Work out whether an in-order fix is late, allowing for the device clock
+ * A device whose clock runs behind shows the same lag on every packet, for
+ * longer than the live window; buffered fixes arrive in one burst with
+ * shrinking lag. Once a steady lag has lasted LIVE_WINDOW_MS it is taken
+ * as the device's clock offset (prev.clockOffset) and its fixes count as
+ * live again. Sets ctx.clockOffset and ctx.skewCandidate for the live state.
+ * @returns {boolean} Whether the fix is late
+ */
+function checkClockLag(ctx) {
+  const { data, prev } = ctx;
+  const lag = ctx.now - ctx.fixTime;
+  const offset = prev.clockOffset || 0;
+
+  ctx.clockOffset = offset;
+  ctx.skewCandidate = null;
+
+  if (lag - offset <= LIVE_WINDOW_MS) {
+    // Follow a clock that has been corrected (or was never behind)
+    ctx.clockOffset = Math.min(offset, lag);
+    return false;
+  }
+
+  const candidate = prev.skewCandidate;
+  if (!candidate || Math.abs(lag - candidate.lag) > SKEW_TOLERANCE_MS) {
+    console.warn(
+      `⏱️ ${data.deviceId} fix is ${Math.round(lag / 1000)}s behind the server clock (buffered data or clock skew)`
+    );
+    ctx.skewCandidate = { lag, since: ctx.now };
+    return true;
+  }
+
+  if (ctx.now - candidate.since < LIVE_WINDOW_MS) {
+    ctx.skewCandidate = candidate;
+    return true;
+  }
+
+  console.warn(
+    `⏱️ ${data.deviceId} clock is ${Math.round(lag / 1000)}s behind, treating its fixes as live`
+  );
+  ctx.clockOffset = lag;
+  return false;
+}
+
+/**
+ * NORMALIZE: resolve the fix time from the device `ts` (arrival time if absent)
+ * Rejects future and stale timestamps; flags late and out-of-order fixes as
+ * historical.
+ */
+async function resolveFixTime(ctx) {
+  const { data, prev } = ctx;
+  const fixTime = parseDeviceTimestamp(data.ts);
+
+  if (data.ts !== undefined && fixTime === null) {
+    console.warn(`⚠️ ${data.deviceId} sent an invalid timestamp: ${data.ts}`);
+    ctx.reject("invalid_timestamp");
+    return;
+  }
+
+  ctx.fixTime = fixTime ?? ctx.now;
+
+  if (ctx.fixTime - ctx.now > MAX_FUTURE_SKEW_MS) {
+    console.warn(`⚠️ ${data.deviceId} sent a future timestamp: ${new Date(ctx.fixTime).toISOString()}`);
+    ctx.reject("future_timestamp");
+    return;
+  }
+
+  if (ctx.now - ctx.fixTime > MAX_FIX_AGE_MS) {
+    console.warn(`⚠️ ${data.deviceId} sent a stale timestamp: ${new Date(ctx.fixTime).toISOString()}`);
+    ctx.reject("stale_timestamp");
+    return;
+  }
+
+  ctx.outOfOrder = prev.fixTime !== undefined && ctx.fixTime < prev.fixTime;
+  ctx.isHistorical = ctx.outOfOrder || checkClockLag(ctx);
+
+  if (ctx.isHistorical) {
+    console.log(
+      `🕓 ${data.deviceId} fix from ${new Date(ctx.fixTime).toISOString()} is historical${ctx.outOfOrder ? " (out of order)" : ""}`
+    );
+  }
+}
+
+module.exports = {
+  LIVE_WINDOW_MS,
+  MAX_FUTURE_SKEW_MS,
+  MAX_FIX_AGE_MS,
+  normalizePacket,
+  resolveFixTime,
+};
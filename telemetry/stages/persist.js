@@ -0,0 +1,98 @@
+const { NAMESPACES } = require("../../utils/stateStore");
+const { hasPosition } = require("../../utils/gpsQuality");
+
+/**
+ * PERSIST: update the live device state and the trail point batch
+ */
+
+// Minimum movement (in degrees) before a trail point is recorded
+const MIN_MOVEMENT = 0.00001;
+
+async function updateLiveState(ctx) {
+  const { data, prev, deps } = ctx;
+
+  // An older fix must not overwrite a newer position
+  if (ctx.outOfOrder) {
+    await deps.state.update(NAMESPACES.LATEST_DEVICES, data.deviceId, {
+      lastSeen: ctx.now,
+    });
+    return;
+  }
+
+  // Heartbeats keep the last position and fix time, so the next fix still
+  // joins the trail and is still checked for impossible jumps
+  if (!hasPosition(data)) {
+    await deps.state.set(NAMESPACES.LATEST_DEVICES, data.deviceId, {
+      ...prev,
+      battery: data.battery ?? prev.battery,
+      lastSeen: ctx.now,
+      online: true,
+      userId: data.userId,
+    });
+    return;
+  }
+
+  await deps.state.set(NAMESPACES.LATEST_DEVICES, data.deviceId, {
+    lat: data.lat,
+    lng: data.lng,
+    battery: data.battery,
+    lastSeen: ctx.now,
+    fixTime: ctx.fixTime,
+    clockOffset: ctx.clockOffset,
+    skewCandidate: ctx.skewCandidate,
+    ...ctx.quality,
+    online: true,
+    userId: data.userId,
+  });
+}
+
+async function recordTrail(ctx) {
+  const { data, prev, deps } = ctx;
+
+  if (!(data.lat && data.lng)) {
+    console.log(`🔍 ${data.deviceId} - Missing current position for trail batching`);
+    return;
+  }
+
+  const point = {
+    lat: data.lat,
+    lng: data.lng,
+    recorded_at: new Date(ctx.fixTime),
+    battery: data.battery,
+    ...ctx.quality,
+    // The first known position has nothing to join to
+    starts_track: !(prev.lat && prev.lng),
+  };
+
+  // Points are ordered by device time, so an out-of-order fix simply falls
+  // into place; only in-order fixes are checked for movement
+  if (!ctx.outOfOrder && !point.starts_track) {
+    // Only add to trail if the device has moved significantly (to avoid saving identical positions)
+    const latDiff = Math.abs(data.lat - prev.lat);
+    const lngDiff = Math.abs(data.lng - prev.lng);
+
+    console.log(`🚶 ${data.deviceId} movement check: latDiff=${latDiff.toFixed(6)}, lngDiff=${lngDiff.toFixed(6)}, threshold=${MIN_MOVEMENT}`);
+
+    if (latDiff <= MIN_MOVEMENT && lngDiff <= MIN_MOVEMENT) {
+      console.log(`📍 ${data.deviceId} movement too small, skipping trail point`);
+      return;
+    }
+  }
+
+  try {
+    await deps.addTrailPoint(data.deviceId, point);
+  } catch (trailError) {
+    console.error(`❌ Error adding to trail batch for ${data.deviceId}:`, trailError.message);
+  }
+}
+
+/**
+ * Historical fixes stop here: they are stored but never alerted on
+ */
+async function stopHistorical(ctx) {
+  if (ctx.isHistorical) {
+    ctx.stop("historical");
+  }
+}
+
+module.exports = { updateLiveState, recordTrail, stopHistorical };
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDayBounds, computeDailyActivity } = require("../utils/activitySummary");
+
+function row(lat, time, startsTrack) {
+  return {
+    lat: lat.toFixed(7),
+    lng: "123.4900000",
+    recorded_at: new Date(time),
+    battery: null,
+    accuracy: null,
+    hdop: null,
+    satellites: null,
+    speed: null,
+    starts_track: startsTrack ? 1 : 0,
+  };
+}
+
+// Answers the trail_points and tracker_history queries computeDailyActivity makes
+function createConnection({ points, previous = [], next = [], exits = 0 }) {
+  return {
+    query: async (sql) => {
+      if (sql.includes("BETWEEN")) return [points];
+      if (sql.includes("recorded_at < ?")) return [previous];
+      if (sql.includes("recorded_at > ?")) return [next];
+      if (sql.includes("FROM tracker_history")) return [[{ count: String(exits) }]];
+      return [[]];
+    },
+  };
+}
+
+test("day bounds follow the owner's time zone", () => {
+  const { start, end } = getDayBounds("2026-10-18", "Asia/Manila");
+  assert.equal(start.toISOString(), "2026-10-17T16:00:00.000Z");
+  assert.equal(end.toISOString(), "2026-10-18T16:00:00.000Z");
+});
+
+test("a walk from home adds up distance, active time and exits", async () => {
+  const connection = createConnection({
+    points: [
+      row(8.09, "2026-10-18T08:00:00Z", true),
+      row(8.091, "2026-10-18T08:01:00Z"),
+      row(8.092, "2026-10-18T08:02:00Z"),
+      row(8.093, "2026-10-18T08:03:00Z"),
+    ],
+    exits: 2,
+  });
+
+  const activity = await computeDailyActivity(connection, "dev-1", "2026-10-18", "UTC", {
+    lat: 8.09,
+    lng: 123.49,
+  });
+
+  assert.ok(Math.abs(activity.distance_m - 333.6) < 1, `${activity.distance_m} m`);
+  assert.equal(activity.max_distance_from_home_m, activity.distance_m);
+  assert.equal(activity.active_minutes, 3);
+  assert.equal(activity.resting_minutes, 0);
+  assert.equal(activity.trip_count, 1);
+  assert.equal(activity.point_count, 4);
+  assert.equal(activity.geofence_exits, 2);
+});
+
+test("a stay from the night before counts as resting until the pet moves", async () => {
+  const connection = createConnection({
+    previous: [row(8.09, "2026-10-17T23:00:00Z", true)],
+    points: [
+      row(8.09001, "2026-10-18T06:00:00Z"),
+      row(8.091, "2026-10-18T06:01:00Z"),
+      row(8.092, "2026-10-18T06:02:00Z"),
+    ],
+  });
+
+  const activity = await computeDailyActivity(connection, "dev-1", "2026-10-18", "UTC", null);
+
+  // Midnight to 06:01, when the pet left
+  assert.equal(activity.resting_minutes, 6 * 60 + 1);
+  assert.equal(activity.active_minutes, 1);
+  assert.equal(activity.trip_count, 1);
+  assert.equal(activity.point_count, 3);
+  assert.equal(activity.max_distance_from_home_m, null);
+  assert.equal(activity.geofence_exits, 0);
+});
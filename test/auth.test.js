@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { requireSameUser, filterOwnedTrackers } = require("../utils/auth");
+
+function run(middleware, req) {
+  const result = { status: null, body: null, next: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  middleware(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+function geofenceUpdate(userId, body) {
+  return {
+    method: "PUT",
+    originalUrl: "/api/geofences/7",
+    params: { geofenceId: "7" },
+    query: {},
+    body,
+    user: { userId },
+  };
+}
+
+test("requireSameUser rejects an update carrying another user's user_id", () => {
+  const result = run(
+    requireSameUser,
+    geofenceUpdate(1, { user_id: 2, device_ids: ["pet-1"], type: "circle" })
+  );
+
+  assert.equal(result.next, false);
+  assert.equal(result.status, 403);
+});
+
+test("requireSameUser lets the caller's own user_id through", () => {
+  const result = run(
+    requireSameUser,
+    geofenceUpdate(1, { user_id: "1", device_ids: ["pet-1"], type: "circle" })
+  );
+
+  assert.equal(result.next, true);
+  assert.equal(result.status, null);
+});
+
+test("filterOwnedTrackers keeps only the user's trackers, in request order", async () => {
+  const owners = { "pet-1": 1, "pet-2": 2, "pet-3": 1 };
+  const pool = {
+    getConnection: async () => ({
+      query: async (sql, [deviceIds, userId]) => [
+        deviceIds
+          .filter((deviceId) => owners[deviceId] === userId)
+          .map((device_id) => ({ device_id })),
+      ],
+      release() {},
+    }),
+  };
+
+  assert.deepEqual(await filterOwnedTrackers(pool, 1, ["pet-3", "pet-2", "pet-1"]), [
+    "pet-3",
+    "pet-1",
+  ]);
+  assert.deepEqual(await filterOwnedTrackers(pool, 1, []), []);
+});
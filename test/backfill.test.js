@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { NAMESPACES, createMemoryStateStore } = require("../utils/stateStore");
+const {
+  prepareFixes,
+  findGeofenceCrossings,
+  processBackfill,
+} = require("../telemetry/backfill");
+
+const HOME = {
+  geofence_id: 1,
+  geofence_name: "Home",
+  type: "circle",
+  mode: "safe",
+  center_lat: 8.09,
+  center_lng: 123.49,
+  radius: 100,
+  owner_timezone: "Asia/Manila",
+};
+
+// A walk out of HOME, a minute per fix
+function walkOut(start) {
+  return [8.09, 8.0905, 8.0915, 8.092].map((lat, i) => ({
+    lat,
+    lng: 123.49,
+    ts: start + i * 60000,
+  }));
+}
+
+// No owners, so nothing is written to tracker_history or notified
+function createDeps() {
+  return {
+    pool: {
+      getConnection: async () => ({
+        query: async (sql) => [sql.includes("FROM geofences g") ? [HOME] : []],
+        release() {},
+      }),
+    },
+    io: null,
+    state: createMemoryStateStore(),
+    trailPoints: [],
+    async saveTrailBatch(trackerId, batch) {
+      this.trailPoints.push(...batch);
+    },
+  };
+}
+
+test("prepareFixes rejects fixes without a usable position", () => {
+  const now = Date.now();
+  const fixes = [
+    { lat: null, lng: 123.49, ts: now - 50000 },
+    { lat: "", lng: 123.49, ts: now - 40000 },
+    { lat: 91, lng: 123.49, ts: now - 30000 },
+    { lat: 8.09, lng: -181, ts: now - 20000 },
+    { lat: "8.09", lng: "123.49", ts: now - 10000 },
+  ];
+
+  const { valid, rejected } = prepareFixes(fixes, now);
+
+  assert.equal(rejected, 4);
+  assert.deepEqual(valid.map(({ lat, lng }) => [lat, lng]), [[8.09, 123.49]]);
+});
+
+test("findGeofenceCrossings starts from the stored baseline", () => {
+  const fixes = walkOut(Date.now() - 600000).map(({ lat, lng, ts }) => ({
+    lat: lat + 0.01,
+    lng,
+    fixTime: ts,
+  }));
+
+  assert.deepEqual(findGeofenceCrossings(fixes, [HOME]).crossings, []);
+
+  const { crossings, inside } = findGeofenceCrossings(fixes, [HOME], [1]);
+  assert.deepEqual(crossings.map((crossing) => crossing.type), ["geofence_out"]);
+  assert.deepEqual(inside, []);
+});
+
+test("processBackfill stores the final geofence state as the live baseline", async () => {
+  const deps = createDeps();
+  await deps.state.set(NAMESPACES.GEOFENCE_STATE, "bf-1", [1]);
+
+  const summary = await processBackfill(deps, "bf-1", walkOut(Date.now() - 600000));
+
+  assert.equal(summary.accepted, 4);
+  assert.equal(summary.geofenceCrossings, 1);
+  assert.equal(deps.trailPoints.length, 4);
+  assert.deepEqual(await deps.state.get(NAMESPACES.GEOFENCE_STATE, "bf-1"), []);
+});
+
+test("processBackfill leaves the baseline of a newer live fix alone", async () => {
+  const deps = createDeps();
+  await deps.state.set(NAMESPACES.GEOFENCE_STATE, "bf-2", [1]);
+  await deps.state.set(NAMESPACES.LATEST_DEVICES, "bf-2", {
+    lat: 8.09,
+    lng: 123.49,
+    fixTime: Date.now(),
+  });
+
+  await processBackfill(deps, "bf-2", walkOut(Date.now() - 600000));
+
+  assert.deepEqual(await deps.state.get(NAMESPACES.GEOFENCE_STATE, "bf-2"), [1]);
+});
+
+test("processBackfill does not fail the upload once the points are stored", async () => {
+  const deps = createDeps();
+  deps.pool = {
+    getConnection: async () => ({
+      query: async (sql) => {
+        if (sql.includes("FROM geofences g")) throw new Error("geofence lookup failed");
+        return [[]];
+      },
+      release() {},
+    }),
+  };
+
+  const summary = await processBackfill(deps, "bf-3", walkOut(Date.now() - 600000));
+
+  assert.equal(summary.trailPoints, 4);
+  assert.equal(summary.geofenceCrossings, 0);
+  assert.equal(deps.trailPoints.length, 4);
+});
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const deviceState = require("../utils/deviceState");
+const { NAMESPACES, createMemoryStateStore } = require("../utils/stateStore");
+
+const COLUMNS = [
+  "device_id",
+  "live_state",
+  "status",
+  "geofence_state",
+  "geofence_pending",
+  "geofence_warned",
+  "geofence_armed",
+  "nearby_state",
+];
+
+// device_live_state rows by device ID
+const rows = new Map();
+
+deviceState.initialize({
+  getConnection: async () => ({
+    query: async (sql, params) => {
+      if (sql.includes("INSERT INTO device_live_state")) {
+        for (const values of params[0]) {
+          rows.set(values[0], Object.fromEntries(COLUMNS.map((column, i) => [column, values[i]])));
+        }
+        return [{}];
+      }
+      if (sql.includes("DELETE FROM device_live_state")) {
+        rows.delete(params[0]);
+        return [{}];
+      }
+      if (sql.includes("FROM device_live_state")) return [[...rows.values()]];
+      return [[]];
+    },
+    release() {},
+  }),
+});
+
+test("geofence debounce, warning and armed state survive a restart", async () => {
+  const before = createMemoryStateStore();
+  await before.set(NAMESPACES.DEVICE_STATUS, "ds-1", "online");
+  await before.set(NAMESPACES.GEOFENCE_STATE, "ds-1", [1]);
+  await before.set(NAMESPACES.GEOFENCE_PENDING, "ds-1", { 1: { inside: false, since: 5, count: 1 } });
+  await before.set(NAMESPACES.GEOFENCE_WARNED, "ds-1", [1]);
+  await before.set(NAMESPACES.GEOFENCE_ARMED, "1:ds-1", true);
+  await before.set(NAMESPACES.GEOFENCE_ARMED, "2:ds-1", false);
+
+  await deviceState.saveDeviceState(before);
+
+  const after = createMemoryStateStore();
+  await deviceState.loadDeviceState(after);
+
+  assert.deepEqual(await after.get(NAMESPACES.GEOFENCE_STATE, "ds-1"), [1]);
+  assert.deepEqual(await after.get(NAMESPACES.GEOFENCE_PENDING, "ds-1"), {
+    1: { inside: false, since: 5, count: 1 },
+  });
+  assert.deepEqual(await after.get(NAMESPACES.GEOFENCE_WARNED, "ds-1"), [1]);
+  assert.deepEqual(await after.getAll(NAMESPACES.GEOFENCE_ARMED), {
+    "1:ds-1": true,
+    "2:ds-1": false,
+  });
+});
+
+test("forgetDevice removes the stored row and the device's live state", async () => {
+  const state = createMemoryStateStore();
+  await state.set(NAMESPACES.LATEST_DEVICES, "ds-2", { lat: 8.09, lng: 123.49 });
+  await state.set(NAMESPACES.DEVICE_STATUS, "ds-2", "online");
+  await state.set(NAMESPACES.GEOFENCE_ARMED, "1:ds-2", true);
+  await state.set(NAMESPACES.DEVICE_STATUS, "ds-3", "online");
+
+  await deviceState.saveDeviceState(state);
+  assert.ok(rows.has("ds-2"));
+
+  await deviceState.forgetDevice(state, "ds-2");
+  await deviceState.saveDeviceState(state);
+
+  assert.equal(rows.has("ds-2"), false);
+  assert.ok(rows.has("ds-3"));
+  assert.equal(await state.get(NAMESPACES.LATEST_DEVICES, "ds-2"), undefined);
+  assert.deepEqual(await state.getAll(NAMESPACES.GEOFENCE_ARMED), {});
+});
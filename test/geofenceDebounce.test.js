@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  applyGeofenceDebounce,
+  getTransitionType,
+} = require("../telemetry/detectors/geofence");
+
+const OUTSIDE = { isInside: false, distance: 40 };
+const INSIDE = { isInside: true, distance: 0 };
+
+test("without a dwell a single fix confirms the change", () => {
+  assert.deepEqual(applyGeofenceDebounce({}, false, INSIDE, undefined, 1000), {
+    inside: true,
+    changed: true,
+    pending: null,
+  });
+  assert.deepEqual(applyGeofenceDebounce({}, true, INSIDE, undefined, 1000), {
+    inside: true,
+    changed: false,
+    pending: null,
+  });
+});
+
+test("buffer_m keeps a pet just outside the boundary inside", () => {
+  const geofence = { buffer_m: "50.00" };
+
+  assert.equal(applyGeofenceDebounce(geofence, true, OUTSIDE, undefined, 1000).changed, false);
+  assert.equal(
+    applyGeofenceDebounce(geofence, true, { isInside: false, distance: 60 }, undefined, 1000)
+      .changed,
+    true
+  );
+  // The buffer does not pull a pet outside in
+  assert.equal(applyGeofenceDebounce(geofence, false, OUTSIDE, undefined, 1000).changed, false);
+});
+
+test("dwell_fixes and dwell_seconds both have to be met", () => {
+  const geofence = { dwell_fixes: 3, dwell_seconds: 120 };
+
+  let decision = applyGeofenceDebounce(geofence, true, OUTSIDE, undefined, 0);
+  assert.deepEqual(decision, {
+    inside: true,
+    changed: false,
+    pending: { inside: false, since: 0, count: 1 },
+  });
+
+  decision = applyGeofenceDebounce(geofence, true, OUTSIDE, decision.pending, 30000);
+  decision = applyGeofenceDebounce(geofence, true, OUTSIDE, decision.pending, 60000);
+  // Three fixes, but only a minute outside
+  assert.equal(decision.changed, false);
+  assert.equal(decision.pending.count, 3);
+
+  decision = applyGeofenceDebounce(geofence, true, OUTSIDE, decision.pending, 120000);
+  assert.deepEqual(decision, { inside: false, changed: true, pending: null });
+});
+
+test("a fix back on the confirmed side drops the pending change", () => {
+  const geofence = { dwell_fixes: 2 };
+
+  const first = applyGeofenceDebounce(geofence, true, OUTSIDE, undefined, 0);
+  const back = applyGeofenceDebounce(geofence, true, INSIDE, first.pending, 10000);
+  assert.deepEqual(back, { inside: true, changed: false, pending: null });
+
+  const again = applyGeofenceDebounce(geofence, true, OUTSIDE, back.pending, 20000);
+  assert.equal(again.changed, false);
+  assert.equal(again.pending.count, 1);
+});
+
+test("danger zones alert on entry", () => {
+  assert.equal(getTransitionType({ mode: "safe" }, false), "geofence_out");
+  assert.equal(getTransitionType({}, true), "geofence_in");
+  assert.equal(getTransitionType({ mode: "danger" }, true), "danger_zone_in");
+  assert.equal(getTransitionType({ mode: "danger" }, false), "danger_zone_out");
+});
@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { geofenceToFeature, featureToGeofences } = require("../utils/geofenceGeoJson");
+
+// Rows as mysql2 returns them: DECIMAL columns are strings
+const CIRCLE = {
+  geofence_id: 1,
+  geofence_name: "Home",
+  type: "circle",
+  center_lat: "8.0900000",
+  center_lng: "123.4900000",
+  radius: "100.00",
+  mode: "safe",
+  schedule: JSON.stringify({ windows: [{ days: ["mon"], start: "22:00", end: "06:00" }] }),
+  buffer_m: "10.00",
+  dwell_fixes: 2,
+  dwell_seconds: null,
+  warning_band_m: null,
+  deviceIds: ["dev-1"],
+};
+
+const OUTER = [
+  [8.09, 123.49],
+  [8.09, 123.5],
+  [8.1, 123.5],
+  [8.1, 123.49],
+];
+const HOLE = [
+  [8.093, 123.493],
+  [8.093, 123.496],
+  [8.096, 123.496],
+  [8.096, 123.493],
+];
+
+function roundTrip(geofence) {
+  const feature = geofenceToFeature(geofence);
+  const { geofences, error } = featureToGeofences(JSON.parse(JSON.stringify(feature)));
+  assert.equal(error, null);
+  assert.equal(geofences.length, 1);
+  return { feature, geofence: geofences[0] };
+}
+
+test("a circle round-trips through a Point with its settings", () => {
+  const { feature, geofence } = roundTrip(CIRCLE);
+
+  assert.deepEqual(feature.geometry, { type: "Point", coordinates: [123.49, 8.09] });
+  assert.deepEqual(feature.properties.device_ids, ["dev-1"]);
+  assert.deepEqual(geofence, {
+    geofence_name: "Home",
+    type: "circle",
+    center_lat: 8.09,
+    center_lng: 123.49,
+    radius: 100,
+    mode: "safe",
+    schedule: JSON.parse(CIRCLE.schedule),
+    buffer_m: 10,
+    dwell_fixes: 2,
+  });
+});
+
+test("a circle can be exported as a polygon", () => {
+  const feature = geofenceToFeature(CIRCLE, { circlesAsPolygons: true });
+  assert.equal(feature.geometry.type, "Polygon");
+  assert.equal(feature.properties.radius, 100);
+});
+
+test("a corridor round-trips through a LineString", () => {
+  const route = JSON.stringify([
+    [8.09, 123.49],
+    [8.09, 123.5],
+    [8.1, 123.5],
+  ]);
+  const { feature, geofence } = roundTrip({
+    geofence_id: 2,
+    geofence_name: "Walk",
+    type: "corridor",
+    poly_rect: route,
+    radius: "30.00",
+  });
+
+  assert.equal(feature.geometry.type, "LineString");
+  assert.deepEqual(feature.geometry.coordinates[0], [123.49, 8.09]);
+  assert.equal(geofence.type, "corridor");
+  assert.equal(geofence.poly_rect, route);
+  assert.equal(geofence.radius, 30);
+});
+
+test("polygons with holes and multipart shapes round-trip", () => {
+  const withHole = JSON.stringify([OUTER, HOLE]);
+  const single = roundTrip({ geofence_id: 3, type: "polygon", poly_rect: withHole });
+  assert.equal(single.feature.geometry.type, "Polygon");
+  assert.equal(single.feature.geometry.coordinates.length, 2);
+  assert.equal(single.geofence.poly_rect, withHole);
+
+  const second = OUTER.map(([lat, lng]) => [lat + 0.1, lng]);
+  const multipart = JSON.stringify([[OUTER], [second]]);
+  const multi = roundTrip({ geofence_id: 4, type: "polygon", poly_rect: multipart });
+  assert.equal(multi.feature.geometry.type, "MultiPolygon");
+  assert.equal(multi.geofence.poly_rect, multipart);
+
+  const rectangle = roundTrip({ geofence_id: 5, type: "rectangle", poly_rect: JSON.stringify(OUTER) });
+  assert.equal(rectangle.geofence.type, "rectangle");
+  assert.equal(rectangle.geofence.poly_rect, JSON.stringify(OUTER));
+});
+
+test("unusable features are rejected", () => {
+  const open = {
+    type: "Feature",
+    properties: {},
+    geometry: { type: "Polygon", coordinates: [OUTER.map(([lat, lng]) => [lng, lat])] },
+  };
+  assert.match(featureToGeofences(open).error, /closed/);
+
+  const point = {
+    type: "Feature",
+    properties: {},
+    geometry: { type: "Point", coordinates: [123.49, 8.09] },
+  };
+  assert.match(featureToGeofences(point).error, /radius/);
+
+  assert.equal(geofenceToFeature({ ...CIRCLE, radius: null }), null);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateGeofenceInput, mergeGeofenceUpdate } = require("../utils/geofenceInput");
+
+const stored = {
+  geofence_id: 7,
+  geofence_name: "Highway",
+  type: "circle",
+  mode: "danger",
+  center_lat: "14.5995",
+  center_lng: "120.9842",
+  radius: "80.00",
+  poly_rect: null,
+  buffer_m: "10.00",
+  dwell_fixes: 3,
+  dwell_seconds: null,
+  warning_band_m: "25.00",
+  device_ids: ["pet-1"],
+};
+
+test("mergeGeofenceUpdate keeps stored settings the body leaves out", () => {
+  const update = mergeGeofenceUpdate(stored, { user_id: 1, geofence_name: "Road" });
+
+  assert.equal(update.geofence_name, "Road");
+  assert.equal(update.mode, "danger");
+  assert.equal(update.buffer_m, "10.00");
+  assert.equal(update.dwell_fixes, 3);
+  assert.equal(update.warning_band_m, "25.00");
+  assert.equal(update.radius, "80.00");
+  assert.deepEqual(update.device_ids, ["pet-1"]);
+  assert.equal(validateGeofenceInput(update), null);
+});
+
+test("mergeGeofenceUpdate lets null clear a setting", () => {
+  const update = mergeGeofenceUpdate(stored, { user_id: 1, buffer_m: null, mode: "safe" });
+
+  assert.equal(update.buffer_m, null);
+  assert.equal(update.mode, "safe");
+});
+
+test("mergeGeofenceUpdate does not carry the old shape over a type change", () => {
+  const update = mergeGeofenceUpdate(stored, { user_id: 1, type: "polygon" });
+
+  assert.equal(update.center_lat, undefined);
+  assert.equal(update.radius, undefined);
+  assert.equal(
+    validateGeofenceInput(update),
+    "Missing coordinates for polygon/rectangle geofence"
+  );
+});
+
+test("mergeGeofenceUpdate keeps the stored schedule unless null is sent", () => {
+  const schedule = { windows: [{ days: ["mon"], start: "18:00", end: "06:00" }] };
+  const scheduled = { ...stored, schedule: JSON.stringify(schedule) };
+
+  assert.deepEqual(mergeGeofenceUpdate(scheduled, { user_id: 1 }).schedule, schedule);
+  assert.deepEqual(mergeGeofenceUpdate({ ...stored, schedule }, { user_id: 1 }).schedule, schedule);
+  assert.equal(mergeGeofenceUpdate(scheduled, { user_id: 1, schedule: null }).schedule, null);
+});
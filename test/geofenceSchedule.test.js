@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isScheduleActive, validateSchedule } = require("../utils/geofenceSchedule");
+
+// Monday nights, 22:00 until 06:00 on Tuesday
+const NIGHTS = { windows: [{ days: ["mon"], start: "22:00", end: "06:00" }] };
+
+// Asia/Manila is UTC+8 with no daylight saving; 2026-10-19 is a Monday
+function manila(localTime) {
+  return new Date(`${localTime}+08:00`);
+}
+
+test("a window past midnight runs into the next day", () => {
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-19T23:00:00")), true);
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-20T05:59:00")), true);
+
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-19T21:59:00")), false);
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-20T06:00:00")), false);
+  // Sunday is not listed, so Monday morning is not covered
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-19T05:00:00")), false);
+  assert.equal(isScheduleActive(NIGHTS, "Asia/Manila", manila("2026-10-20T23:00:00")), false);
+});
+
+test("the owner's time zone decides the local day and time", () => {
+  // 23:00 Monday in Manila is 15:00 Monday UTC
+  const time = manila("2026-10-19T23:00:00");
+  assert.equal(isScheduleActive(NIGHTS, "UTC", time), false);
+  assert.equal(isScheduleActive(JSON.stringify(NIGHTS), "Asia/Manila", time), true);
+});
+
+test("a geofence without a schedule is always active", () => {
+  assert.equal(isScheduleActive(null, "Asia/Manila", manila("2026-10-19T12:00:00")), true);
+  assert.equal(validateSchedule(null), null);
+  assert.equal(validateSchedule(NIGHTS), null);
+  assert.ok(validateSchedule({ windows: [] }));
+});
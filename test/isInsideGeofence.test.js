@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const isInsideGeofence = require("../utils/isInsideGeofence");
+const { buildEntries, evaluateGeofence } = require("../utils/geofenceCache");
+const { geofenceToFeature } = require("../utils/geofenceGeoJson");
+const { getDistanceToEdge } = require("../utils/geofenceWarning");
+
+const CIRCLE = {
+  geofence_id: 1,
+  type: "circle",
+  center_lat: "8.0900000",
+  center_lng: "123.4900000",
+  radius: "100.00",
+};
+
+// An east-west walking route with 30 m either side of it
+const CORRIDOR = {
+  geofence_id: 2,
+  type: "corridor",
+  poly_rect: JSON.stringify([
+    [8.09, 123.49],
+    [8.09, 123.5],
+  ]),
+  radius: 30,
+};
+
+test("a circle contains points within its radius", () => {
+  assert.equal(isInsideGeofence(8.0905, 123.49, [CIRCLE]).isInside, true);
+
+  const outside = isInsideGeofence(8.092, 123.49, [CIRCLE]);
+  assert.equal(outside.isInside, false);
+  assert.ok(outside.distance > 100 && outside.distance < 150);
+});
+
+test("a corridor contains points near its route, not beyond its ends", () => {
+  assert.equal(isInsideGeofence(8.0901, 123.495, [CORRIDOR]).isInside, true);
+  assert.equal(isInsideGeofence(8.0905, 123.495, [CORRIDOR]).isInside, false);
+  assert.equal(isInsideGeofence(8.09, 123.502, [CORRIDOR]).isInside, false);
+});
+
+test("circles and corridors without a radius are skipped", () => {
+  for (const fence of [
+    { ...CIRCLE, radius: null },
+    { ...CIRCLE, radius: "" },
+    { ...CIRCLE, radius: 0 },
+    { ...CORRIDOR, radius: null },
+  ]) {
+    const result = isInsideGeofence(8.09, 123.49, [fence]);
+    assert.equal(result.isInside, false);
+    assert.equal(result.distance, Infinity);
+    assert.equal(getDistanceToEdge(8.09, 123.49, fence), null);
+    assert.equal(geofenceToFeature(fence), null);
+  }
+
+  assert.deepEqual(
+    buildEntries([{ ...CIRCLE, radius: null }, { ...CORRIDOR, radius: null }, CIRCLE]).map(
+      (entry) => entry.geofence.geofence_id
+    ),
+    [1]
+  );
+});
+
+test("the cached check agrees with the exact one", () => {
+  const [circle, corridor] = buildEntries([CIRCLE, CORRIDOR]);
+
+  assert.equal(evaluateGeofence(8.0905, 123.49, circle).isInside, true);
+  assert.equal(evaluateGeofence(8.0901, 123.495, corridor).isInside, true);
+
+  const far = evaluateGeofence(8.2, 123.49, circle);
+  assert.equal(far.isInside, false);
+  assert.equal(far.approximate, true);
+});
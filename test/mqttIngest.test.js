@@ -0,0 +1,155 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const deviceAuth = require("../utils/deviceAuth");
+const { parseTelemetryTopic, handleMessage } = require("../utils/mqttIngest");
+
+const SECRET = "a".repeat(64);
+
+// trackers rows by device ID, and rejections written to device_auth_failures
+let trackers;
+let rejections;
+
+deviceAuth.initialize({
+  getConnection: async () => ({
+    query: async (sql, params) => {
+      if (sql.includes("FROM trackers")) {
+        const row = trackers[params[0]];
+        return [row ? [row] : []];
+      }
+      if (sql.includes("INSERT INTO device_auth_failures")) {
+        rejections.push({ deviceId: params[0], reason: params[1] });
+        return [{}];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+    release() {},
+  }),
+});
+
+function packetWith(userProperties) {
+  return { properties: { userProperties } };
+}
+
+function publish(topic, payload, userProperties = {}) {
+  const received = [];
+  const message = Buffer.from(typeof payload === "string" ? payload : JSON.stringify(payload));
+  return handleMessage("pets", topic, message, packetWith(userProperties), async (data) => {
+    received.push(data);
+  }).then(() => received);
+}
+
+beforeEach(() => {
+  trackers = { "pet-1": { device_secret: SECRET } };
+  rejections = [];
+  deviceAuth.clearCachedSecret("pet-1");
+  deviceAuth.clearCachedSecret("pet-2");
+});
+
+test("parseTelemetryTopic extracts the device ID", () => {
+  assert.equal(parseTelemetryTopic("pets", "pets/pet-1/telemetry"), "pet-1");
+  assert.equal(parseTelemetryTopic("fleet/pets", "fleet/pets/pet-1/telemetry"), "pet-1");
+});
+
+test("parseTelemetryTopic rejects topics that do not match", () => {
+  assert.equal(parseTelemetryTopic("pets", "pets/pet-1/status"), null);
+  assert.equal(parseTelemetryTopic("pets", "cats/pet-1/telemetry"), null);
+  assert.equal(parseTelemetryTopic("pets", "pets/pet-1/extra/telemetry"), null);
+  assert.equal(parseTelemetryTopic("pets", "pets//telemetry"), null);
+});
+
+test("handleMessage accepts a packet with the device token", async () => {
+  const received = await publish(
+    "pets/pet-1/telemetry",
+    { lat: 8.09, lng: 123.49, battery: 80 },
+    { "x-device-token": SECRET }
+  );
+
+  assert.deepEqual(received, [{ lat: 8.09, lng: 123.49, battery: 80, deviceId: "pet-1" }]);
+  assert.deepEqual(rejections, []);
+});
+
+test("handleMessage accepts a signed packet", async () => {
+  const payload = JSON.stringify({ lat: 8.09, lng: 123.49 });
+  const timestamp = String(Date.now());
+
+  const received = await publish("pets/pet-1/telemetry", payload, {
+    "x-device-timestamp": timestamp,
+    "x-device-signature": deviceAuth.signPayload(SECRET, timestamp, Buffer.from(payload)),
+  });
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].deviceId, "pet-1");
+});
+
+test("handleMessage rejects a wrong token", async () => {
+  const received = await publish(
+    "pets/pet-1/telemetry",
+    { lat: 8.09, lng: 123.49 },
+    { "x-device-token": "b".repeat(64) }
+  );
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(rejections, [{ deviceId: "pet-1", reason: "bad_token" }]);
+});
+
+test("handleMessage rejects a packet without credentials", async () => {
+  const received = await publish("pets/pet-1/telemetry", { lat: 8.09, lng: 123.49 });
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(rejections, [{ deviceId: "pet-1", reason: "missing_credentials" }]);
+});
+
+test("handleMessage rejects a replayed signature", async () => {
+  const payload = JSON.stringify({ lat: 8.09, lng: 123.49 });
+  const timestamp = String(Date.now());
+  const headers = {
+    "x-device-timestamp": timestamp,
+    "x-device-signature": deviceAuth.signPayload(SECRET, timestamp, Buffer.from(payload)),
+  };
+
+  assert.equal((await publish("pets/pet-1/telemetry", payload, headers)).length, 1);
+  assert.deepEqual(await publish("pets/pet-1/telemetry", payload, headers), []);
+  assert.deepEqual(rejections, [{ deviceId: "pet-1", reason: "replayed" }]);
+});
+
+test("handleMessage rejects a payload naming another device", async () => {
+  const received = await publish(
+    "pets/pet-1/telemetry",
+    { deviceId: "pet-2", lat: 8.09, lng: 123.49 },
+    { "x-device-token": SECRET }
+  );
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(rejections, [{ deviceId: "pet-1", reason: "topic_mismatch" }]);
+});
+
+test("handleMessage rejects a registered tracker without a secret", async () => {
+  trackers["pet-2"] = { device_secret: null };
+
+  const received = await publish("pets/pet-2/telemetry", { lat: 8.09, lng: 123.49 });
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(rejections, [{ deviceId: "pet-2", reason: "secret_not_provisioned" }]);
+});
+
+test("handleMessage ignores invalid JSON and unexpected topics", async () => {
+  assert.deepEqual(await publish("pets/pet-1/telemetry", "{not json"), []);
+  assert.deepEqual(await publish("pets/pet-1/status", { lat: 1, lng: 2 }), []);
+  assert.deepEqual(rejections, []);
+});
+
+test("a secret rotated through another node is picked up once the cache expires", async (t) => {
+  const packet = { lat: 8.09, lng: 123.49 };
+  const rotated = "c".repeat(64);
+
+  assert.equal((await publish("pets/pet-1/telemetry", packet, { "x-device-token": SECRET })).length, 1);
+
+  // Another node writes the new secret and only clears its own cache
+  trackers["pet-1"] = { device_secret: rotated };
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 60 * 1000);
+
+  assert.deepEqual(await publish("pets/pet-1/telemetry", packet, { "x-device-token": SECRET }), []);
+  assert.equal((await publish("pets/pet-1/telemetry", packet, { "x-device-token": rotated })).length, 1);
+  assert.deepEqual(rejections, [{ deviceId: "pet-1", reason: "bad_token" }]);
+});
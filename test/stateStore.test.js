@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { NAMESPACES, createMemoryStateStore } = require("../utils/stateStore");
+
+test("swap returns the previous value and stores the new one", async () => {
+  const state = createMemoryStateStore();
+
+  assert.equal(await state.swap(NAMESPACES.DEVICE_STATUS, "pet-1", "online"), undefined);
+  assert.equal(await state.swap(NAMESPACES.DEVICE_STATUS, "pet-1", "online"), "online");
+  assert.equal(await state.swap(NAMESPACES.DEVICE_STATUS, "pet-1", "offline"), "online");
+  assert.equal(await state.get(NAMESPACES.DEVICE_STATUS, "pet-1"), "offline");
+});
+
+test("concurrent swaps report a transition only once", async () => {
+  const state = createMemoryStateStore();
+
+  const previous = await Promise.all(
+    Array.from({ length: 5 }, () => state.swap(NAMESPACES.DEVICE_STATUS, "pet-1", "online"))
+  );
+
+  assert.equal(previous.filter((value) => value !== "online").length, 1);
+});
+
+test("take returns the list and clears it", async () => {
+  const state = createMemoryStateStore();
+
+  assert.equal(await state.push(NAMESPACES.TRAIL_BATCHES, "pet-1", { lat: 1 }), 1);
+  assert.equal(await state.push(NAMESPACES.TRAIL_BATCHES, "pet-1", { lat: 2 }), 2);
+
+  assert.deepEqual(await state.take(NAMESPACES.TRAIL_BATCHES, "pet-1"), [{ lat: 1 }, { lat: 2 }]);
+  assert.deepEqual(await state.take(NAMESPACES.TRAIL_BATCHES, "pet-1"), []);
+  assert.deepEqual(await state.lists(NAMESPACES.TRAIL_BATCHES), {});
+});
+
+test("concurrent takes hand each item to one caller", async () => {
+  const state = createMemoryStateStore();
+  for (let i = 0; i < 5; i++) {
+    await state.push(NAMESPACES.TRAIL_BATCHES, "pet-1", { i });
+  }
+
+  const taken = await Promise.all([
+    state.take(NAMESPACES.TRAIL_BATCHES, "pet-1"),
+    state.take(NAMESPACES.TRAIL_BATCHES, "pet-1"),
+  ]);
+
+  assert.equal(taken.flat().length, 5);
+  assert.ok(taken.some((items) => items.length === 0));
+});
+
+test("values are copies", async () => {
+  const state = createMemoryStateStore();
+  const position = { lat: 1, lng: 2 };
+
+  await state.set(NAMESPACES.LATEST_DEVICES, "pet-1", position);
+  position.lat = 3;
+  (await state.get(NAMESPACES.LATEST_DEVICES, "pet-1")).lng = 4;
+
+  assert.deepEqual(await state.get(NAMESPACES.LATEST_DEVICES, "pet-1"), { lat: 1, lng: 2 });
+});
+
+test("update merges into existing values only", async () => {
+  const state = createMemoryStateStore();
+
+  assert.equal(await state.update(NAMESPACES.LATEST_DEVICES, "pet-1", { online: false }), undefined);
+  assert.equal(await state.get(NAMESPACES.LATEST_DEVICES, "pet-1"), undefined);
+
+  await state.set(NAMESPACES.LATEST_DEVICES, "pet-1", { lat: 1, online: true });
+  assert.deepEqual(
+    await state.update(NAMESPACES.LATEST_DEVICES, "pet-1", { online: false }),
+    { lat: 1, online: false }
+  );
+});
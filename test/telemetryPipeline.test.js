@@ -0,0 +1,128 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { NAMESPACES, createMemoryStateStore } = require("../utils/stateStore");
+const { createDefaultTelemetryPipeline } = require("../telemetry");
+
+const HOME = {
+  geofence_id: 1,
+  geofence_name: "Home",
+  type: "circle",
+  mode: "safe",
+  center_lat: 8.09,
+  center_lng: 123.49,
+  radius: 100,
+  owner_timezone: "Asia/Manila",
+};
+
+// Answers the geofence query with `geofences` and everything else with no rows
+function createPool(geofences = []) {
+  return {
+    getConnection: async () => ({
+      query: async (sql) => [sql.includes("FROM geofences g") ? geofences : []],
+      release() {},
+    }),
+  };
+}
+
+// The default pipeline on a memory store, without the notify phase
+function createPipeline(geofences) {
+  const deps = {
+    pool: createPool(geofences),
+    io: null,
+    state: createMemoryStateStore(),
+    trailPoints: [],
+    async addTrailPoint(trackerId, point) {
+      deps.trailPoints.push({ trackerId, ...point });
+    },
+    async saveTrailBatch() {},
+    async broadcastDevices() {},
+  };
+
+  const pipeline = createDefaultTelemetryPipeline(deps);
+  for (const { phase, name } of pipeline.list()) {
+    if (phase === "notify") pipeline.remove(name);
+  }
+  return { pipeline, deps };
+}
+
+test("a packet updates the live state and queues a trail point", async () => {
+  const { pipeline, deps } = createPipeline();
+  const ts = Date.now();
+
+  const ctx = await pipeline.process({ deviceId: "pipe-1", userId: 1, lat: 8.09, lng: 123.49, battery: 80, ts });
+
+  assert.equal(ctx.stopped, false);
+  assert.deepEqual(ctx.events.map((event) => event.type), ["online"]);
+
+  const live = await deps.state.get(NAMESPACES.LATEST_DEVICES, "pipe-1");
+  assert.equal(live.lat, 8.09);
+  assert.equal(live.fixTime, ts);
+  assert.equal(live.online, true);
+  assert.equal(await deps.state.get(NAMESPACES.DEVICE_STATUS, "pipe-1"), "online");
+
+  assert.equal(deps.trailPoints.length, 1);
+  assert.equal(deps.trailPoints[0].starts_track, true);
+});
+
+test("an out-of-order fix does not overwrite the newer position", async () => {
+  const { pipeline, deps } = createPipeline();
+  const ts = Date.now();
+
+  await pipeline.process({ deviceId: "pipe-2", userId: 1, lat: 8.09, lng: 123.49, ts });
+  const ctx = await pipeline.process({ deviceId: "pipe-2", userId: 1, lat: 8.0901, lng: 123.4901, ts: ts - 10000 });
+
+  assert.equal(ctx.outOfOrder, true);
+  assert.equal(ctx.stopReason, "historical");
+  assert.equal((await deps.state.get(NAMESPACES.LATEST_DEVICES, "pipe-2")).lat, 8.09);
+});
+
+test("a packet without a position after a fix is accepted", async () => {
+  const { pipeline, deps } = createPipeline();
+  const ts = Date.now();
+
+  await pipeline.process({ deviceId: "pipe-3", userId: 1, lat: 8.09, lng: 123.49, ts: ts - 60000 });
+  const ctx = await pipeline.process({ deviceId: "pipe-3", userId: 1, battery: 70, ts: ts - 30000 });
+
+  assert.equal(ctx.rejected, false);
+
+  const live = await deps.state.get(NAMESPACES.LATEST_DEVICES, "pipe-3");
+  assert.equal(live.lat, 8.09);
+  assert.equal(live.lng, 123.49);
+  assert.equal(live.fixTime, ts - 60000);
+  assert.equal(live.battery, 70);
+
+  // The next fix continues the track instead of starting a new one
+  await pipeline.process({ deviceId: "pipe-3", userId: 1, lat: 8.0905, lng: 123.49, ts });
+  assert.equal(deps.trailPoints.length, 2);
+  assert.equal(deps.trailPoints[1].starts_track, false);
+});
+
+test("a heartbeat does not let an impossible jump through", async () => {
+  const { pipeline, deps } = createPipeline();
+  const ts = Date.now();
+
+  await pipeline.process({ deviceId: "pipe-5", userId: 1, lat: 8.09, lng: 123.49, ts: ts - 20000 });
+  await pipeline.process({ deviceId: "pipe-5", userId: 1, battery: 70, ts: ts - 10000 });
+  const ctx = await pipeline.process({ deviceId: "pipe-5", userId: 1, lat: 9.09, lng: 123.49, ts });
+
+  assert.equal(ctx.stopReason, "impossible_jump");
+  assert.equal((await deps.state.get(NAMESPACES.LATEST_DEVICES, "pipe-5")).lat, 8.09);
+  assert.equal(deps.trailPoints.length, 1);
+});
+
+test("leaving a safe zone is detected from the stored geofence state", async () => {
+  const { pipeline, deps } = createPipeline([HOME]);
+  const ts = Date.now();
+
+  // A minute apart, so the 170 m move is a plausible walk
+  await pipeline.process({ deviceId: "pipe-4", userId: 1, lat: 8.09, lng: 123.49, ts: ts - 60000 });
+  assert.deepEqual(await deps.state.get(NAMESPACES.GEOFENCE_STATE, "pipe-4"), [1]);
+
+  const ctx = await pipeline.process({ deviceId: "pipe-4", userId: 1, lat: 8.0915, lng: 123.49, ts });
+
+  assert.deepEqual(
+    ctx.events.filter((event) => event.type.startsWith("geofence")).map((event) => event.type),
+    ["geofence_out"]
+  );
+  assert.deepEqual(await deps.state.get(NAMESPACES.GEOFENCE_STATE, "pipe-4"), []);
+});
@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeTrailPoint, pointsToTracks } = require("../utils/trailPoints");
+
+test("sanitizeTrailPoint keeps values the columns can hold", () => {
+  const point = {
+    lat: 8.09,
+    lng: 123.49,
+    recorded_at: new Date(0),
+    battery: "80",
+    accuracy: 12.5,
+    hdop: 1.2,
+    satellites: 9,
+    speed: 1.4,
+    starts_track: true,
+  };
+
+  assert.deepEqual(sanitizeTrailPoint(point), { ...point, battery: 80 });
+});
+
+test("sanitizeTrailPoint drops bad battery and quality values", () => {
+  const point = sanitizeTrailPoint({
+    lat: 8.09,
+    lng: 123.49,
+    battery: "full",
+    accuracy: 1e9,
+    hdop: -1,
+    satellites: 300,
+    speed: NaN,
+  });
+
+  assert.equal(point.lat, 8.09);
+  assert.equal(point.battery, null);
+  assert.equal(point.accuracy, null);
+  assert.equal(point.hdop, null);
+  assert.equal(point.satellites, null);
+  assert.equal(point.speed, null);
+
+  assert.equal(sanitizeTrailPoint({ battery: -1 }).battery, null);
+  assert.equal(sanitizeTrailPoint({ battery: 300 }).battery, null);
+  assert.equal(sanitizeTrailPoint({ battery: undefined }).battery, null);
+});
+
+test("pointsToTracks starts a new track at starts_track", () => {
+  const tracks = pointsToTracks([
+    { lat: "8.0900000", lng: "123.4900000", recorded_at: new Date(0), starts_track: 1 },
+    { lat: "8.0910000", lng: "123.4900000", recorded_at: new Date(60000), starts_track: 0 },
+    { lat: "8.2000000", lng: "123.4900000", recorded_at: new Date(120000), starts_track: 1 },
+  ]);
+
+  assert.deepEqual(
+    tracks.map((track) => track.map((point) => point.lat)),
+    [[8.09, 8.091], [8.2]]
+  );
+});
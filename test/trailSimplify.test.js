@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { simplifyTracks } = require("../utils/trailSimplify");
+
+// Northwards along a line, wobbling about a meter either side of it
+function straightTrack(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    lat: 8.09 + i * 0.0005,
+    lng: 123.49 + (i % 2 ? 0.00001 : 0),
+    time: new Date(i * 60000).toISOString(),
+  }));
+}
+
+// A zigzag whose corners are tens of meters apart
+function zigzagTrack(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    lat: 8.09 + i * 0.0005,
+    lng: 123.49 + (i % 2 ? 0.0005 : 0),
+    time: new Date(i * 60000).toISOString(),
+  }));
+}
+
+test("without options the tracks come back as they are", () => {
+  const tracks = [straightTrack(5)];
+  assert.deepEqual(simplifyTracks(tracks), { tracks, tolerance: 0 });
+});
+
+test("a tolerance drops points within it and keeps the endpoints", () => {
+  const track = straightTrack(11);
+  const { tracks, tolerance } = simplifyTracks([track], { tolerance: 5 });
+
+  assert.equal(tolerance, 5);
+  assert.deepEqual(tracks, [[track[0], track[10]]]);
+});
+
+test("a tolerance smaller than the detail keeps it", () => {
+  const track = zigzagTrack(11);
+  const { tracks } = simplifyTracks([track], { tolerance: 5 });
+  assert.equal(tracks[0].length, 11);
+});
+
+test("maxPoints searches for a tolerance that fits the budget", () => {
+  const track = zigzagTrack(50);
+  const { tracks, tolerance } = simplifyTracks([track, zigzagTrack(10)], { maxPoints: 20 });
+  const total = tracks.reduce((sum, kept) => sum + kept.length, 0);
+
+  assert.ok(total <= 20, `${total} points`);
+  assert.ok(tolerance > 0);
+  // Kept points are the original ones, times and all
+  assert.equal(tracks[0][0], track[0]);
+  assert.equal(tracks[0][tracks[0].length - 1], track[49]);
+});
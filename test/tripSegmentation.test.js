@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { segmentTrips } = require("../utils/tripSegmentation");
+
+const MINUTE = 60000;
+
+function at(lat, minutes) {
+  return { lat, lng: 123.49, time: new Date(minutes * MINUTE).toISOString(), speed: null };
+}
+
+// Walks ~330 m north, stays 17 minutes, then walks on
+const TRACK = [
+  at(8.09, 0),
+  at(8.091, 1),
+  at(8.092, 2),
+  at(8.093, 3),
+  at(8.09301, 13),
+  at(8.094, 20),
+  at(8.095, 21),
+];
+
+test("a stay splits a track into the trips either side of it", () => {
+  const { trips, stays } = segmentTrips([TRACK], {
+    stayRadius: 50,
+    stayMinDurationMs: 5 * MINUTE,
+  });
+
+  assert.equal(stays.length, 1);
+  assert.equal(stays[0].arrivedAt, TRACK[3].time);
+  // A stay lasts until the first point after it
+  assert.equal(stays[0].departedAt, TRACK[5].time);
+  assert.equal(stays[0].durationSeconds, 17 * 60);
+  assert.equal(stays[0].pointCount, 2);
+
+  assert.equal(trips.length, 2);
+  assert.equal(trips[0].startTime, TRACK[0].time);
+  assert.equal(trips[0].endTime, TRACK[3].time);
+  assert.ok(Math.abs(trips[0].distanceMeters - 333.6) < 1, `${trips[0].distanceMeters} m`);
+  assert.equal(trips[0].fromStay, null);
+  assert.equal(trips[0].toStay, 0);
+
+  assert.equal(trips[1].startTime, TRACK[5].time);
+  assert.equal(trips[1].endTime, TRACK[6].time);
+  assert.equal(trips[1].fromStay, 0);
+  assert.equal(trips[1].toStay, null);
+});
+
+test("short pauses are not stays", () => {
+  const { trips, stays } = segmentTrips([TRACK], {
+    stayRadius: 50,
+    stayMinDurationMs: 30 * MINUTE,
+  });
+
+  assert.equal(stays.length, 0);
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].pointCount, TRACK.length);
+});
+
+test("stay indexes run on across tracks", () => {
+  const later = TRACK.map((point) => ({
+    ...point,
+    time: new Date(Date.parse(point.time) + 60 * MINUTE).toISOString(),
+  }));
+  const { trips, stays } = segmentTrips([TRACK, later], {
+    stayRadius: 50,
+    stayMinDurationMs: 5 * MINUTE,
+  });
+
+  assert.equal(stays.length, 2);
+  assert.deepEqual(
+    trips.map((trip) => [trip.fromStay, trip.toStay]),
+    [
+      [null, 0],
+      [0, null],
+      [null, 1],
+      [1, null],
+    ]
+  );
+});
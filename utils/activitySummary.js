@@ -0,0 +1,449 @@
+const turf = require("@turf/turf");
+const { queryWithRetry } = require("./dbRetry");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("./geofenceSchedule");
+const { getGeofenceBoundingBox } = require("./geofenceCache");
+const { fetchTrailPoints, pointsToTracks } = require("./trailPoints");
+const { segmentTrips } = require("./tripSegmentation");
+
+/**
+ * Daily activity summaries (activity_daily)
+ * Each finished day in the owner's time zone is rolled up from the pet's
+ * trail points and geofence exits, so activity charts read a row per day
+ * instead of every raw point.
+ *
+ * The rollup runs every ROLLUP_INTERVAL_MS and fills in whatever days of the
+ * last BACKFILL_DAYS are missing (or were summarised right after they
+ * ended, see LATE_DATA_MS), so it catches up after downtime and
+ * each owner's day is summarised soon after their local midnight. Rows are
+ * upserted, so several nodes running it at once is harmless.
+ *
+ * "Home" is the center of the pet's first safe-zone geofence (circle or
+ * polygon); pets without one get no distance from home.
+ */
+
+const ROLLUP_INTERVAL_MS =
+  parseInt(process.env.ACTIVITY_ROLLUP_INTERVAL_MS) || 60 * 60 * 1000;
+const BACKFILL_DAYS = parseInt(process.env.ACTIVITY_BACKFILL_DAYS) || 30;
+
+// Longest range served by GET /api/trackers/:deviceId/activity
+const MAX_ACTIVITY_DAYS = 366;
+
+// Let the server settle before the first (possibly long) catch-up
+const STARTUP_DELAY_MS = 60 * 1000;
+
+// Days summarised less than this after they ended are redone, to pick up
+// trail points that arrive late (batched writes, trackers back online)
+const LATE_DATA_MS = 2 * 60 * 60 * 1000;
+
+let rollupTimer = null;
+let startupTimer = null;
+let rollupRunning = false;
+
+/**
+ * Calendar date of a time in a time zone
+ * @param {Date|number} date - Time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Milliseconds the zone is ahead of UTC at a given time
+function getZoneOffset(time, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(time));
+
+  const part = (type) => Number(parts.find((p) => p.type === type)?.value);
+  const local = Date.UTC(
+    part("year"),
+    part("month") - 1,
+    part("day"),
+    part("hour"),
+    part("minute"),
+    part("second")
+  );
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+function getLocalMidnight(date, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+
+  // Second pass picks up a DST change between the guess and midnight
+  const guess = utcMidnight - getZoneOffset(utcMidnight, timeZone);
+  return utcMidnight - getZoneOffset(guess, timeZone);
+}
+
+/**
+ * Start and end of a local calendar day
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {{start: Date, end: Date}} end is the next day's start
+ */
+function getDayBounds(date, timeZone) {
+  return {
+    start: new Date(getLocalMidnight(date, timeZone)),
+    end: new Date(getLocalMidnight(addDays(date, 1), timeZone)),
+  };
+}
+
+function overlapMs(from, to, start, end) {
+  return Math.max(Math.min(to, end) - Math.max(from, start), 0);
+}
+
+function getHome(geofence) {
+  if (!geofence) return null;
+
+  if (geofence.type?.toLowerCase() === "circle") {
+    const lat = Number(geofence.center_lat);
+    const lng = Number(geofence.center_lng);
+    return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+  }
+
+  const box = getGeofenceBoundingBox(geofence);
+  return box ? { lat: (box[1] + box[3]) / 2, lng: (box[0] + box[2]) / 2 } : null;
+}
+
+async function loadHome(connection, deviceId) {
+  const [[geofence]] = await connection.query(
+    `SELECT g.geofence_id, g.type, g.center_lat, g.center_lng, g.radius, g.poly_rect
+     FROM geofences g
+     JOIN geofence_assignment ga ON g.geofence_id = ga.geofence_id
+     WHERE ga.device_id = ? AND g.mode = 'safe' AND g.type <> 'corridor'
+     ORDER BY g.geofence_id ASC
+     LIMIT 1`,
+    [deviceId]
+  );
+  return getHome(geofence);
+}
+
+/**
+ * Work out one day's activity for a tracker
+ * @param {Object} connection - MySQL connection
+ * @param {string} deviceId - Tracker device ID
+ * @param {string} date - YYYY-MM-DD in timeZone
+ * @param {string} timeZone - Owner's time zone
+ * @param {Object|null} home - { lat, lng }
+ * @returns {Promise<Object>} activity_daily column values
+ */
+async function computeDailyActivity(connection, deviceId, date, timeZone, home) {
+  const { start, end } = getDayBounds(date, timeZone);
+  const dayStart = start.getTime();
+  const dayEnd = end.getTime();
+  const inDay = (point) => {
+    const time = new Date(point.time).getTime();
+    return time >= dayStart && time < dayEnd;
+  };
+
+  // The points either side of the day are included so the first step into
+  // it counts and a stay running past midnight lasts until the day's end
+  const points = await fetchTrailPoints(connection, deviceId, start, end);
+  const [[next]] = await connection.query(
+    `SELECT lat, lng, recorded_at, battery, accuracy, hdop, satellites, speed, starts_track
+     FROM trail_points
+     WHERE tracker_id = ? AND recorded_at > ?
+     ORDER BY recorded_at ASC, point_id ASC
+     LIMIT 1`,
+    [deviceId, end]
+  );
+  if (next && !next.starts_track) points.push(next);
+
+  const tracks = pointsToTracks(points);
+  const { trips, stays } = segmentTrips(tracks);
+
+  let distance = 0;
+  let maxFromHome = null;
+  let pointCount = 0;
+
+  for (const track of tracks) {
+    track.forEach((point, i) => {
+      if (!inDay(point)) return;
+      pointCount++;
+
+      if (i > 0) {
+        distance += turf.distance(
+          [track[i - 1].lng, track[i - 1].lat],
+          [point.lng, point.lat],
+          { units: "meters" }
+        );
+      }
+      if (home) {
+        const fromHome = turf.distance([home.lng, home.lat], [point.lng, point.lat], {
+          units: "meters",
+        });
+        maxFromHome = Math.max(maxFromHome ?? 0, fromHome);
+      }
+    });
+  }
+
+  const dayTrips = trips.filter(
+    (trip) =>
+      overlapMs(Date.parse(trip.startTime), Date.parse(trip.endTime), dayStart, dayEnd) > 0
+  );
+  const activeMs = trips.reduce(
+    (total, trip) =>
+      total + overlapMs(Date.parse(trip.startTime), Date.parse(trip.endTime), dayStart, dayEnd),
+    0
+  );
+  const restingMs = stays.reduce(
+    (total, stay) =>
+      total + overlapMs(Date.parse(stay.arrivedAt), Date.parse(stay.departedAt), dayStart, dayEnd),
+    0
+  );
+
+  const [[exits]] = await connection.query(
+    `SELECT COUNT(*) AS count FROM tracker_history
+     WHERE tracker_id = ? AND history_type = 'geofence_out' AND datetime >= ? AND datetime < ?`,
+    [deviceId, start, end]
+  );
+
+  return {
+    distance_m: Number(distance.toFixed(1)),
+    active_minutes: Math.round(activeMs / 60000),
+    resting_minutes: Math.round(restingMs / 60000),
+    max_distance_from_home_m: maxFromHome === null ? null : Number(maxFromHome.toFixed(1)),
+    geofence_exits: Number(exits.count),
+    trip_count: dayTrips.length,
+    point_count: pointCount,
+  };
+}
+
+async function saveDailyActivity(connection, deviceId, date, timeZone, activity) {
+  await connection.query(
+    `INSERT INTO activity_daily
+       (tracker_id, activity_date, distance_m, active_minutes, resting_minutes,
+        max_distance_from_home_m, geofence_exits, trip_count, point_count, timezone, computed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       distance_m = VALUES(distance_m),
+       active_minutes = VALUES(active_minutes),
+       resting_minutes = VALUES(resting_minutes),
+       max_distance_from_home_m = VALUES(max_distance_from_home_m),
+       geofence_exits = VALUES(geofence_exits),
+       trip_count = VALUES(trip_count),
+       point_count = VALUES(point_count),
+       timezone = VALUES(timezone),
+       computed_at = NOW()`,
+    [
+      deviceId,
+      date,
+      activity.distance_m,
+      activity.active_minutes,
+      activity.resting_minutes,
+      activity.max_distance_from_home_m,
+      activity.geofence_exits,
+      activity.trip_count,
+      activity.point_count,
+      timeZone,
+    ]
+  );
+}
+
+/**
+ * Summarise a tracker's finished days that have no final row yet
+ * Days before its first trail point are skipped.
+ * @param {Object} pool - MySQL connection pool
+ * @param {string} deviceId - Tracker device ID
+ * @param {string} [timeZone] - Owner's time zone
+ * @param {Date|number} [now=new Date()]
+ * @returns {Promise<number>} Days summarised
+ */
+async function rollupTrackerActivity(pool, deviceId, timeZone, now = new Date()) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const yesterday = addDays(getLocalDate(now, zone), -1);
+  const oldest = addDays(yesterday, -(BACKFILL_DAYS - 1));
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [[{ firstPoint }]] = await connection.query(
+      `SELECT MIN(recorded_at) AS firstPoint FROM trail_points WHERE tracker_id = ?`,
+      [deviceId]
+    );
+    if (!firstPoint) return 0;
+
+    const [existing] = await connection.query(
+      `SELECT DATE_FORMAT(activity_date, '%Y-%m-%d') AS activity_date, computed_at
+       FROM activity_daily
+       WHERE tracker_id = ? AND activity_date BETWEEN ? AND ?`,
+      [deviceId, oldest, yesterday]
+    );
+    const done = new Set(
+      existing
+        .filter(
+          (row) =>
+            new Date(row.computed_at).getTime() >=
+            getDayBounds(row.activity_date, zone).end.getTime() + LATE_DATA_MS
+        )
+        .map((row) => row.activity_date)
+    );
+
+    const firstDay = getLocalDate(firstPoint, zone);
+    let home;
+    let summarised = 0;
+
+    for (let date = oldest; date <= yesterday; date = addDays(date, 1)) {
+      if (date < firstDay || done.has(date)) continue;
+
+      if (home === undefined) home = await loadHome(connection, deviceId);
+
+      const activity = await computeDailyActivity(connection, deviceId, date, zone, home);
+      await saveDailyActivity(connection, deviceId, date, zone, activity);
+      summarised++;
+    }
+
+    return summarised;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+/**
+ * Summarise missing days for every tracker
+ * @param {Object} deps - { pool }
+ */
+async function runActivityRollup({ pool }) {
+  if (rollupRunning) return;
+  rollupRunning = true;
+
+  try {
+    const trackers = await queryWithRetry(
+      pool,
+      `SELECT t.device_id, u.timezone
+       FROM trackers t
+       LEFT JOIN users u ON u.user_id = t.user_id`
+    );
+
+    let days = 0;
+    for (const tracker of trackers) {
+      try {
+        days += await rollupTrackerActivity(pool, tracker.device_id, tracker.timezone);
+      } catch (error) {
+        console.error(`❌ Error summarising activity for ${tracker.device_id}:`, error.message);
+      }
+    }
+
+    if (days > 0) {
+      console.log(`📈 Summarised ${days} days of activity for ${trackers.length} trackers`);
+    }
+  } finally {
+    rollupRunning = false;
+  }
+}
+
+/**
+ * Read stored daily activity for the last `days` finished days
+ * @param {Object} pool - MySQL connection pool
+ * @param {string} deviceId - Tracker device ID
+ * @param {number} days - Number of days
+ * @returns {Promise<{timeZone: string, from: string, to: string, days: Array<Object>}>} Days oldest first; days not summarised yet are missing
+ */
+async function getDailyActivity(pool, deviceId, days) {
+  const [owner] = await queryWithRetry(
+    pool,
+    `SELECT u.timezone FROM trackers t
+     LEFT JOIN users u ON u.user_id = t.user_id
+     WHERE t.device_id = ?`,
+    [deviceId]
+  );
+  const timeZone = isValidTimeZone(owner?.timezone) ? owner.timezone : DEFAULT_TIMEZONE;
+  const to = addDays(getLocalDate(new Date(), timeZone), -1);
+  const from = addDays(to, -(days - 1));
+
+  const rows = await queryWithRetry(
+    pool,
+    `SELECT DATE_FORMAT(activity_date, '%Y-%m-%d') AS activity_date, distance_m,
+            active_minutes, resting_minutes, max_distance_from_home_m,
+            geofence_exits, trip_count, point_count
+     FROM activity_daily
+     WHERE tracker_id = ? AND activity_date BETWEEN ? AND ?
+     ORDER BY activity_date ASC`,
+    [deviceId, from, to]
+  );
+
+  return {
+    timeZone,
+    from,
+    to,
+    days: rows.map((row) => ({
+      date: row.activity_date,
+      distanceMeters: Number(row.distance_m),
+      activeMinutes: row.active_minutes,
+      restingMinutes: row.resting_minutes,
+      maxDistanceFromHomeMeters:
+        row.max_distance_from_home_m === null ? null : Number(row.max_distance_from_home_m),
+      geofenceExits: row.geofence_exits,
+      trips: row.trip_count,
+      points: row.point_count,
+    })),
+  };
+}
+
+/**
+ * Run the activity rollup shortly after startup and then every hour
+ * @param {Object} deps - { pool }
+ */
+function startActivityRollup(deps) {
+  if (rollupTimer) return;
+
+  const run = async () => {
+    try {
+      await runActivityRollup(deps);
+    } catch (error) {
+      console.error("❌ Error running activity rollup:", error.message);
+    }
+  };
+
+  startupTimer = setTimeout(run, STARTUP_DELAY_MS);
+  rollupTimer = setInterval(run, ROLLUP_INTERVAL_MS);
+}
+
+/**
+ * Stop the activity rollup (for server shutdown)
+ */
+function stopActivityRollup() {
+  clearTimeout(startupTimer);
+  startupTimer = null;
+  if (rollupTimer) {
+    clearInterval(rollupTimer);
+    rollupTimer = null;
+  }
+}
+
+module.exports = {
+  MAX_ACTIVITY_DAYS,
+  getLocalDate,
+  getDayBounds,
+  computeDailyActivity,
+  rollupTrackerActivity,
+  runActivityRollup,
+  getDailyActivity,
+  startActivityRollup,
+  stopActivityRollup,
+};
@@ -0,0 +1,217 @@
+const jwt = require("jsonwebtoken");
+
+/**
+ * Authentication and authorization helpers
+ * Verifies the JWT issued by /api/login and makes sure a caller can only
+ * act on their own user ID, trackers and Socket.IO room
+ */
+
+/**
+ * Extract the bearer token from an Authorization header
+ * @param {string} header - Raw Authorization header value
+ * @returns {string|null} The token or null if missing
+ */
+function getBearerToken(header) {
+  if (!header || typeof header !== "string") return null;
+
+  const [scheme, token] = header.split(" ");
+  if (scheme?.toLowerCase() !== "bearer" || !token) return null;
+
+  return token.trim();
+}
+
+/**
+ * Verify a JWT and return the user it was issued for
+ * @param {string} token - Signed JWT
+ * @returns {{userId: number, email: string, username: string}} Token user
+ * @throws {Error} If the token is invalid or expired
+ */
+function verifyToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (payload.userId === undefined || payload.userId === null) {
+    throw new Error("Token has no userId");
+  }
+
+  return {
+    userId: payload.userId,
+    email: payload.email,
+    username: payload.username,
+  };
+}
+
+/**
+ * Collect every user ID the caller supplied in params, query or body
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Supplied user IDs as strings
+ */
+function getSuppliedUserIds(req) {
+  const candidates = [
+    req.params?.userId,
+    req.query?.userId,
+    req.body?.userId,
+    req.body?.user_id,
+  ];
+
+  return candidates
+    .filter((value) => value !== undefined && value !== null && value !== "")
+    .map((value) => String(value));
+}
+
+/**
+ * Express middleware: require a valid bearer token and expose it as req.user
+ */
+function authenticateToken(req, res, next) {
+  const token = getBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({ message: "Authentication token required" });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    return next();
+  } catch (err) {
+    console.warn("⚠️ Rejected invalid token:", err.message);
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+}
+
+/**
+ * Express middleware: reject requests whose userId / user_id does not match
+ * the authenticated user. Must run after authenticateToken.
+ */
+function requireSameUser(req, res, next) {
+  const authUserId = String(req.user.userId);
+  const mismatched = getSuppliedUserIds(req).some((id) => id !== authUserId);
+
+  if (mismatched) {
+    console.warn(
+      `⚠️ User ${authUserId} attempted to access another user's data (${req.method} ${req.originalUrl})`
+    );
+    return res.status(403).json({ message: "Access denied" });
+  }
+
+  return next();
+}
+
+/**
+ * Check whether a tracker belongs to a user
+ * @param {Object} pool - MySQL connection pool
+ * @param {number} userId - User ID
+ * @param {string} deviceId - Tracker device ID
+ * @returns {Promise<boolean>} Whether the user owns the tracker
+ */
+async function userOwnsTracker(pool, userId, deviceId) {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      "SELECT device_id FROM trackers WHERE device_id = ? AND user_id = ? LIMIT 1",
+      [deviceId, userId]
+    );
+
+    return rows.length > 0;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+/**
+ * Keep the trackers from a list that belong to a user
+ * @param {Object} pool - MySQL connection pool
+ * @param {number} userId - User ID
+ * @param {Array<string>} deviceIds - Tracker device IDs
+ * @returns {Promise<Array<string>>} The owned device IDs
+ */
+async function filterOwnedTrackers(pool, userId, deviceIds) {
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0) return [];
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      "SELECT device_id FROM trackers WHERE device_id IN (?) AND user_id = ?",
+      [deviceIds, userId]
+    );
+
+    const owned = new Set(rows.map((row) => row.device_id));
+    return deviceIds.filter((deviceId) => owned.has(deviceId));
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+/**
+ * Express middleware factory: require the authenticated user to own the
+ * tracker named by a route param. Must run after authenticateToken.
+ * @param {Object} pool - MySQL connection pool
+ * @param {string} [paramName="trackerId"] - Route param holding the device ID
+ * @returns {Function} Express middleware
+ */
+function requireTrackerOwner(pool, paramName = "trackerId") {
+  return async (req, res, next) => {
+    const deviceId = req.params[paramName];
+
+    try {
+      if (!(await userOwnsTracker(pool, req.user.userId, deviceId))) {
+        return res.status(404).json({ message: "Tracker not found" });
+      }
+      return next();
+    } catch (err) {
+      console.error(
+        `❌ Error checking ownership of ${deviceId}:`,
+        err.message
+      );
+      return res.status(500).json({ message: "Server error" });
+    }
+  };
+}
+
+/**
+ * Socket.IO middleware: authenticate the handshake and pin the socket to the
+ * token's user. The token may be sent as auth.token, a bearer Authorization
+ * header or a `token` query param. A userId query param is still accepted
+ * for older clients but must match the token.
+ */
+function authenticateSocket(socket, next) {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  const token =
+    auth.token || getBearerToken(headers.authorization) || query.token;
+
+  if (!token) {
+    console.error("❌ Missing token in Socket.IO handshake");
+    return next(new Error("Authentication token required"));
+  }
+
+  let user;
+  try {
+    user = verifyToken(token);
+  } catch (err) {
+    console.error("❌ Invalid token in Socket.IO handshake:", err.message);
+    return next(new Error("Invalid or expired token"));
+  }
+
+  if (query.userId && String(query.userId) !== String(user.userId)) {
+    console.error(
+      `❌ Socket.IO userId ${query.userId} does not match token user ${user.userId}`
+    );
+    return next(new Error("Access denied"));
+  }
+
+  socket.data.userId = String(user.userId);
+  return next();
+}
+
+module.exports = {
+  getBearerToken,
+  verifyToken,
+  authenticateToken,
+  requireSameUser,
+  userOwnsTracker,
+  filterOwnedTrackers,
+  requireTrackerOwner,
+  authenticateSocket,
+};
@@ -3,6 +3,20 @@
  * Provides helper functions for executing database operations with retry logic
  */
 
+/**
+ * Check whether an error is a dropped/timed out connection worth retrying
+ * @param {Error} error - Error thrown by mysql2
+ * @returns {boolean} - True if the operation can be retried
+ */
+function isRetryableError(error) {
+  return (
+    error.code === 'ECONNRESET' || 
+    error.code === 'PROTOCOL_CONNECTION_LOST' ||
+    error.code === 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR' ||
+    error.code === 'ETIMEDOUT'
+  );
+}
+
 /**
  * Execute a database operation with retry logic
  * @param {Function} operation - Async function that performs the database operation
@@ -31,21 +45,17 @@ async function executeWithRetry(operation, pool, maxRetries = 3, initialDelay =
       lastError = error;
       
       // Check if this is a connection error that we should retry
-      const isRetryableError = 
-        error.code === 'ECONNRESET' || 
-        error.code === 'PROTOCOL_CONNECTION_LOST' ||
-        error.code === 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR' ||
-        error.code === 'ETIMEDOUT';
+      const retryable = isRetryableError(error);
       
       // Log the error
       console.error(`Database operation failed (attempt ${attempt + 1}/${maxRetries + 1}):`, {
         errorCode: error.code,
         errorMessage: error.message,
-        retrying: attempt < maxRetries && isRetryableError
+        retrying: attempt < maxRetries && retryable
       });
       
       // If we've reached max retries or it's not a retryable error, throw the error
-      if (attempt >= maxRetries || !isRetryableError) {
+      if (attempt >= maxRetries || !retryable) {
         throw error;
       }
       
@@ -83,6 +93,7 @@ async function queryWithRetry(pool, sql, params = []) {
 }
 
 module.exports = {
+  isRetryableError,
   executeWithRetry,
   queryWithRetry
 };
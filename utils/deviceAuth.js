@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+
+/**
+ * Device authentication for telemetry packets
+ * Each tracker row carries a device_secret. A packet is accepted when it has
+ * either a valid HMAC signature (X-Device-Signature over
+ * "<X-Device-Timestamp>.<raw body>") inside the replay window, or the raw
+ * secret as a device token (X-Device-Token).
+ */
+
+let pool;
+
+// Accepted clock skew between device and server for signed packets
+const REPLAY_WINDOW_MS =
+  parseInt(process.env.DEVICE_AUTH_WINDOW_MS) || 5 * 60 * 1000;
+
+// Registered trackers without a provisioned secret are rejected unless this
+// is explicitly switched off (DEVICE_AUTH_REQUIRED=false) during a rollout;
+// owners get a secret from POST /api/trackers/:deviceId/secret
+const AUTH_REQUIRED = process.env.DEVICE_AUTH_REQUIRED !== "false";
+
+// Cached secrets are re-read after this long, so a secret set, rotated or
+// removed through another node takes effect here too
+const SECRET_CACHE_TTL_MS =
+  parseInt(process.env.DEVICE_SECRET_CACHE_TTL_MS) || 30 * 1000;
+
+// deviceId -> { secret, registered, loadedAt } to avoid a lookup per packet
+const secretCache = new Map();
+
+// deviceId -> Map(signature -> expiry) of signatures seen inside the window
+const seenSignatures = new Map();
+
+// deviceId -> { count, lastReason, lastAt } of rejected packets
+const rejectionStats = {};
+
+/**
+ * Initialize device authentication with database pool
+ * @param {Object} dbPool - MySQL connection pool
+ */
+function initialize(dbPool) {
+  pool = dbPool;
+}
+
+/**
+ * Generate a new random device secret
+ * @returns {string} 64-character hex secret
+ */
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Sign a payload the same way a tracker does
+ * @param {string} secret - Device secret
+ * @param {string|number} timestamp - Send time in ms since epoch
+ * @param {string|Buffer} rawBody - Exact bytes of the request body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest("hex");
+}
+
+/**
+ * Normalize a device timestamp to ms since epoch
+ * Numbers below 1e12 are treated as seconds; ISO 8601 strings are accepted.
+ * @param {string|number} value - Timestamp from the device
+ * @returns {number|null} Milliseconds since epoch or null if invalid
+ */
+function parseDeviceTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const num = Number(value);
+  if (isFinite(num)) return num < 1e12 ? num * 1000 : num;
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Look up the secret for a device, using the cache when possible
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<{secret: string|null, registered: boolean}>}
+ */
+async function getDeviceSecret(deviceId) {
+  const cached = secretCache.get(deviceId);
+  if (cached && Date.now() - cached.loadedAt < SECRET_CACHE_TTL_MS) {
+    return { secret: cached.secret, registered: cached.registered };
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const [rows] = await connection.query(
+      "SELECT device_secret FROM trackers WHERE device_id = ? LIMIT 1",
+      [deviceId]
+    );
+
+    const entry = {
+      secret: rows[0]?.device_secret || null,
+      registered: rows.length > 0,
+    };
+    secretCache.set(deviceId, { ...entry, loadedAt: Date.now() });
+    return entry;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+/**
+ * Forget a cached secret (after rotation, registration or deletion)
+ * Only this node's cache is cleared; other nodes pick the change up within
+ * SECRET_CACHE_TTL_MS.
+ * @param {string} deviceId - Device ID
+ */
+function clearCachedSecret(deviceId) {
+  secretCache.delete(deviceId);
+  seenSignatures.delete(deviceId);
+}
+
+function isReplay(deviceId, signature, now) {
+  let seen = seenSignatures.get(deviceId);
+  if (!seen) {
+    seen = new Map();
+    seenSignatures.set(deviceId, seen);
+  }
+
+  for (const [sig, expiry] of seen) {
+    if (expiry <= now) seen.delete(sig);
+  }
+
+  if (seen.has(signature)) return true;
+
+  seen.set(signature, now + REPLAY_WINDOW_MS * 2);
+  return false;
+}
+
+/**
+ * Verify a telemetry packet for a device
+ * @param {Object} packet - Packet credentials
+ * @param {string} packet.deviceId - Device ID the packet claims to be from
+ * @param {string|Buffer} packet.rawBody - Exact body bytes that were signed
+ * @param {string} [packet.signature] - Hex HMAC signature
+ * @param {string|number} [packet.timestamp] - Send time used in the signature
+ * @param {string} [packet.token] - Device token (the raw secret)
+ * @returns {Promise<{ok: boolean, reason?: string}>} Verification result
+ */
+async function verifyDevicePacket({ deviceId, rawBody, signature, timestamp, token }) {
+  const { secret, registered } = await getDeviceSecret(deviceId);
+
+  if (!secret) {
+    // Unregistered devices have no owner and trigger no alerts, so they may
+    // still report in for pairing. Registered trackers without a secret are
+    // only tolerated while DEVICE_AUTH_REQUIRED is switched off.
+    if (!registered || !AUTH_REQUIRED) return { ok: true };
+    return { ok: false, reason: "secret_not_provisioned" };
+  }
+
+  if (signature) {
+    const sentAt = parseDeviceTimestamp(timestamp);
+    if (sentAt === null) return { ok: false, reason: "missing_timestamp" };
+
+    const now = Date.now();
+    if (Math.abs(now - sentAt) > REPLAY_WINDOW_MS) {
+      return { ok: false, reason: "timestamp_out_of_window" };
+    }
+
+    const expected = signPayload(secret, timestamp, rawBody || "");
+    if (!safeEqual(expected, String(signature).toLowerCase())) {
+      return { ok: false, reason: "bad_signature" };
+    }
+
+    if (isReplay(deviceId, expected, now)) {
+      return { ok: false, reason: "replayed" };
+    }
+
+    return { ok: true };
+  }
+
+  if (token) {
+    return safeEqual(secret, token)
+      ? { ok: true }
+      : { ok: false, reason: "bad_token" };
+  }
+
+  return { ok: false, reason: "missing_credentials" };
+}
+
+/**
+ * Record a rejected packet in memory and in device_auth_failures
+ * @param {string} deviceId - Device ID the packet claimed
+ * @param {string} reason - Rejection reason
+ * @param {string} [sourceIp] - Remote address
+ */
+async function logRejectedPacket(deviceId, reason, sourceIp = null) {
+  const stats = rejectionStats[deviceId] || { count: 0 };
+  stats.count++;
+  stats.lastReason = reason;
+  stats.lastAt = new Date();
+  rejectionStats[deviceId] = stats;
+
+  console.warn(
+    `🚫 Rejected packet for ${deviceId}: ${reason} (from ${sourceIp || "unknown"}, ${stats.count} total)`
+  );
+
+  if (!pool) return;
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.query(
+      `INSERT INTO device_auth_failures (device_id, reason, source_ip, created_at)
+       VALUES (?, ?, ?, NOW())`,
+      [deviceId, reason, sourceIp]
+    );
+  } catch (err) {
+    console.error(
+      `❌ Failed to log rejected packet for ${deviceId}:`,
+      err.message
+    );
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+/**
+ * Express middleware: authenticate the device named in req.body.deviceId.
+ * Requires express.json to keep the raw body on req.rawBody.
+ */
+async function authenticateDevice(req, res, next) {
+  const deviceId = req.body?.deviceId;
+
+  // Let the route report malformed payloads itself
+  if (!deviceId) return next();
+
+  try {
+    const result = await verifyDevicePacket({
+      deviceId,
+      rawBody: req.rawBody,
+      signature: req.get("x-device-signature"),
+      timestamp: req.get("x-device-timestamp"),
+      token: req.get("x-device-token"),
+    });
+
+    if (!result.ok) {
+      await logRejectedPacket(deviceId, result.reason, req.ip);
+      return res.status(401).send("Device authentication failed");
+    }
+
+    return next();
+  } catch (err) {
+    console.error(`❌ Error authenticating device ${deviceId}:`, err.message);
+    return res.status(503).send("Database connection error - please retry");
+  }
+}
+
+module.exports = {
+  initialize,
+  generateDeviceSecret,
+  signPayload,
+  parseDeviceTimestamp,
+  getDeviceSecret,
+  clearCachedSecret,
+  verifyDevicePacket,
+  logRejectedPacket,
+  authenticateDevice,
+};
@@ -0,0 +1,205 @@
+const { WebSocketServer } = require("ws");
+const deviceAuth = require("./deviceAuth");
+
+/**
+ * Raw WebSocket ingestion for low-power trackers
+ * Devices connect to <path>?deviceId=<id> and authenticate once at the
+ * handshake with X-Device-Token, or with X-Device-Timestamp and
+ * X-Device-Signature signing the device ID. Credentials are only read from
+ * headers, never the URL, so secrets stay out of proxy and access logs.
+ *
+ * Each frame is either JSON ({"lat":..,"lng":..,"battery":..}) or a CSV line
+ * "lat,lng,battery[,ts[,accuracy,hdop,satellites,speed]]", and is answered
+ * with an ack in the same format.
+ */
+
+const PING_INTERVAL = 30000;
+
+// deviceId -> the device's current WebSocket
+const deviceSockets = new Map();
+
+/**
+ * Parse one telemetry frame
+ * @param {string} text - Frame contents
+ * @returns {{data: Object, format: string}|null} Parsed fields or null if invalid
+ */
+function parseFrame(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith("{")) {
+    try {
+      const data = JSON.parse(trimmed);
+      return data && typeof data === "object" ? { data, format: "json" } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const [lat, lng, battery, ts, accuracy, hdop, satellites, speed] = trimmed
+    .split(",")
+    .map((v) => v.trim());
+  const data = { lat: Number(lat), lng: Number(lng) };
+
+  if (isNaN(data.lat) || isNaN(data.lng)) return null;
+
+  const optional = { battery, ts, accuracy, hdop, satellites, speed };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== undefined && value !== "") data[key] = Number(value);
+  }
+
+  return { data, format: "csv" };
+}
+
+function sendAck(ws, format, seq, error = null) {
+  if (ws.readyState !== ws.OPEN) return;
+
+  if (format === "csv") {
+    ws.send(error ? `NACK,${seq},${error}` : `ACK,${seq}`);
+  } else {
+    const ack = error ? { ack: seq, ok: false, error } : { ack: seq, ok: true };
+    ws.send(JSON.stringify(ack));
+  }
+}
+
+async function authenticateUpgrade(req, url) {
+  const deviceId = url.searchParams.get("deviceId");
+  if (!deviceId) return { ok: false, reason: "missing_device_id" };
+
+  const result = await deviceAuth.verifyDevicePacket({
+    deviceId,
+    rawBody: deviceId,
+    signature: req.headers["x-device-signature"],
+    timestamp: req.headers["x-device-timestamp"],
+    token: req.headers["x-device-token"],
+  });
+
+  return { ...result, deviceId };
+}
+
+/**
+ * Attach the device WebSocket endpoint to an HTTP server
+ * Only upgrades for `path` are handled so Socket.IO keeps its own.
+ * @param {Object} server - Node HTTP server
+ * @param {Object} options
+ * @param {Function} options.onTelemetry - async (data) => pipeline context, same as /data
+ * @param {Function} options.onDisconnect - (deviceId) => void, called on close
+ * @param {string} [options.path="/device-ws"] - Endpoint path
+ * @returns {WebSocketServer} The WebSocket server
+ */
+function attachDeviceSocketServer(server, { onTelemetry, onDisconnect, path = "/device-ws" }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) return;
+
+    let auth;
+    try {
+      auth = await authenticateUpgrade(req, url);
+    } catch (err) {
+      console.error("❌ Error authenticating device WebSocket:", err.message);
+      socket.end("HTTP/1.1 503 Service Unavailable\r\n\r\n");
+      return;
+    }
+
+    if (!auth.ok) {
+      if (auth.deviceId) {
+        await deviceAuth.logRejectedPacket(
+          auth.deviceId,
+          auth.reason,
+          socket.remoteAddress
+        );
+      }
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, auth.deviceId);
+    });
+  });
+
+  wss.on("connection", (ws, deviceId) => {
+    console.log(`🔌 Device ${deviceId} connected via WebSocket`);
+
+    const previous = deviceSockets.get(deviceId);
+    deviceSockets.set(deviceId, ws);
+    if (previous) previous.close(4000, "Replaced by a new connection");
+
+    let seq = 0;
+    // Frames are processed one at a time so trail points stay in order
+    let queue = Promise.resolve();
+    ws.isAlive = true;
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    const handleFrame = async (text, frameSeq) => {
+      const parsed = parseFrame(text);
+
+      if (!parsed) {
+        console.log(`⚠️ Received invalid frame from ${deviceId}`);
+        const format = text.trim().startsWith("{") ? "json" : "csv";
+        sendAck(ws, format, frameSeq, "invalid_frame");
+        return;
+      }
+
+      parsed.data.deviceId = deviceId;
+
+      try {
+        const result = await onTelemetry(parsed.data);
+        sendAck(ws, parsed.format, frameSeq, result?.rejected ? result.stopReason : null);
+      } catch (err) {
+        console.error(`❌ Error handling WebSocket frame from ${deviceId}:`, {
+          message: err.message,
+          code: err.code || "unknown",
+        });
+        sendAck(ws, parsed.format, frameSeq, "server_error");
+      }
+    };
+
+    ws.on("message", (raw) => {
+      seq++;
+      const frameSeq = seq;
+      const text = raw.toString();
+      queue = queue.then(() => handleFrame(text, frameSeq));
+    });
+
+    ws.on("close", () => {
+      console.log(`❌ Device ${deviceId} WebSocket closed`);
+
+      // A replaced socket closing must not mark the new one offline
+      if (deviceSockets.get(deviceId) === ws) {
+        deviceSockets.delete(deviceId);
+        onDisconnect(deviceId);
+      }
+    });
+
+    ws.on("error", (err) => {
+      console.error(`❌ WebSocket error for ${deviceId}:`, err.message);
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const pingInterval = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL);
+
+  wss.on("close", () => clearInterval(pingInterval));
+
+  return wss;
+}
+
+module.exports = {
+  parseFrame,
+  attachDeviceSocketServer,
+};
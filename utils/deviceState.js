@@ -0,0 +1,310 @@
+const { queryWithRetry } = require("./dbRetry");
+const { NAMESPACES } = require("./stateStore");
+
+/**
+ * Persistence of the live device state
+ * The state store's latestDevices, deviceStatus, lastGeofenceState,
+ * geofencePending, geofenceWarned, geofenceArmed and lastNearbyPetsState are
+ * snapshotted per device into device_live_state, and notified nearby-pet
+ * interactions into nearby_pet_interactions, so a restart does not treat
+ * every tracker as new (spurious ONLINE and geofence-entry alerts, repeated
+ * early warnings, missed arm/disarm notifications).
+ */
+
+let pool;
+
+// How often changed device state is written
+const SAVE_INTERVAL_MS =
+  parseInt(process.env.DEVICE_STATE_SAVE_INTERVAL_MS) || 10000;
+
+// deviceId -> JSON of the last row written, to skip unchanged devices
+const savedRows = new Map();
+const savedInteractions = new Set();
+let saveTimer = null;
+let saving = null;
+
+/**
+ * Initialize the device state utility with database pool
+ * @param {mysql.Pool} dbPool - MySQL connection pool
+ */
+function initialize(dbPool) {
+  pool = dbPool;
+  console.log("✅ Device state persistence initialized");
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// geofenceArmed is keyed "<geofenceId>:<deviceId>"; rows hold one
+// { geofenceId: armed } object per device
+function armedKey(geofenceId, deviceId) {
+  return `${geofenceId}:${deviceId}`;
+}
+
+function groupArmedByDevice(armed) {
+  const byDevice = {};
+  for (const [key, value] of Object.entries(armed)) {
+    const separator = key.indexOf(":");
+    const geofenceId = key.slice(0, separator);
+    const deviceId = key.slice(separator + 1);
+    (byDevice[deviceId] ||= {})[geofenceId] = value;
+  }
+  return byDevice;
+}
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function buildRow(snapshot, deviceId) {
+  return {
+    live: snapshot.latestDevices[deviceId] ?? null,
+    status: snapshot.deviceStatus[deviceId] ?? null,
+    geofences: snapshot.lastGeofenceState[deviceId] ?? null,
+    pending: snapshot.geofencePending[deviceId] ?? null,
+    warned: snapshot.geofenceWarned[deviceId] ?? null,
+    armed: snapshot.geofenceArmed[deviceId] ?? null,
+    nearby: snapshot.lastNearbyPetsState[deviceId] ?? null,
+  };
+}
+
+/**
+ * Load persisted state into the state store
+ * Devices that already have state in the store are left alone (with a
+ * shared Redis store another node may be running). Devices that were online
+ * get their lastSeen reset to now, so the server's own downtime does not
+ * mark them offline the moment it boots.
+ * @param {Object} store - State store (see utils/stateStore)
+ * @returns {Promise<number>} Number of devices restored
+ */
+async function loadDeviceState(store) {
+  if (!pool) {
+    console.error("❌ Device state persistence not initialized");
+    return 0;
+  }
+
+  const now = Date.now();
+  let restored = 0;
+
+  const rows = await queryWithRetry(
+    pool,
+    `SELECT device_id, live_state, status, geofence_state, geofence_pending, geofence_warned,
+            geofence_armed, nearby_state
+     FROM device_live_state`
+  );
+
+  const existing = await store.getAll(NAMESPACES.DEVICE_STATUS);
+
+  for (const row of rows) {
+    const deviceId = row.device_id;
+    if (existing[deviceId]) continue;
+
+    const live = parseJson(row.live_state, null);
+    const geofences = parseJson(row.geofence_state, null);
+    const pending = parseJson(row.geofence_pending, null);
+    const warned = parseJson(row.geofence_warned, null);
+    const armed = parseJson(row.geofence_armed, null);
+    const nearby = parseJson(row.nearby_state, null);
+
+    if (live) {
+      if (row.status === "online") live.lastSeen = now;
+      await store.set(NAMESPACES.LATEST_DEVICES, deviceId, live);
+    }
+    if (row.status) await store.set(NAMESPACES.DEVICE_STATUS, deviceId, row.status);
+    if (geofences) await store.set(NAMESPACES.GEOFENCE_STATE, deviceId, geofences);
+    if (pending) await store.set(NAMESPACES.GEOFENCE_PENDING, deviceId, pending);
+    if (warned) await store.set(NAMESPACES.GEOFENCE_WARNED, deviceId, warned);
+    for (const [geofenceId, value] of Object.entries(armed || {})) {
+      await store.set(NAMESPACES.GEOFENCE_ARMED, armedKey(geofenceId, deviceId), value);
+    }
+    if (nearby) await store.set(NAMESPACES.NEARBY_PETS_STATE, deviceId, nearby);
+
+    savedRows.set(
+      deviceId,
+      JSON.stringify({ live, status: row.status, geofences, pending, warned, armed, nearby })
+    );
+    restored++;
+  }
+
+  const interactions = await queryWithRetry(
+    pool,
+    `SELECT interaction_key FROM nearby_pet_interactions`
+  );
+
+  for (const { interaction_key } of interactions) {
+    await store.set(NAMESPACES.NEARBY_PETS_INTERACTIONS, interaction_key, true);
+    savedInteractions.add(interaction_key);
+  }
+
+  console.log(
+    `♻️ Restored state for ${restored} devices and ${interactions.length} nearby-pet interactions`
+  );
+  return restored;
+}
+
+async function writeChanges(store) {
+  const snapshot = {
+    latestDevices: await store.getAll(NAMESPACES.LATEST_DEVICES),
+    deviceStatus: await store.getAll(NAMESPACES.DEVICE_STATUS),
+    lastGeofenceState: await store.getAll(NAMESPACES.GEOFENCE_STATE),
+    geofencePending: await store.getAll(NAMESPACES.GEOFENCE_PENDING),
+    geofenceWarned: await store.getAll(NAMESPACES.GEOFENCE_WARNED),
+    geofenceArmed: groupArmedByDevice(await store.getAll(NAMESPACES.GEOFENCE_ARMED)),
+    lastNearbyPetsState: await store.getAll(NAMESPACES.NEARBY_PETS_STATE),
+  };
+  const nearbyPetsInteractions = await store.getAll(
+    NAMESPACES.NEARBY_PETS_INTERACTIONS
+  );
+
+  const deviceIds = new Set(Object.values(snapshot).flatMap(Object.keys));
+
+  const changed = [];
+  for (const deviceId of deviceIds) {
+    const row = buildRow(snapshot, deviceId);
+    const json = JSON.stringify(row);
+    if (savedRows.get(deviceId) !== json) {
+      changed.push({ deviceId, json, row });
+    }
+  }
+
+  if (changed.length > 0) {
+    await queryWithRetry(
+      pool,
+      `INSERT INTO device_live_state (device_id, live_state, status, geofence_state,
+         geofence_pending, geofence_warned, geofence_armed, nearby_state)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE
+         live_state = VALUES(live_state),
+         status = VALUES(status),
+         geofence_state = VALUES(geofence_state),
+         geofence_pending = VALUES(geofence_pending),
+         geofence_warned = VALUES(geofence_warned),
+         geofence_armed = VALUES(geofence_armed),
+         nearby_state = VALUES(nearby_state)`,
+      [
+        changed.map(({ deviceId, row }) => [
+          deviceId,
+          toJson(row.live),
+          row.status,
+          toJson(row.geofences),
+          toJson(row.pending),
+          toJson(row.warned),
+          toJson(row.armed),
+          toJson(row.nearby),
+        ]),
+      ]
+    );
+    changed.forEach(({ deviceId, json }) => savedRows.set(deviceId, json));
+  }
+
+  const newInteractions = Object.keys(nearbyPetsInteractions).filter(
+    (key) => nearbyPetsInteractions[key] && !savedInteractions.has(key)
+  );
+
+  if (newInteractions.length > 0) {
+    await queryWithRetry(
+      pool,
+      `INSERT IGNORE INTO nearby_pet_interactions (interaction_key) VALUES ?`,
+      [newInteractions.map((key) => [key])]
+    );
+    newInteractions.forEach((key) => savedInteractions.add(key));
+  }
+
+  return changed.length;
+}
+
+/**
+ * Write every device whose state changed since the last save
+ * @param {Object} store - State store (see utils/stateStore)
+ * @returns {Promise<number>} Number of device rows written
+ */
+async function saveDeviceState(store) {
+  if (!pool) {
+    console.error("❌ Device state persistence not initialized");
+    return 0;
+  }
+
+  // Never run two saves at once; the second waits for the first
+  if (saving) await saving.catch(() => {});
+
+  saving = writeChanges(store);
+  try {
+    return await saving;
+  } finally {
+    saving = null;
+  }
+}
+
+/**
+ * Drop a deleted tracker's live state from the store and device_live_state
+ * @param {Object} store - State store (see utils/stateStore)
+ * @param {string} deviceId - Device ID
+ */
+async function forgetDevice(store, deviceId) {
+  if (!pool) {
+    console.error("❌ Device state persistence not initialized");
+    return;
+  }
+
+  // A save already running could write the row back after the delete
+  if (saving) await saving.catch(() => {});
+
+  for (const ns of [
+    NAMESPACES.LATEST_DEVICES,
+    NAMESPACES.DEVICE_STATUS,
+    NAMESPACES.GEOFENCE_STATE,
+    NAMESPACES.GEOFENCE_PENDING,
+    NAMESPACES.GEOFENCE_WARNED,
+    NAMESPACES.NEARBY_PETS_STATE,
+  ]) {
+    await store.delete(ns, deviceId);
+  }
+  for (const key of Object.keys(await store.getAll(NAMESPACES.GEOFENCE_ARMED))) {
+    if (key.endsWith(`:${deviceId}`)) await store.delete(NAMESPACES.GEOFENCE_ARMED, key);
+  }
+
+  savedRows.delete(deviceId);
+  await queryWithRetry(pool, `DELETE FROM device_live_state WHERE device_id = ?`, [deviceId]);
+}
+
+/**
+ * Save changed state every SAVE_INTERVAL_MS
+ * @param {Object} store - State store (see utils/stateStore)
+ */
+function startDeviceStatePersistence(store) {
+  if (saveTimer) return;
+
+  saveTimer = setInterval(async () => {
+    try {
+      await saveDeviceState(store);
+    } catch (error) {
+      console.error("❌ Error saving device state:", error.message);
+    }
+  }, SAVE_INTERVAL_MS);
+}
+
+/**
+ * Stop the periodic save (the caller should save once more before exit)
+ */
+function stopDeviceStatePersistence() {
+  if (saveTimer) {
+    clearInterval(saveTimer);
+    saveTimer = null;
+  }
+}
+
+module.exports = {
+  initialize,
+  loadDeviceState,
+  saveDeviceState,
+  forgetDevice,
+  startDeviceStatePersistence,
+  stopDeviceStatePersistence,
+};
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const turf = require("@turf/turf");
+const isInsideGeofence = require("./isInsideGeofence");
+const { parsePolyRect, parsePolyline, parseRadius } = require("./geofenceShape");
+const { NAMESPACES } = require("./stateStore");
+
+/**
+ * Per-device geofence cache with bounding-box prefiltering
+ * Each device's geofence rows are kept in memory with a precomputed bounding
+ * box, so a packet neither queries MySQL nor runs turf on fences it is
+ * nowhere near.
+ *
+ * Invalidation writes a fresh version token per device to the state store
+ * (geofenceVersion); a cached entry is only used while its token still
+ * matches, so edits made through any node reach every node. Entries also
+ * expire after CACHE_TTL_MS as a fallback for changes made outside the API.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.GEOFENCE_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+const METERS_PER_DEGREE = 111320;
+
+// Boxes are widened a little so degree approximations never cut a shape
+const BOX_SLACK = 1.01;
+const BOX_SLACK_M = 1;
+
+// deviceId -> { version, loadedAt, entries }
+const cache = new Map();
+
+function expandBox([minLng, minLat, maxLng, maxLat], meters) {
+  const midLat = (minLat + maxLat) / 2;
+  const dLat = meters / METERS_PER_DEGREE;
+  const dLng =
+    meters / (METERS_PER_DEGREE * Math.max(Math.cos((midLat * Math.PI) / 180), 0.01));
+  return [minLng - dLng, minLat - dLat, maxLng + dLng, maxLat + dLat];
+}
+
+function boxOf(latLngPoints) {
+  const lats = latLngPoints.map(([lat]) => lat);
+  const lngs = latLngPoints.map(([, lng]) => lng);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Bounding box of a geofence's shape
+ * @param {Object} geofence - Geofence row
+ * @returns {Array<number>|null} [minLng, minLat, maxLng, maxLat], or null if the shape is unusable
+ */
+function getGeofenceBoundingBox(geofence) {
+  const type = geofence.type?.toLowerCase();
+  const radius = parseRadius(geofence.radius);
+
+  if (type === "circle") {
+    const lat = parseFloat(geofence.center_lat);
+    const lng = parseFloat(geofence.center_lng);
+    if (isNaN(lat) || isNaN(lng) || radius === null) return null;
+    return expandBox([lng, lat, lng, lat], radius * BOX_SLACK + BOX_SLACK_M);
+  }
+
+  if (type === "corridor") {
+    const route = parsePolyline(geofence.poly_rect);
+    if (!route || radius === null) return null;
+    return expandBox(boxOf(route), radius * BOX_SLACK + BOX_SLACK_M);
+  }
+
+  if (type === "polygon" || type === "rectangle") {
+    const polygons = parsePolyRect(geofence.poly_rect);
+    if (!polygons) return null;
+    return expandBox(boxOf(polygons.flat(2)), BOX_SLACK_M);
+  }
+
+  return null;
+}
+
+/**
+ * Distance from a point to a bounding box
+ * @returns {number} Meters (0 when the point is inside the box)
+ */
+function distanceToBoundingBox(lat, lng, [minLng, minLat, maxLng, maxLat]) {
+  const nearestLat = Math.min(Math.max(lat, minLat), maxLat);
+  const nearestLng = Math.min(Math.max(lng, minLng), maxLng);
+  if (nearestLat === lat && nearestLng === lng) return 0;
+
+  return turf.distance([lng, lat], [nearestLng, nearestLat], { units: "meters" });
+}
+
+/**
+ * Build cache entries for geofence rows
+ * Geofences whose shape cannot be tested (e.g. a circle with a NULL radius)
+ * are left out: they would otherwise count as "outside" on every fix and
+ * raise exit alerts.
+ * @param {Array<Object>} geofences - Geofence rows
+ * @returns {Array<{geofence: Object, bbox: Array<number>}>}
+ */
+function buildEntries(geofences) {
+  const entries = [];
+
+  for (const geofence of geofences) {
+    const bbox = getGeofenceBoundingBox(geofence);
+    if (!bbox) {
+      console.warn(
+        `⚠️ Skipping geofence ${geofence.geofence_id} (${geofence.type}): unusable shape`
+      );
+      continue;
+    }
+    entries.push({ geofence, bbox });
+  }
+
+  return entries;
+}
+
+/**
+ * Test a point against one cached geofence
+ * A point more than `margin` meters outside the geofence's bounding box is
+ * reported outside without the exact check; its distance is then only a
+ * lower bound (approximate: true). Pass the largest distance the caller
+ * needs exactly, e.g. the geofence's hysteresis buffer.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} entry - Cache entry ({ geofence, bbox })
+ * @param {number} [margin=0] - Meters outside the box that still get an exact check
+ * @returns {{isInside: boolean, distance: number, approximate: boolean}}
+ */
+function evaluateGeofence(lat, lng, entry, margin = 0) {
+  if (entry.bbox) {
+    const boxDistance = distanceToBoundingBox(lat, lng, entry.bbox);
+    if (boxDistance > margin) {
+      return {
+        isInside: false,
+        distance: Number(boxDistance.toFixed(2)),
+        approximate: true,
+      };
+    }
+  }
+
+  return { ...isInsideGeofence(lat, lng, [entry.geofence]), approximate: false };
+}
+
+/**
+ * Get a device's geofences from the cache, loading them on a miss
+ * @param {Object} state - State store
+ * @param {string} deviceId - Device ID
+ * @param {Function} load - async (deviceId) => geofence rows
+ * @returns {Promise<Array<{geofence: Object, bbox: Array<number>|null}>>} Cache entries
+ */
+async function getCachedDeviceGeofences(state, deviceId, load) {
+  // Read before loading: an invalidation during the load leaves this entry stale
+  const version = (await state.get(NAMESPACES.GEOFENCE_VERSION, deviceId)) ?? null;
+  const cached = cache.get(deviceId);
+
+  if (
+    cached &&
+    cached.version === version &&
+    Date.now() - cached.loadedAt < CACHE_TTL_MS
+  ) {
+    return cached.entries;
+  }
+
+  const entries = buildEntries(await load(deviceId));
+  cache.set(deviceId, { version, loadedAt: Date.now(), entries });
+  return entries;
+}
+
+/**
+ * Drop cached geofences for devices whose assignments or geofences changed
+ * @param {Object} state - State store
+ * @param {Array<string>} deviceIds - Affected devices
+ */
+async function invalidateDeviceGeofences(state, deviceIds) {
+  for (const deviceId of new Set(deviceIds)) {
+    cache.delete(deviceId);
+    await state.set(NAMESPACES.GEOFENCE_VERSION, deviceId, crypto.randomUUID());
+  }
+}
+
+/**
+ * Empty this node's cache (other nodes are unaffected)
+ */
+function clearGeofenceCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getGeofenceBoundingBox,
+  buildEntries,
+  evaluateGeofence,
+  getCachedDeviceGeofences,
+  invalidateDeviceGeofences,
+  clearGeofenceCache,
+};
@@ -0,0 +1,316 @@
+const turf = require("@turf/turf");
+const {
+  parsePolyRect,
+  parsePolyline,
+  parseRadius,
+  toGeoJsonCoordinates,
+  fromGeoJsonCoordinates,
+} = require("./geofenceShape");
+
+/**
+ * GeoJSON conversion for geofences
+ * Polygons and rectangles are stored in poly_rect as open rings of
+ * [lat, lng] pairs (see geofenceShape); GeoJSON uses closed rings of
+ * [lng, lat]. Multipart shapes map to MultiPolygon. Circles export as a
+ * Point with a radius property (meters), or as an approximated Polygon;
+ * corridors as a LineString with a radius (half-width) property.
+ */
+
+// Largest number of features accepted in one import
+const MAX_IMPORT_FEATURES = 500;
+
+// Vertices used when approximating a circle as a polygon
+const CIRCLE_STEPS = 64;
+
+// Geofence settings carried in feature properties
+const SETTING_PROPERTIES = ["mode", "schedule", "buffer_m", "dwell_fixes", "dwell_seconds", "warning_band_m"];
+
+function parseJsonColumn(value) {
+  if (typeof value !== "string") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a geofence to a GeoJSON Feature
+ * @param {Object} geofence - Geofence with deviceIds ({ geofence_id, geofence_name, type, ... })
+ * @param {Object} [options]
+ * @param {boolean} [options.circlesAsPolygons=false] - Approximate circles as polygons
+ * @returns {Object|null} Feature, or null if the geofence has no usable shape
+ */
+function geofenceToFeature(geofence, { circlesAsPolygons = false } = {}) {
+  const type = geofence.type?.toLowerCase();
+  const properties = {
+    geofence_id: geofence.geofence_id,
+    name: geofence.geofence_name,
+    type,
+    device_ids: geofence.deviceIds || [],
+  };
+
+  for (const key of SETTING_PROPERTIES) {
+    const value = geofence[key];
+    if (value === null || value === undefined) continue;
+
+    // DECIMAL columns come back from mysql2 as strings
+    properties[key] =
+      key === "schedule"
+        ? parseJsonColumn(value)
+        : key === "mode"
+        ? value
+        : Number(value);
+  }
+
+  if (type === "circle") {
+    const center = [parseFloat(geofence.center_lng), parseFloat(geofence.center_lat)];
+    const radius = parseRadius(geofence.radius);
+    if (center.some(isNaN) || radius === null) return null;
+
+    properties.radius = radius;
+
+    if (circlesAsPolygons) {
+      const circle = turf.circle(center, radius, {
+        steps: CIRCLE_STEPS,
+        units: "meters",
+      });
+      return { type: "Feature", geometry: circle.geometry, properties };
+    }
+
+    return {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: center },
+      properties,
+    };
+  }
+
+  if (type === "corridor") {
+    const route = parsePolyline(geofence.poly_rect);
+    const radius = parseRadius(geofence.radius);
+    if (!route || radius === null) return null;
+
+    properties.radius = radius;
+
+    return {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: route.map(([lat, lng]) => [lng, lat]),
+      },
+      properties,
+    };
+  }
+
+  const polygons = parsePolyRect(geofence.poly_rect);
+  if (!polygons) return null;
+
+  const coordinates = toGeoJsonCoordinates(polygons);
+
+  return {
+    type: "Feature",
+    geometry:
+      coordinates.length === 1
+        ? { type: "Polygon", coordinates: coordinates[0] }
+        : { type: "MultiPolygon", coordinates },
+    properties,
+  };
+}
+
+/**
+ * Convert geofences to a GeoJSON FeatureCollection
+ * @param {Array<Object>} geofences - Geofences with deviceIds
+ * @param {Object} [options] - See geofenceToFeature
+ * @returns {Object} FeatureCollection
+ */
+function geofencesToFeatureCollection(geofences, options) {
+  return {
+    type: "FeatureCollection",
+    features: geofences
+      .map((geofence) => geofenceToFeature(geofence, options))
+      .filter(Boolean),
+  };
+}
+
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    typeof position[0] === "number" &&
+    typeof position[1] === "number" &&
+    position[0] >= -180 &&
+    position[0] <= 180 &&
+    position[1] >= -90 &&
+    position[1] <= 90
+  );
+}
+
+/**
+ * Validate one polygon's rings
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePolygon(rings) {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    return "Polygon needs at least one ring";
+  }
+
+  for (const ring of rings) {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+      return "Polygon ring needs at least 4 [lng, lat] positions";
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return "Polygon ring must be closed";
+    }
+  }
+
+  // Also catches holes that cross the outer ring
+  if (turf.kinks(turf.polygon(rings)).features.length > 0) {
+    return "Polygon rings must not intersect";
+  }
+
+  return null;
+}
+
+/**
+ * Convert a GeoJSON Feature into geofence request bodies
+ * Polygons (with holes) and MultiPolygons become one polygon geofence, a
+ * Point with a radius property becomes a circle, and a LineString with a
+ * radius property becomes a corridor.
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {{geofences: Array<Object>, error: string|null}} Bodies without user_id/device_ids
+ */
+function featureToGeofences(feature) {
+  if (!feature || feature.type !== "Feature" || !feature.geometry) {
+    return { geofences: [], error: "Expected a GeoJSON Feature with a geometry" };
+  }
+
+  const { geometry } = feature;
+  const properties = feature.properties || {};
+  const name = properties.name ?? properties.geofence_name ?? null;
+
+  const settings = {};
+  for (const key of SETTING_PROPERTIES) {
+    if (properties[key] !== undefined) settings[key] = properties[key];
+  }
+
+  if (geometry.type === "Point") {
+    const radius = Number(properties.radius);
+    if (!isPosition(geometry.coordinates) || !(radius > 0)) {
+      return { geofences: [], error: "Point features need a positive radius property" };
+    }
+
+    return {
+      geofences: [
+        {
+          geofence_name: name,
+          type: "circle",
+          center_lat: geometry.coordinates[1],
+          center_lng: geometry.coordinates[0],
+          radius,
+          ...settings,
+        },
+      ],
+      error: null,
+    };
+  }
+
+  if (geometry.type === "LineString") {
+    const radius = Number(properties.radius);
+    const route = geometry.coordinates;
+    if (
+      !Array.isArray(route) ||
+      route.length < 2 ||
+      !route.every(isPosition) ||
+      !(radius > 0)
+    ) {
+      return {
+        geofences: [],
+        error: "LineString features need at least 2 positions and a positive radius property",
+      };
+    }
+
+    return {
+      geofences: [
+        {
+          geofence_name: name,
+          type: "corridor",
+          poly_rect: JSON.stringify(route.map(([lng, lat]) => [lat, lng])),
+          radius,
+          ...settings,
+        },
+      ],
+      error: null,
+    };
+  }
+
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+      ? geometry.coordinates
+      : null;
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return {
+      geofences: [],
+      error: `Unsupported geometry type "${geometry.type}" (expected Polygon, MultiPolygon, Point or LineString)`,
+    };
+  }
+
+  for (const rings of polygons) {
+    const error = validatePolygon(rings);
+    if (error) return { geofences: [], error };
+  }
+
+  return {
+    geofences: [
+      {
+        geofence_name: name,
+        type:
+          properties.type === "rectangle" && polygons.length === 1
+            ? "rectangle"
+            : "polygon",
+        poly_rect: fromGeoJsonCoordinates(polygons),
+        ...settings,
+      },
+    ],
+    error: null,
+  };
+}
+
+/**
+ * Read the features of an uploaded GeoJSON document
+ * @param {Object} geojson - FeatureCollection or single Feature
+ * @returns {{features: Array<Object>, error: string|null}}
+ */
+function getImportFeatures(geojson) {
+  const features =
+    geojson?.type === "FeatureCollection"
+      ? geojson.features
+      : geojson?.type === "Feature"
+      ? [geojson]
+      : null;
+
+  if (!Array.isArray(features) || features.length === 0) {
+    return { features: [], error: "Expected a GeoJSON FeatureCollection or Feature" };
+  }
+  if (features.length > MAX_IMPORT_FEATURES) {
+    return {
+      features: [],
+      error: `Too many features (max ${MAX_IMPORT_FEATURES} per import)`,
+    };
+  }
+
+  return { features, error: null };
+}
+
+module.exports = {
+  MAX_IMPORT_FEATURES,
+  geofenceToFeature,
+  geofencesToFeatureCollection,
+  featureToGeofences,
+  getImportFeatures,
+};
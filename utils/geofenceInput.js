@@ -0,0 +1,119 @@
+const { parseSchedule, validateSchedule } = require("./geofenceSchedule");
+const { validatePolyRect, validatePolyline } = require("./geofenceShape");
+
+/**
+ * Validation of geofence create/update requests
+ * Shared by POST /api/geofences and PUT /api/geofences/:geofenceId so both
+ * accept exactly the same bodies.
+ */
+
+// Safe zones alert on exit, danger zones alert on entry
+const GEOFENCE_MODES = ["safe", "danger"];
+
+// Columns an update keeps from the stored row when the body leaves them out
+const SETTING_FIELDS = [
+  "geofence_name",
+  "mode",
+  "buffer_m",
+  "dwell_fixes",
+  "dwell_seconds",
+  "warning_band_m",
+];
+
+// Shape columns only carry over while the type stays the same
+const SHAPE_FIELDS = ["center_lat", "center_lng", "radius", "poly_rect"];
+
+/**
+ * Validate a geofence request body
+ * @param {Object} body - { user_id, device_ids, type, mode, center_lat, center_lng, radius, poly_rect, schedule, buffer_m, dwell_fixes, dwell_seconds, warning_band_m }
+ * @returns {string|null} Error message, or null if the body is valid
+ */
+function validateGeofenceInput(body) {
+  const { user_id, device_ids, type, center_lat, center_lng, radius, poly_rect } =
+    body || {};
+
+  if (
+    !user_id ||
+    !Array.isArray(device_ids) ||
+    device_ids.length === 0 ||
+    !type
+  ) {
+    return "user_id, device_ids[], and type are required";
+  }
+
+  if (
+    type === "circle" &&
+    (center_lat === undefined ||
+      center_lng === undefined ||
+      radius === undefined)
+  ) {
+    return "Missing center or radius for circle geofence";
+  }
+
+  if (type === "polygon" || type === "rectangle") {
+    if (!poly_rect) {
+      return "Missing coordinates for polygon/rectangle geofence";
+    }
+
+    const shapeError = validatePolyRect(poly_rect);
+    if (shapeError) return shapeError;
+  }
+
+  // A route (poly_rect) plus a half-width (radius)
+  if (type === "corridor") {
+    if (!poly_rect || radius === undefined) {
+      return "Missing route or radius for corridor geofence";
+    }
+    if (isNaN(Number(radius)) || Number(radius) <= 0) {
+      return "radius must be a positive number of meters for corridor geofence";
+    }
+
+    const routeError = validatePolyline(poly_rect);
+    if (routeError) return routeError;
+  }
+
+  if (body.mode !== undefined && !GEOFENCE_MODES.includes(body.mode)) {
+    return `mode must be one of ${GEOFENCE_MODES.join(", ")}`;
+  }
+
+  // Hysteresis, dwell and the warning band are optional non-negative numbers
+  for (const field of ["buffer_m", "dwell_fixes", "dwell_seconds", "warning_band_m"]) {
+    const value = body[field];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (isNaN(Number(value)) || Number(value) < 0)
+    ) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  return validateSchedule(body.schedule);
+}
+
+/**
+ * Apply a PUT body on top of a stored geofence
+ * Fields missing from the body keep their stored value; null clears a
+ * setting. Changing the type starts the shape over from the body.
+ * @param {Object} stored - geofences row plus the current device_ids
+ * @param {Object} body - Request body
+ * @returns {Object} Full geofence body, ready for validateGeofenceInput
+ */
+function mergeGeofenceUpdate(stored, body) {
+  const update = { ...body };
+  const pick = (field) => {
+    if (update[field] === undefined) update[field] = stored[field];
+  };
+
+  pick("device_ids");
+  pick("type");
+  SETTING_FIELDS.forEach(pick);
+
+  // Only an explicit null removes a schedule
+  if (update.schedule === undefined) update.schedule = parseSchedule(stored.schedule) ?? null;
+  if (update.type === stored.type) SHAPE_FIELDS.forEach(pick);
+
+  return update;
+}
+
+module.exports = { GEOFENCE_MODES, validateGeofenceInput, mergeGeofenceUpdate };
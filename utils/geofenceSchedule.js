@@ -0,0 +1,255 @@
+const notificationHelper = require("./notifications");
+const { queryWithRetry } = require("./dbRetry");
+const { NAMESPACES } = require("./stateStore");
+
+/**
+ * Weekly geofence schedules
+ * A geofence with a schedule only raises entry/exit alerts while one of its
+ * windows is active, evaluated in the owner's time zone (users.timezone):
+ *
+ *   { "windows": [ { "days": ["mon", "tue"], "start": "18:00", "end": "06:00" } ] }
+ *
+ * A window whose end is not after its start runs past midnight into the
+ * next day. A geofence without a schedule is always active.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Manila";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// How often armed/disarmed transitions are checked
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let watchTimer = null;
+
+/**
+ * Check whether a string is a usable IANA time zone
+ * @param {string} timeZone - e.g. "Asia/Manila"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+function parseSchedule(schedule) {
+  if (typeof schedule !== "string") return schedule;
+  try {
+    return JSON.parse(schedule);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Validate a geofence schedule
+ * @param {Object|null} schedule - Schedule from a request body (null/undefined = always active)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(schedule) {
+  if (schedule === null || schedule === undefined) return null;
+
+  if (
+    typeof schedule !== "object" ||
+    !Array.isArray(schedule.windows) ||
+    schedule.windows.length === 0
+  ) {
+    return "schedule.windows[] is required";
+  }
+
+  for (const window of schedule.windows) {
+    if (!window || typeof window !== "object") {
+      return "schedule windows must be objects with days, start and end";
+    }
+    if (
+      !Array.isArray(window.days) ||
+      window.days.length === 0 ||
+      !window.days.every((day) => DAYS.includes(String(day).toLowerCase()))
+    ) {
+      return `schedule window days must be from ${DAYS.join(", ")}`;
+    }
+    if (parseTime(window.start) === null || parseTime(window.end) === null) {
+      return "schedule window start and end must be HH:MM";
+    }
+  }
+
+  return null;
+}
+
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    day: DAYS.indexOf(part("weekday").toLowerCase()),
+    minutes: Number(part("hour")) * 60 + Number(part("minute")),
+  };
+}
+
+/**
+ * Check whether a schedule is active at a given time
+ * @param {Object|string|null} schedule - Schedule (null = always active)
+ * @param {string} [timeZone] - Owner's time zone
+ * @param {Date|number} [date=new Date()] - Time to check
+ * @returns {boolean}
+ */
+function isScheduleActive(schedule, timeZone, date = new Date()) {
+  const parsed = parseSchedule(schedule);
+  if (!parsed) return true;
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const { day, minutes } = getLocalTime(new Date(date), zone);
+  const yesterday = (day + 6) % 7;
+
+  return parsed.windows.some((window) => {
+    const days = window.days.map((d) => DAYS.indexOf(String(d).toLowerCase()));
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+
+    if (start < end) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Runs past midnight
+    return (
+      (days.includes(day) && minutes >= start) ||
+      (days.includes(yesterday) && minutes < end)
+    );
+  });
+}
+
+/**
+ * Check whether a geofence row is active at a given time
+ * @param {Object} geofence - Row with schedule and owner_timezone
+ * @param {Date|number} [date=new Date()] - Time to check
+ * @returns {boolean}
+ */
+function isGeofenceActive(geofence, date = new Date()) {
+  return isScheduleActive(geofence.schedule, geofence.owner_timezone, date);
+}
+
+/**
+ * Notify owners when a scheduled geofence arms or disarms
+ * The first check after a restart only records the current state.
+ * @param {Object} deps - { pool, io, state }
+ */
+async function checkScheduleTransitions({ pool, io, state }) {
+  const rows = await queryWithRetry(
+    pool,
+    `SELECT g.geofence_id, g.geofence_name, g.schedule, g.mode, ga.device_id, ga.user_id,
+            u.timezone AS owner_timezone, t.pet_name
+     FROM geofences g
+     JOIN geofence_assignment ga ON g.geofence_id = ga.geofence_id
+     LEFT JOIN users u ON u.user_id = ga.user_id
+     LEFT JOIN trackers t ON t.device_id = ga.device_id
+     WHERE g.schedule IS NOT NULL`
+  );
+
+  const now = new Date();
+
+  for (const row of rows) {
+    const armed = isGeofenceActive(row, now);
+
+    // Swapped atomically so only one node notifies a transition
+    const previous = await state.swap(
+      NAMESPACES.GEOFENCE_ARMED,
+      `${row.geofence_id}:${row.device_id}`,
+      armed
+    );
+    if (previous === undefined || previous === armed) continue;
+
+    const geofenceName = row.geofence_name || row.geofence_id;
+    const petName = row.pet_name || "your pet";
+    console.log(`🛡️ Geofence "${geofenceName}" is now ${armed ? "ARMED" : "DISARMED"} for ${row.device_id}`);
+
+    if (!armed) {
+      await notificationHelper.createNotification(
+        io,
+        row.user_id,
+        row.device_id,
+        `💤 The "${geofenceName}" geofence is now DISARMED for ${petName} until its next scheduled window`,
+        "normal"
+      );
+      continue;
+    }
+
+    // Transitions while disarmed raised no alert, so flag a pet that is
+    // already on the wrong side (outside a safe zone, inside a danger zone)
+    const insideIds = await state.get(NAMESPACES.GEOFENCE_STATE, row.device_id);
+    const isDanger = row.mode === "danger";
+    const isUnsafe =
+      Array.isArray(insideIds) &&
+      insideIds.includes(row.geofence_id) === isDanger;
+
+    await notificationHelper.createNotification(
+      io,
+      row.user_id,
+      row.device_id,
+      isUnsafe
+        ? `⚠️ The "${geofenceName}" geofence is now ARMED, but ${petName} is currently ${isDanger ? "inside" : "outside"} it!`
+        : `🛡️ The "${geofenceName}" geofence is now ARMED for ${petName}`,
+      isUnsafe ? "alert" : "normal"
+    );
+  }
+}
+
+/**
+ * Check armed/disarmed transitions every minute
+ * @param {Object} deps - { pool, io, state }
+ */
+function startGeofenceScheduleWatcher(deps) {
+  if (watchTimer) return;
+
+  watchTimer = setInterval(async () => {
+    try {
+      await checkScheduleTransitions(deps);
+    } catch (error) {
+      console.error("❌ Error checking geofence schedules:", error.message);
+    }
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the schedule watcher (for server shutdown)
+ */
+function stopGeofenceScheduleWatcher() {
+  if (watchTimer) {
+    clearInterval(watchTimer);
+    watchTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseSchedule,
+  validateSchedule,
+  isScheduleActive,
+  isGeofenceActive,
+  checkScheduleTransitions,
+  startGeofenceScheduleWatcher,
+  stopGeofenceScheduleWatcher,
+};
@@ -0,0 +1,174 @@
+/**
+ * Polygon geofence shapes stored in poly_rect
+ * Rings are open lists of [lat, lng] pairs (the closing point is implied).
+ * Three layouts are accepted, so existing rows keep working:
+ *
+ *   [[lat, lng], ...]                       one ring (the original format)
+ *   [outerRing, holeRing, ...]              a polygon with holes
+ *   [[outerRing, holeRing, ...], ...]       several polygons (multipart)
+ *
+ * A point is inside when it is inside any part and not inside that part's
+ * holes.
+ *
+ * Corridor geofences store their route in poly_rect as an open polyline of
+ * [lat, lng] points, with radius as the half-width in meters (a 30 m radius
+ * allows 30 m either side of the route).
+ */
+
+function isLatLng(point) {
+  return (
+    Array.isArray(point) &&
+    point.length >= 2 &&
+    typeof point[0] === "number" &&
+    typeof point[1] === "number" &&
+    point[0] >= -90 &&
+    point[0] <= 90 &&
+    point[1] >= -180 &&
+    point[1] <= 180
+  );
+}
+
+function isRing(ring) {
+  return Array.isArray(ring) && ring.length >= 3 && ring.every(isLatLng);
+}
+
+// Nesting depth of the first element: 2 = ring, 3 = polygon, 4 = multipolygon
+function getDepth(value) {
+  let depth = 0;
+  while (Array.isArray(value)) {
+    depth++;
+    value = value[0];
+  }
+  return depth;
+}
+
+/**
+ * Parse poly_rect into a list of polygons
+ * @param {string|Array} value - poly_rect column or request value
+ * @returns {Array<Array<Array<[number, number]>>>|null} Polygons as [outer, ...holes] rings, or null if invalid
+ */
+function parsePolyRect(value) {
+  let coords = value;
+  if (typeof value === "string") {
+    try {
+      coords = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(coords) || coords.length === 0) return null;
+
+  const depth = getDepth(coords);
+  const polygons =
+    depth === 2 ? [[coords]] : depth === 3 ? [coords] : depth === 4 ? coords : null;
+
+  if (
+    !polygons ||
+    !polygons.every(
+      (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing)
+    )
+  ) {
+    return null;
+  }
+
+  return polygons;
+}
+
+/**
+ * Validate a poly_rect value from a request body
+ * @param {string|Array} value - poly_rect
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePolyRect(value) {
+  if (parsePolyRect(value) === null) {
+    return "poly_rect must be a ring of at least 3 [lat, lng] points, a list of rings (outer ring then holes), or a list of such polygons";
+  }
+  return null;
+}
+
+/**
+ * Parse a corridor's poly_rect into a polyline
+ * @param {string|Array} value - poly_rect column or request value
+ * @returns {Array<[number, number]>|null} [lat, lng] points, or null if invalid
+ */
+function parsePolyline(value) {
+  let coords = value;
+  if (typeof value === "string") {
+    try {
+      coords = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(coords) || coords.length < 2 || !coords.every(isLatLng)) {
+    return null;
+  }
+  return coords;
+}
+
+/**
+ * Validate a corridor's route from a request body
+ * @param {string|Array} value - poly_rect
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePolyline(value) {
+  if (parsePolyline(value) === null) {
+    return "poly_rect must be a route of at least 2 [lat, lng] points for a corridor geofence";
+  }
+  return null;
+}
+
+/**
+ * Read a circle's or corridor's radius
+ * NULL and "" are not radius 0: such a geofence cannot be tested at all.
+ * @param {number|string|null} value - radius column or request value
+ * @returns {number|null} Meters, or null unless a positive number
+ */
+function parseRadius(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const radius = Number(value);
+  return Number.isFinite(radius) && radius > 0 ? radius : null;
+}
+
+/**
+ * Convert parsed polygons to GeoJSON MultiPolygon coordinates
+ * @param {Array} polygons - From parsePolyRect()
+ * @returns {Array} Closed [lng, lat] rings per polygon
+ */
+function toGeoJsonCoordinates(polygons) {
+  return polygons.map((rings) =>
+    rings.map((ring) => {
+      const closed = ring.map(([lat, lng]) => [lng, lat]);
+      closed.push(closed[0]);
+      return closed;
+    })
+  );
+}
+
+/**
+ * Build a poly_rect value from GeoJSON MultiPolygon coordinates
+ * A single ring is stored in the original flat format.
+ * @param {Array} coordinates - Closed [lng, lat] rings per polygon
+ * @returns {string} poly_rect JSON
+ */
+function fromGeoJsonCoordinates(coordinates) {
+  const polygons = coordinates.map((rings) =>
+    rings.map((ring) => ring.slice(0, -1).map(([lng, lat]) => [lat, lng]))
+  );
+
+  if (polygons.length > 1) return JSON.stringify(polygons);
+  if (polygons[0].length > 1) return JSON.stringify(polygons[0]);
+  return JSON.stringify(polygons[0][0]);
+}
+
+module.exports = {
+  parsePolyRect,
+  validatePolyRect,
+  parsePolyline,
+  validatePolyline,
+  parseRadius,
+  toGeoJsonCoordinates,
+  fromGeoJsonCoordinates,
+};
@@ -0,0 +1,97 @@
+const turf = require("@turf/turf");
+const isInsideGeofence = require("./isInsideGeofence");
+const {
+  parsePolyRect,
+  parsePolyline,
+  parseRadius,
+  toGeoJsonCoordinates,
+} = require("./geofenceShape");
+
+/**
+ * Early warning before a pet leaves a geofence
+ * A geofence with warning_band_m set warns its owners when the pet, still
+ * inside, comes within that many meters of the edge while moving towards it
+ * (its distance to the edge shrank since the previous fix).
+ */
+
+// Smallest move towards the edge that counts, so GPS jitter does not warn
+const MIN_APPROACH_M = 2;
+
+/**
+ * Distance from a point inside a geofence to its edge
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} geofence - Geofence row
+ * @returns {number|null} Meters to the nearest edge, or null if the shape is unusable
+ */
+function getDistanceToEdge(lat, lng, geofence) {
+  const type = geofence.type?.toLowerCase();
+  const point = turf.point([lng, lat]);
+  const radius = parseRadius(geofence.radius);
+
+  if (type === "circle") {
+    const center = [parseFloat(geofence.center_lng), parseFloat(geofence.center_lat)];
+    if (center.some(isNaN) || radius === null) return null;
+    return Math.max(radius - turf.distance(center, point, { units: "meters" }), 0);
+  }
+
+  if (type === "corridor") {
+    const route = parsePolyline(geofence.poly_rect);
+    if (!route || radius === null) return null;
+
+    const line = turf.lineString(route.map(([routeLat, routeLng]) => [routeLng, routeLat]));
+    return Math.max(
+      radius - turf.pointToLineDistance(point, line, { units: "meters" }),
+      0
+    );
+  }
+
+  if (type === "polygon" || type === "rectangle") {
+    const polygons = parsePolyRect(geofence.poly_rect);
+    if (!polygons) return null;
+
+    // Holes are edges too
+    return Math.min(
+      ...toGeoJsonCoordinates(polygons)
+        .flat()
+        .map((ring) =>
+          turf.pointToLineDistance(point, turf.lineString(ring), { units: "meters" })
+        )
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a pet inside a geofence is closing in on its edge
+ * @param {Object} geofence - Geofence row with warning_band_m
+ * @param {{lat: number, lng: number}|null} previous - Previous fix
+ * @param {{lat: number, lng: number}} current - Current fix (inside the geofence)
+ * @returns {{inBand: boolean, approaching: boolean, distance: number|null}}
+ */
+function checkEdgeApproach(geofence, previous, current) {
+  const band = Number(geofence.warning_band_m) || 0;
+  const distance = getDistanceToEdge(current.lat, current.lng, geofence);
+
+  if (band <= 0 || distance === null || distance > band) {
+    return { inBand: false, approaching: false, distance };
+  }
+
+  // Coming in from outside is not moving towards the edge
+  if (
+    previous?.lat === undefined ||
+    previous?.lng === undefined ||
+    !isInsideGeofence(previous.lat, previous.lng, [geofence]).isInside
+  ) {
+    return { inBand: true, approaching: false, distance };
+  }
+
+  const previousDistance = getDistanceToEdge(previous.lat, previous.lng, geofence);
+  const approaching =
+    previousDistance !== null && previousDistance - distance >= MIN_APPROACH_M;
+
+  return { inBand: true, approaching, distance };
+}
+
+module.exports = { MIN_APPROACH_M, getDistanceToEdge, checkEdgeApproach };
@@ -0,0 +1,144 @@
+const turf = require("@turf/turf");
+
+/**
+ * GPS fix quality checks
+ * A fix is refused when the receiver reports poor quality (accuracy, HDOP,
+ * satellites) or when reaching it from the previous accepted fix would need
+ * a speed no pet of that type can run.
+ */
+
+// Worst accepted horizontal accuracy in meters
+const MAX_ACCURACY_M = parseFloat(process.env.GPS_MAX_ACCURACY_M) || 100;
+
+// Worst accepted horizontal dilution of precision
+const MAX_HDOP = parseFloat(process.env.GPS_MAX_HDOP) || 5;
+
+// Fewest satellites for a usable fix
+const MIN_SATELLITES = parseInt(process.env.GPS_MIN_SATELLITES) || 4;
+
+// Top plausible speed per pet type in km/h (default for anything else)
+const MAX_SPEED_KMH = {
+  dog: 50,
+  cat: 50,
+  default: 60,
+};
+
+/**
+ * Check whether a payload carries a position at all
+ * Battery-only packets and heartbeats have none.
+ * @param {Object} data - Telemetry payload
+ * @returns {boolean} Whether lat and lng are both finite numbers
+ */
+function hasPosition(data) {
+  const present = (value) => value !== undefined && value !== null && value !== "";
+  return (
+    present(data.lat) &&
+    present(data.lng) &&
+    Number.isFinite(Number(data.lat)) &&
+    Number.isFinite(Number(data.lng))
+  );
+}
+
+/**
+ * Read the optional quality fields from a payload as numbers
+ * @param {Object} data - Telemetry payload
+ * @returns {{accuracy: number|null, hdop: number|null, satellites: number|null, speed: number|null}}
+ */
+function getQualityFields(data) {
+  const toNumber = (value) =>
+    value === undefined || value === null || value === "" || isNaN(Number(value))
+      ? null
+      : Number(value);
+
+  return {
+    accuracy: toNumber(data.accuracy),
+    hdop: toNumber(data.hdop),
+    satellites: toNumber(data.satellites),
+    speed: toNumber(data.speed),
+  };
+}
+
+/**
+ * Get the speed limit for a pet type
+ * @param {string} [petType] - trackers.pet_type
+ * @returns {number} Limit in km/h
+ */
+function getMaxSpeedKmh(petType) {
+  return MAX_SPEED_KMH[petType?.toLowerCase?.()] || MAX_SPEED_KMH.default;
+}
+
+/**
+ * Speed needed to travel between two fixes
+ * @param {{lat: number, lng: number, fixTime: number}} from - Earlier fix
+ * @param {{lat: number, lng: number, fixTime: number}} to - Later fix
+ * @returns {number} Speed in km/h
+ */
+function impliedSpeedKmh(from, to) {
+  const km = turf.distance(
+    turf.point([Number(from.lng), Number(from.lat)]),
+    turf.point([Number(to.lng), Number(to.lat)]),
+    { units: "kilometers" }
+  );
+  // Treat near-simultaneous fixes as one second apart
+  const hours = Math.max(to.fixTime - from.fixTime, 1000) / 3600000;
+  return km / hours;
+}
+
+/**
+ * Check the receiver-reported quality of a fix
+ * @param {Object} fix - { accuracy, hdop, satellites } (null when not reported)
+ * @returns {string|null} Rejection reason or null if the fix is usable
+ */
+function checkReceiverQuality(fix) {
+  if (fix.accuracy !== null && fix.accuracy > MAX_ACCURACY_M) {
+    return "poor_accuracy";
+  }
+  if (fix.hdop !== null && fix.hdop > MAX_HDOP) {
+    return "poor_hdop";
+  }
+  if (fix.satellites !== null && fix.satellites < MIN_SATELLITES) {
+    return "too_few_satellites";
+  }
+  return null;
+}
+
+/**
+ * Check a fix's reported speed and the speed implied by the previous fix
+ * @param {Object} fix - { lat, lng, fixTime, speed } (speed in m/s, null when not reported)
+ * @param {Object|null} prevFix - Previous accepted fix ({ lat, lng, fixTime }) or null
+ * @param {string} [petType] - trackers.pet_type
+ * @returns {string|null} Rejection reason or null if the fix is plausible
+ */
+function checkSpeed(fix, prevFix, petType) {
+  const maxSpeed = getMaxSpeedKmh(petType);
+
+  if (fix.speed !== null && fix.speed * 3.6 > maxSpeed) {
+    return "impossible_speed";
+  }
+
+  if (
+    prevFix &&
+    prevFix.lat !== undefined &&
+    prevFix.lng !== undefined &&
+    prevFix.fixTime !== undefined &&
+    fix.fixTime >= prevFix.fixTime &&
+    impliedSpeedKmh(prevFix, fix) > maxSpeed
+  ) {
+    return "impossible_jump";
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_ACCURACY_M,
+  MAX_HDOP,
+  MIN_SATELLITES,
+  MAX_SPEED_KMH,
+  hasPosition,
+  getQualityFields,
+  getMaxSpeedKmh,
+  impliedSpeedKmh,
+  checkReceiverQuality,
+  checkSpeed,
+};
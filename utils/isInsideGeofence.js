@@ -1,4 +1,15 @@
 const turf = require("@turf/turf");
+const {
+  parsePolyRect,
+  parsePolyline,
+  parseRadius,
+  toGeoJsonCoordinates,
+} = require("./geofenceShape");
+
+// Number() turns null and "" into 0, so they are ruled out first
+function isCoordinate(value) {
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value));
+}
 
 function isInsideGeofence(deviceLat, deviceLng, geofences) {
   const point = turf.point([deviceLng, deviceLat]);
@@ -10,9 +21,9 @@ function isInsideGeofence(deviceLat, deviceLng, geofences) {
 
     if (
       type === "circle" &&
-      !isNaN(fence.center_lat) &&
-      !isNaN(fence.center_lng) &&
-      !isNaN(fence.radius)
+      isCoordinate(fence.center_lat) &&
+      isCoordinate(fence.center_lng) &&
+      parseRadius(fence.radius) !== null
     ) {
       const center = turf.point([
         Number(fence.center_lng),
@@ -32,27 +43,46 @@ function isInsideGeofence(deviceLat, deviceLng, geofences) {
       }
     }
 
+    if (type === "corridor" && fence.poly_rect && parseRadius(fence.radius) !== null) {
+      const route = parsePolyline(fence.poly_rect);
+      if (!route) continue;
+
+      const line = turf.lineString(route.map(([lat, lng]) => [lng, lat]));
+      const halfWidth = Number(fence.radius);
+      const distanceToRoute = turf.pointToLineDistance(point, line, {
+        units: "meters",
+      });
+
+      if (distanceToRoute <= halfWidth) {
+        isInsideAny = true;
+        break;
+      } else {
+        const diff = distanceToRoute - halfWidth;
+        if (diff < minDistance) minDistance = diff;
+      }
+    }
+
     if ((type === "polygon" || type === "rectangle") && fence.poly_rect) {
       try {
-        const coords = JSON.parse(fence.poly_rect);
-        if (!Array.isArray(coords) || coords.length < 3) continue;
-
-        const geoJsonCoords = coords.map(([lat, lng]) => [lng, lat]);
-        geoJsonCoords.push(geoJsonCoords[0]);
+        const polygons = parsePolyRect(fence.poly_rect);
+        if (!polygons) continue;
 
-        const polygon = turf.polygon([geoJsonCoords]);
+        const coordinates = toGeoJsonCoordinates(polygons);
 
-        if (turf.booleanPointInPolygon(point, polygon)) {
+        // Handles holes and multipart shapes
+        if (turf.booleanPointInPolygon(point, turf.multiPolygon(coordinates))) {
           isInsideAny = true;
           break;
         }
 
-        const line = turf.lineString(geoJsonCoords);
-        const distance = turf.pointToLineDistance(point, line, {
-          units: "meters",
-        });
+        // Outside (or in a hole): distance to the nearest boundary ring
+        for (const ring of coordinates.flat()) {
+          const distance = turf.pointToLineDistance(point, turf.lineString(ring), {
+            units: "meters",
+          });
 
-        if (distance < minDistance) minDistance = distance;
+          if (distance < minDistance) minDistance = distance;
+        }
       } catch (err) {
         console.warn("⚠️ Invalid polygon for geofence:", err.message);
       }
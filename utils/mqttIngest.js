@@ -0,0 +1,173 @@
+const mqtt = require("mqtt");
+const deviceAuth = require("./deviceAuth");
+
+/**
+ * MQTT telemetry ingestion
+ * Subscribes to <MQTT_TOPIC_PREFIX>/<deviceId>/telemetry and hands every
+ * authenticated message to the same handler used by POST /data.
+ * Device credentials travel as MQTT 5 user properties named like the HTTP
+ * headers (x-device-signature, x-device-timestamp, x-device-token).
+ * With several server instances, set MQTT_SHARED_GROUP so the broker hands
+ * each message to only one of them (MQTT 5 shared subscription).
+ */
+
+let client = null;
+
+/**
+ * Extract the device ID from a telemetry topic
+ * @param {string} prefix - Topic prefix (e.g. "pets")
+ * @param {string} topic - Full topic the message arrived on
+ * @returns {string|null} Device ID or null if the topic does not match
+ */
+function parseTelemetryTopic(prefix, topic) {
+  const parts = topic.split("/");
+  const prefixParts = prefix.split("/");
+
+  if (parts.length !== prefixParts.length + 2) return null;
+  if (prefixParts.some((part, i) => parts[i] !== part)) return null;
+  if (parts[parts.length - 1] !== "telemetry") return null;
+
+  return parts[prefixParts.length] || null;
+}
+
+function getUserProperty(packet, name) {
+  const props = packet?.properties?.userProperties || {};
+  const value = props[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Handle one MQTT message
+ * @param {string} prefix - Topic prefix
+ * @param {string} topic - Message topic
+ * @param {Buffer} message - Raw payload
+ * @param {Object} packet - MQTT publish packet
+ * @param {Function} onTelemetry - async (data) => void
+ */
+async function handleMessage(prefix, topic, message, packet, onTelemetry) {
+  const deviceId = parseTelemetryTopic(prefix, topic);
+  if (!deviceId) {
+    console.warn(`⚠️ Ignoring MQTT message on unexpected topic ${topic}`);
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(message.toString());
+  } catch {
+    console.log(`⚠️ Received invalid JSON over MQTT from ${deviceId}`);
+    return;
+  }
+
+  if (!data || typeof data !== "object") {
+    console.log(`⚠️ Received invalid or empty JSON over MQTT from ${deviceId}`);
+    return;
+  }
+
+  if (data.deviceId && data.deviceId !== deviceId) {
+    await deviceAuth.logRejectedPacket(deviceId, "topic_mismatch", "mqtt");
+    return;
+  }
+  data.deviceId = deviceId;
+
+  const result = await deviceAuth.verifyDevicePacket({
+    deviceId,
+    rawBody: message,
+    signature: getUserProperty(packet, "x-device-signature"),
+    timestamp: getUserProperty(packet, "x-device-timestamp"),
+    token: getUserProperty(packet, "x-device-token"),
+  });
+
+  if (!result.ok) {
+    await deviceAuth.logRejectedPacket(deviceId, result.reason, "mqtt");
+    return;
+  }
+
+  await onTelemetry(data);
+}
+
+/**
+ * Connect to the broker and start consuming telemetry
+ * Does nothing when MQTT_URL is not configured.
+ * @param {Object} options
+ * @param {Function} options.onTelemetry - async (data) => void, same as /data
+ * @param {string} [options.url] - Broker URL (defaults to MQTT_URL)
+ * @param {string} [options.topicPrefix] - Topic prefix (defaults to MQTT_TOPIC_PREFIX or "pets")
+ * @returns {Object|null} The MQTT client or null if disabled
+ */
+function startMqttIngest({
+  onTelemetry,
+  url = process.env.MQTT_URL,
+  topicPrefix = process.env.MQTT_TOPIC_PREFIX || "pets",
+}) {
+  if (!url) {
+    console.log("ℹ️ MQTT_URL not set, MQTT ingestion disabled");
+    return null;
+  }
+
+  const sharedGroup = process.env.MQTT_SHARED_GROUP;
+  const subscription = sharedGroup
+    ? `$share/${sharedGroup}/${topicPrefix}/+/telemetry`
+    : `${topicPrefix}/+/telemetry`;
+
+  client = mqtt.connect(url, {
+    clientId:
+      process.env.MQTT_CLIENT_ID ||
+      `pet-tracker-server-${Math.random().toString(16).slice(2, 10)}`,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    protocolVersion: 5,
+    reconnectPeriod: 5000,
+  });
+
+  client.on("connect", () => {
+    console.log(`✅ Connected to MQTT broker ${url}`);
+    client.subscribe(subscription, { qos: 1 }, (err) => {
+      if (err) {
+        console.error(`❌ Failed to subscribe to ${subscription}:`, err.message);
+      } else {
+        console.log(`📡 Subscribed to MQTT topic ${subscription}`);
+      }
+    });
+  });
+
+  client.on("message", async (topic, message, packet) => {
+    try {
+      await handleMessage(topicPrefix, topic, message, packet, onTelemetry);
+    } catch (err) {
+      console.error(`❌ Error handling MQTT message on ${topic}:`, {
+        message: err.message,
+        code: err.code || "unknown",
+      });
+    }
+  });
+
+  client.on("error", (err) => {
+    console.error("❌ MQTT client error:", err.message);
+  });
+
+  client.on("offline", () => {
+    console.warn("⚠️ MQTT client offline, will retry");
+  });
+
+  return client;
+}
+
+/**
+ * Disconnect from the broker (for server shutdown)
+ * @returns {Promise<void>}
+ */
+function stopMqttIngest() {
+  if (!client) return Promise.resolve();
+
+  const closing = client;
+  client = null;
+  return new Promise((resolve) => closing.end(false, {}, () => resolve()));
+}
+
+module.exports = {
+  parseTelemetryTopic,
+  handleMessage,
+  startMqttIngest,
+  stopMqttIngest,
+};
@@ -0,0 +1,48 @@
+/**
+ * Socket.IO adapter for running several server instances
+ * With STATE_STORE=redis, rooms, io.to(userId).emit() and io.fetchSockets()
+ * span every node through Redis pub/sub; otherwise Socket.IO keeps its
+ * default in-process adapter.
+ */
+
+let clients = [];
+
+/**
+ * Attach the Redis adapter to a Socket.IO server when STATE_STORE=redis
+ * @param {Object} io - Socket.IO server
+ * @returns {boolean} Whether the Redis adapter was attached
+ */
+function attachSocketAdapter(io) {
+  if (process.env.STATE_STORE !== "redis") return false;
+
+  const { createClient } = require("redis");
+  const { createAdapter } = require("@socket.io/redis-adapter");
+
+  const pubClient = createClient({ url: process.env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  clients = [pubClient, subClient];
+
+  for (const client of clients) {
+    client.on("error", (err) => console.error("❌ Socket.IO Redis adapter error:", err.message));
+    client
+      .connect()
+      .catch((err) => console.error("❌ Error connecting Socket.IO Redis adapter:", err.message));
+  }
+
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log("📡 Socket.IO Redis adapter attached");
+  return true;
+}
+
+/**
+ * Close the adapter's Redis connections
+ */
+async function closeSocketAdapter() {
+  await Promise.all(clients.map((client) => client.quit().catch(() => {})));
+  clients = [];
+}
+
+module.exports = {
+  attachSocketAdapter,
+  closeSocketAdapter,
+};
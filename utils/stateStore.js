@@ -0,0 +1,233 @@
+/**
+ * Shared state store for live device state
+ * Everything a node needs to agree on with other nodes (live positions,
+ * online status, geofence and nearby-pet state, pending trail batches) goes
+ * through this interface instead of module-level objects, so several server
+ * instances can run behind a load balancer.
+ *
+ * Values are JSON: a value read from the store is a copy, and changes only
+ * take effect once written back.
+ *
+ * Store interface (all methods async):
+ *   get(namespace, key)          -> value | undefined
+ *   set(namespace, key, value)
+ *   update(namespace, key, patch) -> merged value | undefined (no-op if missing)
+ *   delete(namespace, key)
+ *   getAll(namespace)            -> { key: value }
+ *   swap(namespace, key, value)  -> previous value | undefined (atomic)
+ *   push(namespace, key, item)   -> list length
+ *   take(namespace, key)         -> items[] (atomic read and clear)
+ *   lists(namespace)             -> { key: items[] } (read only)
+ *   close()
+ */
+
+// Namespaces used by the server
+const NAMESPACES = {
+  LATEST_DEVICES: "latestDevices",
+  DEVICE_STATUS: "deviceStatus",
+  GEOFENCE_STATE: "lastGeofenceState",
+  GEOFENCE_PENDING: "geofencePending",
+  GEOFENCE_WARNED: "geofenceWarned",
+  GEOFENCE_ARMED: "geofenceArmed",
+  GEOFENCE_VERSION: "geofenceVersion",
+  NEARBY_PETS_STATE: "lastNearbyPetsState",
+  NEARBY_PETS_INTERACTIONS: "nearbyPetsInteractions",
+  TRAIL_BATCHES: "trailBatches",
+};
+
+const copy = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Create a state store kept in this process (single node, and tests)
+ * @returns {Object} State store
+ */
+function createMemoryStateStore() {
+  const values = new Map();
+  const listValues = new Map();
+
+  const namespace = (map, name) => {
+    if (!map.has(name)) map.set(name, new Map());
+    return map.get(name);
+  };
+
+  return {
+    async get(ns, key) {
+      return copy(namespace(values, ns).get(key));
+    },
+
+    async set(ns, key, value) {
+      namespace(values, ns).set(key, copy(value));
+    },
+
+    async update(ns, key, patch) {
+      const current = namespace(values, ns).get(key);
+      if (current === undefined) return undefined;
+
+      const merged = { ...current, ...copy(patch) };
+      namespace(values, ns).set(key, merged);
+      return copy(merged);
+    },
+
+    async delete(ns, key) {
+      namespace(values, ns).delete(key);
+    },
+
+    async getAll(ns) {
+      return copy(Object.fromEntries(namespace(values, ns)));
+    },
+
+    async swap(ns, key, value) {
+      const previous = namespace(values, ns).get(key);
+      namespace(values, ns).set(key, copy(value));
+      return copy(previous);
+    },
+
+    async push(ns, key, item) {
+      const lists = namespace(listValues, ns);
+      if (!lists.has(key)) lists.set(key, []);
+      lists.get(key).push(copy(item));
+      return lists.get(key).length;
+    },
+
+    async take(ns, key) {
+      const lists = namespace(listValues, ns);
+      const items = lists.get(key) || [];
+      lists.delete(key);
+      return items;
+    },
+
+    async lists(ns) {
+      return copy(Object.fromEntries(namespace(listValues, ns)));
+    },
+
+    async close() {},
+  };
+}
+
+// Set a hash field and return its previous value in one step
+const SWAP_SCRIPT = `
+local previous = redis.call('HGET', KEYS[1], ARGV[1])
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return previous`;
+
+/**
+ * Create a state store on a Redis-compatible server
+ * Each namespace is a hash of JSON values; each list is a Redis list with a
+ * set of its keys per namespace.
+ * @param {Object} client - node-redis (v4) client, connect() already called
+ * @param {Object} [options]
+ * @param {string} [options.prefix="pettracker:"] - Key prefix
+ * @returns {Object} State store
+ */
+function createRedisStateStore(client, { prefix = "pettracker:" } = {}) {
+  const hashKey = (ns) => `${prefix}${ns}`;
+  const listKey = (ns, key) => `${prefix}${ns}:${key}`;
+  const listIndexKey = (ns) => `${prefix}${ns}:keys`;
+  const parse = (raw) => (raw === null || raw === undefined ? undefined : JSON.parse(raw));
+
+  const store = {
+    async get(ns, key) {
+      return parse(await client.hGet(hashKey(ns), key));
+    },
+
+    async set(ns, key, value) {
+      await client.hSet(hashKey(ns), key, JSON.stringify(value));
+    },
+
+    // Not atomic: concurrent updates of the same key keep the last write
+    async update(ns, key, patch) {
+      const current = await store.get(ns, key);
+      if (current === undefined) return undefined;
+
+      const merged = { ...current, ...patch };
+      await store.set(ns, key, merged);
+      return merged;
+    },
+
+    async delete(ns, key) {
+      await client.hDel(hashKey(ns), key);
+    },
+
+    async getAll(ns) {
+      const raw = await client.hGetAll(hashKey(ns));
+      return Object.fromEntries(
+        Object.entries(raw).map(([key, value]) => [key, parse(value)])
+      );
+    },
+
+    async swap(ns, key, value) {
+      const previous = await client.eval(SWAP_SCRIPT, {
+        keys: [hashKey(ns)],
+        arguments: [key, JSON.stringify(value)],
+      });
+      return parse(previous);
+    },
+
+    async push(ns, key, item) {
+      const [length] = await client
+        .multi()
+        .rPush(listKey(ns, key), JSON.stringify(item))
+        .sAdd(listIndexKey(ns), key)
+        .exec();
+      return length;
+    },
+
+    async take(ns, key) {
+      const [items] = await client
+        .multi()
+        .lRange(listKey(ns, key), 0, -1)
+        .del(listKey(ns, key))
+        .sRem(listIndexKey(ns), key)
+        .exec();
+      return items.map(parse);
+    },
+
+    async lists(ns) {
+      const keys = await client.sMembers(listIndexKey(ns));
+      const result = {};
+      for (const key of keys) {
+        const items = await client.lRange(listKey(ns, key), 0, -1);
+        if (items.length > 0) result[key] = items.map(parse);
+      }
+      return result;
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+
+  return store;
+}
+
+/**
+ * Create the store selected by STATE_STORE ("memory" or "redis")
+ * The Redis store connects to REDIS_URL in the background; commands issued
+ * before the connection is ready are queued by the client.
+ * @returns {Object} State store
+ */
+function createStateStore() {
+  if (process.env.STATE_STORE !== "redis") {
+    console.log("🧠 Using in-memory state store");
+    return createMemoryStateStore();
+  }
+
+  const { createClient } = require("redis");
+  const client = createClient({ url: process.env.REDIS_URL });
+  client.on("error", (err) => console.error("❌ Redis state store error:", err.message));
+  client
+    .connect()
+    .then(() => console.log("✅ Connected to Redis state store"))
+    .catch((err) => console.error("❌ Error connecting to Redis state store:", err.message));
+
+  console.log("🧠 Using Redis state store");
+  return createRedisStateStore(client, { prefix: process.env.REDIS_PREFIX });
+}
+
+module.exports = {
+  NAMESPACES,
+  createMemoryStateStore,
+  createRedisStateStore,
+  createStateStore,
+};
@@ -0,0 +1,146 @@
+const { pointsToTracks } = require("./trailPoints");
+
+/**
+ * Trail history export
+ * Turns trail points into GPX, KML or GeoJSON so walks can be opened in
+ * other mapping apps, with one track per continuous part of the trail.
+ */
+
+const TRAIL_EXPORT_FORMATS = {
+  gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+  geojson: { contentType: "application/geo+json", extension: "geojson" },
+};
+
+// Line style for KML (aabbggrr)
+const KML_LINE_COLOR = "ff2f6fe0";
+const KML_LINE_WIDTH = 4;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * GPX 1.1 document with one <trk> and a <trkseg> per track
+ * @param {Array<Array<Object>>} tracks - From pointsToTracks()
+ * @param {Object} meta - { name, deviceId }
+ * @returns {string}
+ */
+function toGpx(tracks, { name, deviceId }) {
+  const segments = tracks
+    .map((track) => {
+      const points = track
+        .map(
+          (point) =>
+            `      <trkpt lat="${point.lat}" lon="${point.lng}">${
+              point.time ? `<time>${point.time}</time>` : ""
+            }</trkpt>`
+        )
+        .join("\n");
+      return `    <trkseg>\n${points}\n    </trkseg>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="pet-tracker-server" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+  </metadata>
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <src>${escapeXml(deviceId)}</src>
+${segments}
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * KML document with a styled LineString placemark per track
+ * @param {Array<Array<Object>>} tracks - From pointsToTracks()
+ * @param {Object} meta - { name, deviceId }
+ * @returns {string}
+ */
+function toKml(tracks, { name, deviceId }) {
+  const placemarks = tracks
+    .map((track, index) => {
+      const coordinates = track.map((point) => `${point.lng},${point.lat}`).join(" ");
+      const times = track.map((point) => point.time).filter(Boolean);
+      const timeSpan =
+        times.length > 0
+          ? `\n      <TimeSpan><begin>${times[0]}</begin><end>${times[times.length - 1]}</end></TimeSpan>`
+          : "";
+
+      return `    <Placemark>
+      <name>${escapeXml(`${name} (${index + 1})`)}</name>${timeSpan}
+      <styleUrl>#trail</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${escapeXml(`Trail history for ${deviceId}`)}</description>
+    <Style id="trail">
+      <LineStyle>
+        <color>${KML_LINE_COLOR}</color>
+        <width>${KML_LINE_WIDTH}</width>
+      </LineStyle>
+    </Style>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * GeoJSON FeatureCollection with a LineString per track
+ * Point times are in properties.coordTimes.
+ * @param {Array<Array<Object>>} tracks - From pointsToTracks()
+ * @param {Object} meta - { name, deviceId }
+ * @returns {string}
+ */
+function toGeoJson(tracks, { name, deviceId }) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: tracks.map((track) => ({
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: track.map((point) => [point.lng, point.lat]),
+      },
+      properties: {
+        name,
+        device_id: deviceId,
+        coordTimes: track.map((point) => point.time),
+      },
+    })),
+  });
+}
+
+const RENDERERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+/**
+ * Render trail points in an export format
+ * @param {string} format - gpx, kml or geojson
+ * @param {Array<Object>} points - trail_points rows (oldest first)
+ * @param {Object} meta - { name, deviceId }
+ * @returns {{body: string, trackCount: number}}
+ */
+function exportTrail(format, points, meta) {
+  const tracks = pointsToTracks(points);
+  return { body: RENDERERS[format](tracks, meta), trackCount: tracks.length };
+}
+
+module.exports = { TRAIL_EXPORT_FORMATS, exportTrail };
@@ -0,0 +1,129 @@
+/**
+ * Point-based trail history (trail_points)
+ * Each row is one fix in device-time order. Consecutive points of a tracker
+ * are joined into the trail, except where a point has starts_track set (the
+ * first fix ever, or the first fix after a break in an imported trail).
+ */
+
+// Accepted range of each optional column; anything else is stored as NULL,
+// since one value the column cannot hold fails the whole batch insert
+const OPTIONAL_COLUMN_RANGES = {
+  battery: [0, 100],
+  accuracy: [0, 99999.99],
+  hdop: [0, 999.99],
+  satellites: [0, 255],
+  speed: [0, 9999.99],
+};
+
+/**
+ * Clear optional values a trail_points row cannot hold
+ * @param {Object} point - Trail point ({ lat, lng, recorded_at, battery, accuracy, hdop, satellites, speed, starts_track })
+ * @returns {Object} The point with bad battery/accuracy/hdop/satellites/speed set to null
+ */
+function sanitizeTrailPoint(point) {
+  const clean = { ...point };
+
+  for (const [column, [min, max]] of Object.entries(OPTIONAL_COLUMN_RANGES)) {
+    const value = point[column];
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+    clean[column] =
+      typeof number === "number" && Number.isFinite(number) && number >= min && number <= max
+        ? number
+        : null;
+  }
+  if (clean.satellites !== null) clean.satellites = Math.round(clean.satellites);
+
+  return clean;
+}
+
+/**
+ * Read a tracker's trail points in a time range
+ * The last point before the range is included when the first point in it
+ * continues from it, so the trail is not cut at the start of the range
+ * (segment rows used to carry that start point themselves).
+ * @param {Object} connection - MySQL connection
+ * @param {string} trackerId - Tracker device ID
+ * @param {string} from - Range start (MySQL datetime)
+ * @param {string} to - Range end (MySQL datetime)
+ * @returns {Promise<Array<Object>>} Points, oldest first
+ */
+async function fetchTrailPoints(connection, trackerId, from, to) {
+  const [points] = await connection.query(
+    `SELECT lat, lng, recorded_at, battery, accuracy, hdop, satellites, speed, starts_track
+     FROM trail_points
+     WHERE tracker_id = ? AND recorded_at BETWEEN ? AND ?
+     ORDER BY recorded_at ASC, point_id ASC`,
+    [trackerId, from, to]
+  );
+
+  if (points.length === 0 || points[0].starts_track) return points;
+
+  const [previous] = await connection.query(
+    `SELECT lat, lng, recorded_at, battery, accuracy, hdop, satellites, speed, starts_track
+     FROM trail_points
+     WHERE tracker_id = ? AND recorded_at < ?
+     ORDER BY recorded_at DESC, point_id DESC
+     LIMIT 1`,
+    [trackerId, from]
+  );
+
+  return [...previous, ...points];
+}
+
+/**
+ * Split trail points into continuous tracks
+ * @param {Array<Object>} points - trail_points rows, oldest first
+ * @returns {Array<Array<Object>>} Tracks of { lat, lng, time, battery, accuracy, hdop, satellites, speed }
+ */
+function pointsToTracks(points) {
+  const tracks = [];
+  let current = null;
+
+  for (const point of points) {
+    const lat = parseFloat(point.lat);
+    const lng = parseFloat(point.lng);
+    if (isNaN(lat) || isNaN(lng)) continue;
+
+    if (!current || point.starts_track) {
+      current = [];
+      tracks.push(current);
+    }
+
+    const time = new Date(point.recorded_at);
+    current.push({
+      lat,
+      lng,
+      time: isNaN(time.getTime()) ? null : time.toISOString(),
+      battery: point.battery ?? null,
+      accuracy: point.accuracy === null ? null : Number(point.accuracy),
+      hdop: point.hdop === null ? null : Number(point.hdop),
+      satellites: point.satellites ?? null,
+      speed: point.speed === null ? null : Number(point.speed),
+    });
+  }
+
+  return tracks;
+}
+
+/**
+ * Convert tracks to [start, end] segment pairs
+ * This is the shape GET /api/trail-history/:trackerId has always returned.
+ * @param {Array<Array<Object>>} tracks - From pointsToTracks()
+ * @returns {Array<[[number, number], [number, number]]>} [[startLat, startLng], [endLat, endLng]] pairs
+ */
+function tracksToSegments(tracks) {
+  return tracks.flatMap((track) =>
+    track.slice(1).map((point, i) => [
+      [track[i].lat, track[i].lng],
+      [point.lat, point.lng],
+    ])
+  );
+}
+
+module.exports = {
+  sanitizeTrailPoint,
+  fetchTrailPoints,
+  pointsToTracks,
+  tracksToSegments,
+};
@@ -0,0 +1,187 @@
+const turf = require("@turf/turf");
+
+/**
+ * Level of detail for trail history
+ * Tracks (see trailPoints.pointsToTracks) can be clipped to the map's
+ * bounding box and simplified with Douglas-Peucker, either to a tolerance in
+ * meters or to the smallest tolerance that fits a point budget, so a
+ * zoomed-out week of trail stays small.
+ */
+
+const METERS_PER_DEGREE = 111320;
+
+// Bisection steps when searching a tolerance for maxPoints
+const MAX_SEARCH_STEPS = 16;
+
+const MIN_MAX_POINTS = 2;
+
+/**
+ * Parse level-of-detail query parameters
+ * @param {Object} query - { tolerance, maxPoints, bbox } (bbox: "minLng,minLat,maxLng,maxLat")
+ * @returns {{options: Object, error: string|null}} options: { tolerance, maxPoints, bbox }
+ */
+function parseTrailDetailOptions(query = {}) {
+  const options = {};
+
+  if (query.tolerance !== undefined) {
+    const tolerance = Number(query.tolerance);
+    if (isNaN(tolerance) || tolerance <= 0) {
+      return { options, error: "tolerance must be a positive number of meters" };
+    }
+    options.tolerance = tolerance;
+  }
+
+  if (query.maxPoints !== undefined) {
+    const maxPoints = Number(query.maxPoints);
+    if (!Number.isInteger(maxPoints) || maxPoints < MIN_MAX_POINTS) {
+      return { options, error: `maxPoints must be an integer of at least ${MIN_MAX_POINTS}` };
+    }
+    options.maxPoints = maxPoints;
+  }
+
+  if (query.bbox !== undefined) {
+    const bbox = String(query.bbox).split(",").map(Number);
+    if (
+      bbox.length !== 4 ||
+      bbox.some(isNaN) ||
+      bbox[0] > bbox[2] ||
+      bbox[1] > bbox[3]
+    ) {
+      return { options, error: "bbox must be minLng,minLat,maxLng,maxLat" };
+    }
+    options.bbox = bbox;
+  }
+
+  return { options, error: null };
+}
+
+function isInBox(point, [minLng, minLat, maxLng, maxLat]) {
+  return (
+    point.lng >= minLng &&
+    point.lng <= maxLng &&
+    point.lat >= minLat &&
+    point.lat <= maxLat
+  );
+}
+
+/**
+ * Keep the parts of tracks inside a bounding box
+ * The point just outside on either side of each part is kept so lines still
+ * run off the edge of the map instead of stopping short.
+ * @param {Array<Array<Object>>} tracks - Tracks of { lat, lng, ... }
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Array<Array<Object>>} Clipped tracks
+ */
+function clipTracksToBoundingBox(tracks, bbox) {
+  const clipped = [];
+
+  for (const track of tracks) {
+    let current = null;
+
+    track.forEach((point, i) => {
+      const keep =
+        isInBox(point, bbox) ||
+        (i > 0 && isInBox(track[i - 1], bbox)) ||
+        (i < track.length - 1 && isInBox(track[i + 1], bbox));
+
+      if (!keep) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = [];
+        clipped.push(current);
+      }
+      current.push(point);
+    });
+  }
+
+  return clipped;
+}
+
+function simplifyTrack(track, toleranceDegrees) {
+  if (track.length <= 2) return track;
+
+  const line = turf.lineString(track.map((point) => [point.lng, point.lat]));
+  const kept = turf.simplify(line, {
+    tolerance: toleranceDegrees,
+    highQuality: true,
+  }).geometry.coordinates;
+
+  // Map the kept coordinates back to the original points (and their times)
+  const result = [];
+  let k = 0;
+  for (const point of track) {
+    if (k < kept.length && point.lng === kept[k][0] && point.lat === kept[k][1]) {
+      result.push(point);
+      k++;
+    }
+  }
+  return result;
+}
+
+function simplifyAll(tracks, toleranceDegrees) {
+  return tracks.map((track) => simplifyTrack(track, toleranceDegrees));
+}
+
+function countPoints(tracks) {
+  return tracks.reduce((total, track) => total + track.length, 0);
+}
+
+/**
+ * Simplify tracks to a tolerance or a point budget
+ * With maxPoints, the smallest tolerance that fits is searched for (never
+ * below `tolerance` when both are given). Track endpoints are always kept,
+ * so very many short tracks can still exceed the budget.
+ * @param {Array<Array<Object>>} tracks - Tracks of { lat, lng, ... }
+ * @param {Object} options - { tolerance (meters), maxPoints }
+ * @returns {{tracks: Array<Array<Object>>, tolerance: number}} Simplified tracks and the tolerance used (meters)
+ */
+function simplifyTracks(tracks, { tolerance, maxPoints } = {}) {
+  const minDegrees = (tolerance || 0) / METERS_PER_DEGREE;
+  let simplified = minDegrees > 0 ? simplifyAll(tracks, minDegrees) : tracks;
+
+  if (!maxPoints || countPoints(simplified) <= maxPoints) {
+    return { tracks: simplified, tolerance: tolerance || 0 };
+  }
+
+  // Upper bound: the trail's extent (reduced, not spread: trails are long)
+  const extent = tracks.flat().reduce(
+    (box, point) => ({
+      minLat: Math.min(box.minLat, point.lat),
+      maxLat: Math.max(box.maxLat, point.lat),
+      minLng: Math.min(box.minLng, point.lng),
+      maxLng: Math.max(box.maxLng, point.lng),
+    }),
+    { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity }
+  );
+  let low = minDegrees;
+  let high = Math.max(
+    extent.maxLat - extent.minLat,
+    extent.maxLng - extent.minLng
+  );
+
+  simplified = simplifyAll(tracks, high);
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const middle = (low + high) / 2;
+    const candidate = simplifyAll(tracks, middle);
+
+    if (countPoints(candidate) <= maxPoints) {
+      high = middle;
+      simplified = candidate;
+    } else {
+      low = middle;
+    }
+  }
+
+  return {
+    tracks: simplified,
+    tolerance: Number((high * METERS_PER_DEGREE).toFixed(2)),
+  };
+}
+
+module.exports = {
+  parseTrailDetailOptions,
+  clipTracksToBoundingBox,
+  simplifyTracks,
+};
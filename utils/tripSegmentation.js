@@ -0,0 +1,175 @@
+const turf = require("@turf/turf");
+
+/**
+ * Trip segmentation of trail history
+ * Splits tracks (see trailPoints.pointsToTracks) into stays, where the pet
+ * stayed within STAY_RADIUS_M for at least STAY_MIN_DURATION_MS, and the
+ * trips between them.
+ *
+ * Trail points are only recorded when the pet moves, so a stay usually
+ * shows up as a gap in the points: it lasts until the first point after it.
+ */
+
+const STAY_RADIUS_M = parseFloat(process.env.TRIP_STAY_RADIUS_M) || 50;
+const STAY_MIN_DURATION_MS =
+  (parseFloat(process.env.TRIP_STAY_MIN_MINUTES) || 5) * 60 * 1000;
+
+// Shortest time step used for speeds, so near-duplicate fixes do not spike
+const MIN_SPEED_INTERVAL_MS = 1000;
+
+function distanceMeters(a, b) {
+  return turf.distance([a.lng, a.lat], [b.lng, b.lat], { units: "meters" });
+}
+
+function timeOf(point) {
+  return new Date(point.time).getTime();
+}
+
+function toSeconds(ms) {
+  return Math.round(ms / 1000);
+}
+
+function centroid(points) {
+  return {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length,
+  };
+}
+
+/**
+ * Find stays in one track
+ * @returns {Array<{first: number, last: number}>} Index ranges, merged where neighbours are the same place
+ */
+function findStays(track, radius, minDurationMs) {
+  const stays = [];
+  let i = 0;
+
+  while (i < track.length) {
+    let j = i;
+    while (j + 1 < track.length && distanceMeters(track[i], track[j + 1]) <= radius) {
+      j++;
+    }
+
+    const departedAt = j + 1 < track.length ? timeOf(track[j + 1]) : timeOf(track[j]);
+    if (departedAt - timeOf(track[i]) >= minDurationMs) {
+      const previous = stays[stays.length - 1];
+      const place = centroid(track.slice(i, j + 1));
+
+      // GPS drift can split one stay in two; join them back up
+      if (
+        previous &&
+        distanceMeters(centroid(track.slice(previous.first, previous.last + 1)), place) <= radius
+      ) {
+        previous.last = j;
+      } else {
+        stays.push({ first: i, last: j });
+      }
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return stays;
+}
+
+function describeStay(track, { first, last }) {
+  const points = track.slice(first, last + 1);
+  const arrivedAt = timeOf(track[first]);
+  const departedAt = last + 1 < track.length ? timeOf(track[last + 1]) : timeOf(track[last]);
+
+  return {
+    ...centroid(points),
+    arrivedAt: new Date(arrivedAt).toISOString(),
+    departedAt: new Date(departedAt).toISOString(),
+    durationSeconds: toSeconds(departedAt - arrivedAt),
+    pointCount: points.length,
+  };
+}
+
+function describeTrip(track, first, last, startTime) {
+  let distance = 0;
+  let maxSpeedKmh = 0;
+
+  for (let k = first + 1; k <= last; k++) {
+    const step = distanceMeters(track[k - 1], track[k]);
+    const elapsed = Math.max(timeOf(track[k]) - timeOf(track[k - 1]), MIN_SPEED_INTERVAL_MS);
+    distance += step;
+
+    const impliedKmh = (step / (elapsed / 1000)) * 3.6;
+    const reportedKmh = typeof track[k].speed === "number" ? track[k].speed * 3.6 : 0;
+    maxSpeedKmh = Math.max(maxSpeedKmh, impliedKmh, reportedKmh);
+  }
+
+  const endTime = timeOf(track[last]);
+  const durationMs = Math.max(endTime - startTime, 0);
+
+  return {
+    startTime: new Date(startTime).toISOString(),
+    endTime: new Date(endTime).toISOString(),
+    durationSeconds: toSeconds(durationMs),
+    distanceMeters: Number(distance.toFixed(1)),
+    maxSpeedKmh: Number(maxSpeedKmh.toFixed(1)),
+    avgSpeedKmh:
+      durationMs > 0 ? Number(((distance / (durationMs / 1000)) * 3.6).toFixed(1)) : 0,
+    start: { lat: track[first].lat, lng: track[first].lng },
+    end: { lat: track[last].lat, lng: track[last].lng },
+    pointCount: last - first + 1,
+  };
+}
+
+/**
+ * Split tracks into trips and stays
+ * @param {Array<Array<Object>>} tracks - Tracks of { lat, lng, time, speed }
+ * @param {Object} [options]
+ * @param {number} [options.stayRadius=STAY_RADIUS_M] - Meters a stay may wander
+ * @param {number} [options.stayMinDurationMs=STAY_MIN_DURATION_MS] - Shortest stay
+ * @returns {{trips: Array<Object>, stays: Array<Object>}} Both oldest first; trips carry fromStay/toStay indexes into stays
+ */
+function segmentTrips(
+  tracks,
+  { stayRadius = STAY_RADIUS_M, stayMinDurationMs = STAY_MIN_DURATION_MS } = {}
+) {
+  const trips = [];
+  const stays = [];
+
+  for (const track of tracks) {
+    const points = track.filter((point) => !isNaN(timeOf(point)));
+    if (points.length === 0) continue;
+
+    const trackStays = findStays(points, stayRadius, stayMinDurationMs);
+    const stayOffset = stays.length;
+    stays.push(...trackStays.map((stay) => describeStay(points, stay)));
+
+    // Movement before the first stay, between stays, and after the last one
+    let tripFirst = 0;
+    let tripStart = timeOf(points[0]);
+    let fromStay = null;
+
+    trackStays.forEach((stay, index) => {
+      if (stay.first > tripFirst) {
+        trips.push({
+          ...describeTrip(points, tripFirst, stay.first, tripStart),
+          fromStay,
+          toStay: stayOffset + index,
+        });
+      }
+
+      tripFirst = stay.last;
+      tripStart = new Date(stays[stayOffset + index].departedAt).getTime();
+      fromStay = stayOffset + index;
+    });
+
+    if (points.length - 1 > tripFirst) {
+      trips.push({
+        ...describeTrip(points, tripFirst, points.length - 1, tripStart),
+        fromStay,
+        toStay: null,
+      });
+    }
+  }
+
+  return { trips, stays };
+}
+
+module.exports = { STAY_RADIUS_M, STAY_MIN_DURATION_MS, segmentTrips };
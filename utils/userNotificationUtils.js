@@ -1,3 +1,5 @@
+const { sendSMS } = require("./sms");
+
 /**
  * Utility functions for user notifications and contact information
  */
@@ -162,8 +164,69 @@ async function isNotificationEnabled(pool, userId, eventType) {
   }
 }
 
+/**
+ * Formats a timestamp the way SMS alerts show it (Asia/Manila, 12-hour)
+ * 
+ * @param {Date} [date] - Time to format (defaults to now)
+ * @returns {String} - Formatted date and time
+ */
+function formatSMSTime(date = new Date()) {
+  return date.toLocaleString('en-US', { 
+    timeZone: 'Asia/Manila', 
+    year: 'numeric', 
+    month: '2-digit', 
+    day: '2-digit', 
+    hour: '2-digit', 
+    minute: '2-digit', 
+    second: '2-digit',
+    hour12: true 
+  });
+}
+
+/**
+ * Sends an SMS alert to a tracker owner if they enabled SMS for the event type
+ * 
+ * @param {Object} pool - MySQL connection pool
+ * @param {Number} userId - User ID whose settings are checked
+ * @param {String} deviceId - Device whose owner receives the SMS
+ * @param {String} eventType - Settings column (online, offline, out_geofence, in_geofence, low_battery, nearby_pet)
+ * @param {String} message - SMS text
+ * @returns {Promise<Boolean>} - Whether an SMS was sent
+ */
+async function sendNotificationSMS(pool, userId, deviceId, eventType, message) {
+  try {
+    console.log(`🔎 Checking ${eventType} SMS notification settings for user ${userId}`);
+
+    const notificationEnabled = await isNotificationEnabled(pool, userId, eventType);
+
+    if (!notificationEnabled) {
+      console.log(`ℹ️ User ${userId} has disabled SMS notifications for ${eventType} events`);
+      return false;
+    }
+
+    const owner = await getTrackerOwnerPhone(pool, deviceId);
+
+    if (!owner?.phoneNumber) {
+      console.warn(`⚠️ No valid phone number for user ${userId}, skipping SMS notification`);
+      return false;
+    }
+
+    console.log(`📱 Sending ${eventType} SMS for ${deviceId} to ${owner.phoneNumber}`);
+
+    const smsResponse = await sendSMS(owner.phoneNumber, message);
+
+    console.log(`✅ SMS sent for ${eventType}`, smsResponse);
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to send SMS for ${eventType} to user ${userId}:`, err.message);
+    return false;
+  }
+}
+
 module.exports = {
   getUserPhoneNumber,
   getTrackerOwnerPhone,
-  isNotificationEnabled
+  isNotificationEnabled,
+  formatSMSTime,
+  sendNotificationSMS
 };